@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE = path.join(__dirname, '../../server/services/chess960.js');
+const TARGET = path.join(__dirname, '../src/utils/chess960.js');
+
+const IMPORT = "const { Chess, DEFAULT_POSITION } = require('chess.js');";
+const EXPORTS = `module.exports = Chess960;
+module.exports.createBoard = createBoard;
+module.exports.loadGame = loadGame;
+module.exports.needsChess960 = needsChess960;
+`;
+
+/**
+ * Write the solver's copy of the Chess960 board. server/services/chess960.js
+ * is the only source; the copy only swaps its CommonJS import and exports for
+ * ES module ones, which the React build expects. Runs before start and build.
+ */
+function syncChess960() {
+  const source = fs.readFileSync(SOURCE, 'utf8');
+  if (!source.includes(IMPORT) || !source.endsWith(EXPORTS)) {
+    throw new Error('server/services/chess960.js changed its imports or exports, update scripts/sync-chess960.js');
+  }
+
+  const copy = [
+    '// Generated from server/services/chess960.js by scripts/sync-chess960.js. Do not edit.',
+    source
+      .replace(IMPORT, "import { Chess, DEFAULT_POSITION } from 'chess.js';")
+      .replace(EXPORTS, 'export { Chess960, createBoard, loadGame, needsChess960 };\n')
+  ].join('\n');
+
+  fs.mkdirSync(path.dirname(TARGET), { recursive: true });
+  fs.writeFileSync(TARGET, copy);
+}
+
+syncChess960();
@@ -5,6 +5,8 @@ import Header from './components/Header';
 import Home from './components/Home';
 import PuzzleSolver from './components/PuzzleSolver';
 import GameAnalysis from './components/GameAnalysis';
+import Profile from './components/Profile';
+import LichessCallback from './components/LichessCallback';
 import './App.css';
 
 function App() {
@@ -18,6 +20,8 @@ function App() {
               <Route path="/" element={<Home />} />
               <Route path="/puzzle/:puzzleId" element={<PuzzleSolver />} />
               <Route path="/analysis" element={<GameAnalysis />} />
+              <Route path="/profile" element={<Profile />} />
+              <Route path="/auth/lichess/callback" element={<LichessCallback />} />
             </Routes>
           </main>
         </div>
@@ -9,7 +9,7 @@ const AuthModal = ({ isOpen, onClose, initialMode = 'login' }) => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
-  const { login, register } = useAuth();
+  const { login, register, startLichessAuth } = useAuth();
 
   useEffect(() => {
     setMode(initialMode);
@@ -21,11 +21,14 @@ const AuthModal = ({ isOpen, onClose, initialMode = 'login' }) => {
     setError('');
 
     try {
-      if (mode === 'login') {
-        await login(username, password);
-      } else {
-        await register(username, email, password);
+      const result = mode === 'login'
+        ? await login(username, password)
+        : await register(username, email, password);
+      if (!result.success) {
+        setError(result.error);
+        return;
       }
+      setPassword('');
       onClose();
     } catch (err) {
       setError(err.message);
@@ -167,6 +170,27 @@ const AuthModal = ({ isOpen, onClose, initialMode = 'login' }) => {
           </button>
         </form>
 
+        <button
+          type="button"
+          onClick={async () => {
+            const result = await startLichessAuth('login');
+            if (!result.success) setError(result.error);
+          }}
+          style={{
+            width: '100%',
+            marginTop: '10px',
+            backgroundColor: 'white',
+            color: '#333',
+            padding: '12px',
+            border: '1px solid #333',
+            fontSize: '14px',
+            cursor: 'pointer',
+            fontFamily: 'monospace'
+          }}
+        >
+          ♞ Continue with Lichess
+        </button>
+
         <div style={{ 
           textAlign: 'center', 
           marginTop: '20px', 
@@ -74,9 +74,9 @@ const Header = () => {
           <div style={{ display: 'flex', alignItems: 'center', gap: '20px' }}>
             {user ? (
               <div style={{ display: 'flex', alignItems: 'center', gap: '15px' }}>
-                <span style={{ fontSize: '14px', color: '#333' }}>
+                <Link to="/profile" style={{ fontSize: '14px', color: '#333', textDecoration: 'none' }}>
                   {user.username}
-                </span>
+                </Link>
                 <button
                   onClick={handleLogout}
                   style={{
@@ -1,8 +1,84 @@
 import React, { useState, useEffect, useRef } from 'react';
 import UnifiedGameInput from './UnifiedGameInput';
 import PuzzleList from './PuzzleList';
+import { useAuth } from '../contexts/AuthContext';
+
+const ACTIVE_JOB_KEY = 'chessPuzzleImportJob';
+const RECONNECT_DELAY = 3000; // ms before following a dropped import stream again
+const MAX_RECONNECTS = 20;
+
+const STAGE_MESSAGES = {
+  queued: 'Waiting for the analysis engine...',
+  fetching_games: 'Fetching your games...',
+  analyzing_positions: 'Analyzing positions...',
+  creating_puzzles: 'Creating puzzles...',
+  saving_puzzles: 'Saving your best puzzles...',
+  completed: 'Analysis complete!',
+  failed: 'Import failed'
+};
+
+const PERSPECTIVE_LABELS = {
+  mine: 'My missed wins',
+  opponent: "Opponents' missed wins against me",
+  both: 'Both players'
+};
+
+// Turn an import job from the server into what the progress indicator shows
+const describeJob = (job) => {
+  const { counts } = job;
+  const game = `Game ${Math.min(counts.gamesProcessed + 1, counts.gamesSelected)} of ${counts.gamesSelected}`;
+  let details = '';
+  switch (job.stage) {
+    case 'fetching_games':
+      if (job.params.gameUrl) {
+        details = `Finding the game on ${job.params.platform}`;
+      } else if (job.params.platform === 'pgn') {
+        details = 'Reading games from the PGN';
+      } else {
+        details = `Retrieving recent games from ${job.params.platform}`;
+      }
+      break;
+    case 'analyzing_positions':
+      details = `${game}: ${counts.positionsAnalyzed}/${counts.positionsTotal} positions analyzed`;
+      break;
+    case 'creating_puzzles':
+      details = `${game}: ${counts.candidatesChecked}/${counts.candidatesTotal} tactical positions checked`;
+      break;
+    case 'saving_puzzles':
+      details = `${counts.puzzlesCreated} puzzles saved`;
+      break;
+    case 'completed':
+      details = counts.gamesSelected === 0
+        ? 'No new games since your last import'
+        : `${counts.puzzlesCreated} puzzles created from ${counts.gamesProcessed} of ${counts.gamesFetched} games fetched`;
+      break;
+    default:
+      break;
+  }
+  return {
+    stage: job.stage,
+    message: STAGE_MESSAGES[job.stage] || job.stage,
+    percentage: job.percentage,
+    details
+  };
+};
+
+// An error after which there is nothing left to follow: the job finished or
+// cannot be read. Other errors are dropped connections to a running job.
+const finalError = (message) => Object.assign(new Error(message), { final: true });
+
+// Split a Server-Sent Events chunk into { event, data } messages
+const parseEvents = (text) => text.split('\n\n').filter(Boolean).map((block) => {
+  const message = { event: 'message', data: '' };
+  block.split('\n').forEach((line) => {
+    if (line.startsWith('event: ')) message.event = line.slice(7);
+    if (line.startsWith('data: ')) message.data += line.slice(6);
+  });
+  return message;
+});
 
 const Home = () => {
+  const { authFetch } = useAuth();
   const [puzzles, setPuzzles] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -17,91 +93,108 @@ const Home = () => {
   const [loadTime, setLoadTime] = useState(null); // Track backend loading time
   const puzzleListRef = useRef(null); // Ref for auto-scroll
 
-  // Simulate progress updates during loading
+  // Add effect to only end loading when both backendDone and progress.percentage === 100
+  useEffect(() => {
+    if (backendDone && progress.percentage === 100) {
+      setLoading(false);
+    }
+  }, [backendDone, progress.percentage]);
+
+  // Auto-scroll to puzzles when they become visible
   useEffect(() => {
-    if (!loading) return;
+    if (!loading && backendDone && progress.percentage === 100 && puzzles && puzzleListRef.current) {
+      puzzleListRef.current.scrollIntoView({ behavior: 'smooth' });
+    }
+  }, [loading, backendDone, progress.percentage, puzzles]);
 
-    // Main progress stages (messages and their target percentages)
-    const progressStages = [
-      { stage: 'init', message: 'Initializing analysis system...', percentage: 8, details: 'Setting up chess engines and databases' },
-      { stage: 'fetch', message: 'Fetching your games...', percentage: 18, details: 'Retrieving recent games from chess.com' },
-      { stage: 'load', message: 'Loading game positions...', percentage: 28, details: 'Extracting tactical positions from your games' },
-      { stage: 'analyze', message: 'Loading tactical evaluation models...', percentage: 38, details: 'Initializing advanced chess analysis algorithms' },
-      { stage: 'process', message: 'Analyzing positions for tactical opportunities...', percentage: 55, details: 'Scanning through game positions for puzzles' },
-      { stage: 'create', message: 'Creating puzzle challenges...', percentage: 75, details: 'Generating tactical puzzles from your games' },
-      { stage: 'validate', message: 'Validating puzzle quality...', percentage: 88, details: 'Ensuring puzzles meet quality standards' },
-      { stage: 'finalize', message: 'Finalizing your puzzle collection...', percentage: 95, details: 'Preparing puzzles for display' },
-      { stage: 'complete', message: 'Analysis complete!', percentage: 100, details: 'Your puzzles are ready' }
-    ];
+  // Stream an import job's progress events. Resolves with the `done` event,
+  // or null when the stream drops before the job finishes.
+  // Read with fetch rather than EventSource so the access token is sent.
+  const readJobEvents = async (jobId) => {
+    const response = await authFetch(`/api/jobs/${jobId}/events`);
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      const message = data.error || 'Failed to follow the import';
+      // A missing or forbidden job stays that way; a server error may pass
+      throw response.status < 500 ? finalError(message) : new Error(message);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return null;
+      buffer += decoder.decode(value, { stream: true });
 
-    let currentStage = 0;
-    let currentPercent = 0;
-    let intervalId = null;
+      // Keep a trailing partial message for the next chunk
+      const end = buffer.lastIndexOf('\n\n');
+      if (end === -1) continue;
+      const complete = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
 
-    // Helper to get the current stage based on percent
-    const getStageForPercent = (percent) => {
-      for (let i = progressStages.length - 1; i >= 0; i--) {
-        if (percent >= progressStages[i].percentage) {
-          return progressStages[i];
+      for (const { event, data } of parseEvents(complete)) {
+        if (!data) continue; // heartbeat
+        const payload = JSON.parse(data);
+        if (event === 'progress') {
+          setProgress(describeJob(payload));
+        } else if (event === 'done') {
+          if (payload.job.status === 'failed') {
+            const lastError = payload.job.errors[payload.job.errors.length - 1];
+            throw finalError(lastError ? lastError.message : 'Import failed');
+          }
+          return payload;
+        } else if (event === 'error') {
+          throw finalError(payload.message || payload.error);
         }
       }
-      return progressStages[0];
-    };
-
-    // Use a constant duration for each percent step for a smooth animation
-    const getStepDuration = () => 100; // 100ms per step = 10s total
+    }
+  };
 
-    // Animate from 0 to 100%
-    const animate = () => {
-      if (currentPercent >= 100) {
-        setProgress(progressStages[progressStages.length - 1]);
-        clearTimeout(intervalId);
-        return;
+  // Follow an import job until the worker finishes it, reconnecting when the
+  // stream drops (a network blip or proxy timeout) since the job keeps running
+  const waitForJob = async (jobId) => {
+    for (let reconnects = 0; ; reconnects++) {
+      try {
+        const result = await readJobEvents(jobId);
+        if (result) return result;
+      } catch (err) {
+        if (err.final) throw err;
       }
-      // Find the next stage
-      let nextStage = progressStages[currentStage + 1];
-      let targetPercent = nextStage ? nextStage.percentage : 100;
-      // If we've reached the next stage, advance
-      if (currentPercent >= targetPercent) {
-        currentStage++;
-        nextStage = progressStages[currentStage + 1];
-        targetPercent = nextStage ? nextStage.percentage : 100;
+      if (reconnects >= MAX_RECONNECTS) {
+        throw new Error('Lost connection to the import. It is still running: reload the page to follow it again.');
       }
-      // Set the progress message for the current stage
-      const stage = getStageForPercent(currentPercent);
-      setProgress({
-        ...stage,
-        percentage: currentPercent
-      });
-      // Increment percent
-      currentPercent++;
-      // Duration for this step
-      const duration = getStepDuration();
-      intervalId = setTimeout(animate, duration);
-    };
-
-    // Start at 0%
-    currentPercent = 0;
-    currentStage = 0;
-    animate();
-
-    // Cleanup
-    return () => clearTimeout(intervalId);
-  }, [loading]);
+      await new Promise((resolve) => setTimeout(resolve, RECONNECT_DELAY));
+    }
+  };
 
-  // Add effect to only end loading when both backendDone and progress.percentage === 100
-  useEffect(() => {
-    if (backendDone && progress.percentage === 100) {
+  // Follow a queued import job through to its puzzles. The job is forgotten
+  // only once it finished, so a reload can pick up one that is still running.
+  const followJob = async (jobId, startTime) => {
+    setLoading(true);
+    try {
+      const data = await waitForJob(jobId);
+      localStorage.removeItem(ACTIVE_JOB_KEY);
+      setProgress(describeJob(data.job));
+      setPuzzles(data.puzzles);
+      setGameData({ ...data.job.result, puzzles: data.puzzles });
+      setBackendDone(true);
+      const elapsed = Date.now() - startTime;
+      setLoadTime(elapsed);
+      console.log(`Puzzle loading time: ${elapsed} ms (${(elapsed/1000).toFixed(2)} seconds)`);
+    } catch (err) {
+      if (err.final) localStorage.removeItem(ACTIVE_JOB_KEY);
+      setError(err.message || 'Failed to generate puzzles');
       setLoading(false);
     }
-  }, [backendDone, progress.percentage]);
+  };
 
-  // Auto-scroll to puzzles when they become visible
+  // The import keeps running on the server if the page is closed; pick it back up
   useEffect(() => {
-    if (!loading && backendDone && progress.percentage === 100 && puzzles && puzzleListRef.current) {
-      puzzleListRef.current.scrollIntoView({ behavior: 'smooth' });
-    }
-  }, [loading, backendDone, progress.percentage, puzzles]);
+    const activeJobId = localStorage.getItem(ACTIVE_JOB_KEY);
+    if (activeJobId) followJob(activeJobId, Date.now());
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
 
   const handlePuzzleGeneration = async (inputData) => {
     setLoading(true);
@@ -110,31 +203,31 @@ const Home = () => {
     setGameData(null);
     setBackendDone(false);
     setProgress({
-      stage: 'init',
-      message: 'Initializing analysis system...',
-      percentage: 8,
-      details: 'Setting up chess engines and databases'
+      stage: 'queued',
+      message: STAGE_MESSAGES.queued,
+      percentage: 0,
+      details: ''
     });
     setLoadTime(null); // Reset load time
     const startTime = Date.now(); // Start timer
+    let jobId;
     try {
-      const response = await fetch('/api/games/import', {
+      // Signed in, the server saves the puzzles to the user's collection
+      const response = await authFetch('/api/games/import', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(inputData)
       });
-      if (!response.ok) throw new Error('Failed to generate puzzles');
       const data = await response.json();
-      setPuzzles(data.puzzles);
-      setGameData(data);
-      setBackendDone(true);
-      const elapsed = Date.now() - startTime;
-      setLoadTime(elapsed);
-      console.log(`Puzzle loading time: ${elapsed} ms (${(elapsed/1000).toFixed(2)} seconds)`);
+      if (!response.ok) throw new Error(data.error || 'Failed to generate puzzles');
+      jobId = data.job.id;
+      localStorage.setItem(ACTIVE_JOB_KEY, jobId);
     } catch (err) {
       setError(err.message || 'Failed to generate puzzles');
       setLoading(false);
+      return;
     }
+    await followJob(jobId, startTime);
   };
 
   // Sophisticated Progress Component
@@ -148,32 +241,6 @@ const Home = () => {
     const emptyBar = '·'.repeat(emptyWidth);
     const progressBar = `[${filledBar}${emptyBar}]`;
 
-    // If progress is complete but backend not done, show special message
-    if (progress.percentage >= 100 && !backendDone) {
-      return (
-        <div style={{
-          textAlign: 'center',
-          padding: '25px',
-          border: '1px solid #e0e0e0',
-          borderRadius: '12px',
-          backgroundColor: '#ffffff',
-          marginBottom: '20px',
-          boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
-          transition: 'all 0.4s ease'
-        }}>
-          <div style={{ fontSize: '16px', fontWeight: 'bold', marginBottom: '8px' }}>
-            We've found your games and analyzed them.
-          </div>
-          <div style={{ fontSize: '14px', color: '#666', marginBottom: '10px' }}>
-            Generating your puzzles now...
-          </div>
-          <div style={{ fontSize: '12px', color: '#999', fontFamily: 'monospace' }}>
-            This usually takes just a few more seconds.
-          </div>
-        </div>
-      );
-    }
-
     // If progress is complete and backend is done, show analysis complete with summary
     if (progress.percentage >= 100 && backendDone) {
       return (
@@ -194,8 +261,9 @@ const Home = () => {
           </div>
           {gameData?.summary && (
             <div style={{ fontSize: '15px', margin: '10px 0 0 0', fontWeight: 400 }}>
-              <div><strong>Platform:</strong> {gameData.summary.platform || '—'}</div>
+              <div><strong>Platform:</strong> {gameData.summary.platform === 'pgn' ? 'PGN file' : gameData.summary.platform || '—'}</div>
               <div><strong>Username:</strong> {gameData.summary.username || '—'}</div>
+              <div><strong>Puzzles From:</strong> {PERSPECTIVE_LABELS[gameData.summary.perspective] || PERSPECTIVE_LABELS.both}</div>
               <div><strong>Games Analyzed:</strong> {gameData.summary.gamesImported ?? '—'}</div>
               <div><strong>Puzzles Generated:</strong> {gameData.summary.puzzlesGenerated ?? puzzles?.length}</div>
               <div><strong>Processing Time:</strong> {gameData.summary.processingTime || '—'}</div>
@@ -282,7 +350,7 @@ const Home = () => {
       <div style={{ marginBottom: '30px' }}>
         <h2 style={{ borderBottom: '1px solid #ccc', paddingBottom: '5px' }}>How It Works:</h2>
         <ol style={{ paddingLeft: '20px' }}>
-          <li><strong>Enter your username</strong> from chess.com or lichess.org</li>
+          <li><strong>Enter your username</strong> from chess.com or lichess.org, paste a game URL, or a PGN file</li>
           <li><strong>We analyze your last 10 games</strong> to find tactical opportunities</li>
           <li><strong>Get 5 personalized puzzles</strong> based on your playing style</li>
           <li><strong>Improve your game</strong> by learning from your own mistakes</li>
@@ -327,19 +395,63 @@ const Home = () => {
             <p style={{ fontSize: '14px', color: '#666', marginBottom: '15px' }}>
               These puzzles are based on positions from your actual games where you missed tactical opportunities.
             </p>
+            {/* Per-game breakdown: where the puzzles came from */}
+            {gameData.summary?.games && (
+              <details style={{ fontSize: '13px', marginBottom: '15px' }}>
+                <summary style={{ cursor: 'pointer' }}>
+                  {gameData.summary.gamesAnalyzed} of {gameData.summary.gamesImported} {gameData.summary.incremental ? 'new ' : ''}games analyzed
+                  {gameData.summary.gamesSkipped > 0 && `, ${gameData.summary.gamesSkipped} already analyzed before`}
+                  {' '}(puzzles picked for a {gameData.summary.targetRating} rating)
+                </summary>
+                <table style={{ width: '100%', borderCollapse: 'collapse', marginTop: '10px' }}>
+                  <thead>
+                    <tr style={{ textAlign: 'left', borderBottom: '1px solid #ccc' }}>
+                      <th>Game</th>
+                      <th>Positions</th>
+                      <th>Candidates</th>
+                      <th>Puzzles</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {gameData.summary.games.map((game) => (
+                      <tr key={game.gameId} style={{ borderBottom: '1px solid #eee' }}>
+                        <td>
+                          {game.url ? (
+                            <a href={game.url} target="_blank" rel="noopener noreferrer">
+                              {game.white && game.black ? `${game.white} vs ${game.black}` : game.gameId}
+                            </a>
+                          ) : (
+                            game.white && game.black ? `${game.white} vs ${game.black}` : game.gameId
+                          )}
+                        </td>
+                        {game.error ? (
+                          <td colSpan={3} style={{ color: '#c00' }}>❌ {game.error}</td>
+                        ) : (
+                          <>
+                            <td>{game.positionsAnalyzed}</td>
+                            <td>{game.candidates}</td>
+                            <td>{game.puzzlesSelected}</td>
+                          </>
+                        )}
+                      </tr>
+                    ))}
+                    {/* PGN games that were not imported */}
+                    {(gameData.summary.rejectedGames || []).map((game) => (
+                      <tr key={`rejected-${game.index}`} style={{ borderBottom: '1px solid #eee', color: '#666' }}>
+                        <td>{game.white && game.black ? `${game.white} vs ${game.black}` : `Game ${game.index + 1}`}</td>
+                        <td colSpan={3}>⏭️ {game.reason}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </details>
+            )}
             {/* Only show puzzles when loading is false, backendDone is true, and progress is 100% */}
             {!loading && backendDone && progress.percentage === 100 && puzzles && (
               <div ref={puzzleListRef}>
                 <PuzzleList puzzles={puzzles} summary={gameData?.summary} />
               </div>
             )}
-            {/* If progress is 100% but backend is not done, show a still loading message */}
-            {loading && progress.percentage === 100 && !backendDone && (
-              <div style={{ textAlign: 'center', color: '#888', fontSize: '14px', marginTop: '20px' }}>
-                Still generating puzzles on the server...<br />
-                This may take a few more seconds.
-              </div>
-            )}
           </div>
         </div>
       )}
@@ -0,0 +1,52 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+
+// Lichess redirects here after the user approves (or denies) the OAuth request
+const LichessCallback = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { completeLichessAuth } = useAuth();
+  const [error, setError] = useState(null);
+  const handled = useRef(false); // the code can only be exchanged once
+
+  useEffect(() => {
+    if (handled.current) return;
+    handled.current = true;
+
+    const code = searchParams.get('code');
+    const state = searchParams.get('state');
+    if (searchParams.get('error') || !code || !state) {
+      setError(searchParams.get('error_description') || 'Lichess authorization was cancelled');
+      return;
+    }
+
+    completeLichessAuth(code, state).then((result) => {
+      if (!result.success) {
+        setError(result.error);
+        return;
+      }
+      navigate(result.mode === 'link' ? '/profile' : '/', { replace: true });
+    });
+  }, [searchParams, completeLichessAuth, navigate]);
+
+  return (
+    <div style={{ maxWidth: '500px', margin: '40px auto', fontFamily: 'monospace', textAlign: 'center' }}>
+      {error ? (
+        <div style={{
+          backgroundColor: '#fff0f0',
+          border: '1px solid #f00',
+          color: '#c00',
+          padding: '15px',
+          fontSize: '14px'
+        }}>
+          ❌ {error}
+        </div>
+      ) : (
+        <div style={{ fontSize: '14px', color: '#666' }}>⏳ Connecting your Lichess account...</div>
+      )}
+    </div>
+  );
+};
+
+export default LichessCallback;
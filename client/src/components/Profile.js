@@ -0,0 +1,325 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+const sectionStyle = {
+  border: '1px solid #ccc',
+  padding: '20px',
+  marginBottom: '20px',
+  backgroundColor: 'white'
+};
+
+const buttonStyle = {
+  backgroundColor: '#0066cc',
+  color: 'white',
+  border: 'none',
+  padding: '8px 16px',
+  fontSize: '12px',
+  cursor: 'pointer',
+  fontFamily: 'monospace'
+};
+
+const unlinkButtonStyle = {
+  ...buttonStyle,
+  backgroundColor: 'transparent',
+  color: '#dc3545',
+  border: '1px solid #dc3545'
+};
+
+const TIER_NAMES = { free: 'Free', pro: 'Pro', superPro: 'Super Pro' };
+
+const RUN_STATUS_ICONS = { running: '⏳', completed: '✅', failed: '❌', skipped: '⏭️' };
+
+const cellStyle = { padding: '6px 8px', borderBottom: '1px solid #eee', textAlign: 'left', verticalAlign: 'top' };
+
+// Outcome of one profile's import within a sync run
+const describeSyncedProfile = (profile) => {
+  if (profile.status === 'failed') return `failed${profile.error ? `: ${profile.error}` : ''}`;
+  if (profile.status !== 'completed') return profile.status;
+  return `${profile.newGames} new game${profile.newGames === 1 ? '' : 's'}, ${profile.puzzlesCreated} puzzle${profile.puzzlesCreated === 1 ? '' : 's'}`;
+};
+
+const AutoSync = () => {
+  const { user, authFetch, updateUserPreferences } = useAuth();
+  const [syncLog, setSyncLog] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const loadSyncLog = async () => {
+    try {
+      const response = await authFetch('/api/sync/log');
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+      setSyncLog(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    loadSyncLog();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user.tier, user.lichessUsername, user.chessComUsername]);
+
+  // Refresh while a run's imports are still going
+  const running = syncLog && syncLog.runs.some(run => run.status === 'running');
+  useEffect(() => {
+    if (!running) return undefined;
+    const timer = setInterval(loadSyncLog, 10000);
+    return () => clearInterval(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [running]);
+
+  const handleToggle = async (e) => {
+    setError(null);
+    const result = await updateUserPreferences({ autoAnalysis: e.target.checked });
+    if (!result.success) setError(result.error);
+    loadSyncLog();
+  };
+
+  const handleSyncNow = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const response = await authFetch('/api/sync/run', { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+      await loadSyncLog();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const tier = user.tier || 'free';
+  const canSync = syncLog ? syncLog.profileLimit !== 0 : tier !== 'free';
+
+  return (
+    <div style={sectionStyle}>
+      <h3 style={{ marginTop: 0, fontSize: '16px' }}>Auto-sync</h3>
+      <p style={{ fontSize: '12px', color: '#666' }}>
+        New games from your linked accounts are imported automatically
+        {syncLog && syncLog.intervalMinutes > 0 && ` every ${Math.round(syncLog.intervalMinutes / 60 * 10) / 10} hours`}.
+        Your plan: <strong>{TIER_NAMES[tier] || tier}</strong>
+        {syncLog && ` (${syncLog.profileLimit === null ? 'all linked profiles' : `${syncLog.profileLimit} tracked profile${syncLog.profileLimit === 1 ? '' : 's'}`})`}.
+      </p>
+
+      {!canSync ? (
+        <p style={{ fontSize: '13px' }}>Auto-sync is available on the Pro and Super Pro plans.</p>
+      ) : (
+        <>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+            <label style={{ fontSize: '13px' }}>
+              <input
+                type="checkbox"
+                checked={Boolean(user.preferences && user.preferences.autoAnalysis)}
+                onChange={handleToggle}
+                style={{ marginRight: '8px' }}
+              />
+              Sync automatically
+            </label>
+            <button style={buttonStyle} disabled={busy || running || !syncLog || syncLog.tracked.length === 0} onClick={handleSyncNow}>
+              {running ? 'Syncing...' : 'Sync now'}
+            </button>
+          </div>
+
+          {syncLog && (
+            <div style={{ fontSize: '13px', marginBottom: '10px' }}>
+              {syncLog.tracked.length === 0
+                ? 'Link a Lichess or chess.com account to track it.'
+                : `Tracking: ${syncLog.tracked.map(profile => `${profile.username} (${profile.platform})`).join(', ')}`}
+              {syncLog.skipped.map(profile => (
+                <div key={`${profile.platform}:${profile.username}`} style={{ color: '#666' }}>
+                  Not tracked: {profile.username} ({profile.platform}) - {profile.reason}
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+
+      {syncLog && syncLog.runs.length > 0 && (
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+          <thead>
+            <tr>
+              <th style={cellStyle}>Started</th>
+              <th style={cellStyle}>Trigger</th>
+              <th style={cellStyle}>Status</th>
+              <th style={cellStyle}>Profiles</th>
+            </tr>
+          </thead>
+          <tbody>
+            {syncLog.runs.map(run => (
+              <tr key={run.id}>
+                <td style={cellStyle}>{new Date(run.startedAt).toLocaleString()}</td>
+                <td style={cellStyle}>{run.trigger}</td>
+                <td style={cellStyle}>{RUN_STATUS_ICONS[run.status]} {run.status}</td>
+                <td style={cellStyle}>
+                  {run.profiles.map(profile => (
+                    <div key={profile.jobId}>{profile.username} ({profile.platform}): {describeSyncedProfile(profile)}</div>
+                  ))}
+                  {run.skipped.map(profile => (
+                    <div key={`${profile.platform}:${profile.username}`} style={{ color: '#666' }}>
+                      {profile.username} ({profile.platform}): skipped
+                    </div>
+                  ))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {error && <div style={{ color: '#c00', fontSize: '13px', marginTop: '10px' }}>❌ {error}</div>}
+    </div>
+  );
+};
+
+const Profile = () => {
+  const { user, authFetch, startLichessAuth, setSessionUser } = useAuth();
+  // Usernames entered before linking required verification
+  const unverified = (user && user.unverifiedUsernames) || {};
+  const [chessComUsername, setChessComUsername] = useState(unverified['chess.com'] || '');
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  if (!user) {
+    return (
+      <div style={{ maxWidth: '700px', margin: '0 auto', fontFamily: 'monospace' }}>
+        <p>Sign in to manage your profile.</p>
+      </div>
+    );
+  }
+
+  // POST/DELETE to an account-linking endpoint and adopt the returned user
+  const callLinkEndpoint = async (url, method, body) => {
+    setBusy(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const response = await authFetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message ? `${data.error}: ${data.message}` : data.error);
+      }
+      if (data.user) setSessionUser(data.user);
+      if (data.verification) setSessionUser({ ...user, chessComVerification: data.verification });
+      if (data.message) setMessage(data.message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleLinkLichess = async () => {
+    const result = await startLichessAuth('link');
+    if (!result.success) setError(result.error);
+  };
+
+  const handleStartChessCom = (e) => {
+    e.preventDefault();
+    if (!chessComUsername.trim()) return;
+    callLinkEndpoint('/api/auth/link/chess-com', 'POST', { username: chessComUsername.trim() });
+  };
+
+  const verification = user.chessComVerification;
+
+  return (
+    <div style={{ maxWidth: '700px', margin: '0 auto', fontFamily: 'monospace' }}>
+      <h2 style={{ fontSize: '20px', marginBottom: '20px' }}>👤 {user.username}</h2>
+
+      <div style={sectionStyle}>
+        <h3 style={{ marginTop: 0, fontSize: '16px' }}>Linked Accounts</h3>
+        <p style={{ fontSize: '12px', color: '#666' }}>
+          Linked accounts are used by default when importing your games.
+        </p>
+
+        {/* Lichess: OAuth */}
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '10px 0', borderBottom: '1px solid #eee' }}>
+          <div>
+            <strong>lichess.org:</strong>{' '}
+            {user.lichessUsername ? `✅ ${user.lichessUsername}` : 'not linked'}
+            {!user.lichessUsername && unverified.lichess && (
+              <div style={{ fontSize: '12px', color: '#666' }}>
+                Previously entered: {unverified.lichess} (link with Lichess to verify it)
+              </div>
+            )}
+          </div>
+          {user.lichessUsername ? (
+            <button style={unlinkButtonStyle} disabled={busy} onClick={() => callLinkEndpoint('/api/auth/link/lichess', 'DELETE')}>
+              Unlink
+            </button>
+          ) : (
+            <button style={buttonStyle} disabled={busy} onClick={handleLinkLichess}>
+              Link with Lichess
+            </button>
+          )}
+        </div>
+
+        {/* chess.com: profile token */}
+        <div style={{ padding: '10px 0' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <div>
+              <strong>chess.com:</strong>{' '}
+              {user.chessComUsername ? `✅ ${user.chessComUsername}` : 'not linked'}
+              {!user.chessComUsername && unverified['chess.com'] && (
+                <div style={{ fontSize: '12px', color: '#666' }}>
+                  Previously entered: {unverified['chess.com']} (get a token to verify it)
+                </div>
+              )}
+            </div>
+            {user.chessComUsername && (
+              <button style={unlinkButtonStyle} disabled={busy} onClick={() => callLinkEndpoint('/api/auth/link/chess-com', 'DELETE')}>
+                Unlink
+              </button>
+            )}
+          </div>
+
+          {!user.chessComUsername && (
+            <form onSubmit={handleStartChessCom} style={{ display: 'flex', gap: '10px', marginTop: '10px' }}>
+              <input
+                type="text"
+                value={chessComUsername}
+                onChange={(e) => setChessComUsername(e.target.value)}
+                placeholder="chess.com username"
+                style={{ flex: 1, padding: '8px', border: '1px solid #ccc', fontFamily: 'monospace', fontSize: '14px' }}
+              />
+              <button type="submit" style={buttonStyle} disabled={busy}>
+                Get Token
+              </button>
+            </form>
+          )}
+
+          {!user.chessComUsername && verification && (
+            <div style={{ marginTop: '15px', padding: '10px', backgroundColor: '#f8f8f8', border: '1px solid #eee', fontSize: '13px' }}>
+              <div style={{ marginBottom: '8px' }}>
+                To prove you own <strong>{verification.username}</strong>, add this token to the
+                Location or Status field of your chess.com profile:
+              </div>
+              <div style={{ fontSize: '18px', fontWeight: 'bold', marginBottom: '8px' }}>{verification.token}</div>
+              <div style={{ color: '#666', marginBottom: '10px' }}>
+                Valid until {new Date(verification.expiresAt).toLocaleTimeString()}. Profile changes can take a few minutes to show up.
+              </div>
+              <button style={buttonStyle} disabled={busy} onClick={() => callLinkEndpoint('/api/auth/link/chess-com/verify', 'POST')}>
+                Verify
+              </button>
+            </div>
+          )}
+        </div>
+
+        {message && <div style={{ color: '#006600', fontSize: '13px', marginTop: '10px' }}>✅ {message}</div>}
+        {error && <div style={{ color: '#c00', fontSize: '13px', marginTop: '10px' }}>❌ {error}</div>}
+      </div>
+
+      <AutoSync />
+    </div>
+  );
+};
+
+export default Profile;
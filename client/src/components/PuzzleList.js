@@ -1,8 +1,9 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 
 const PuzzleList = ({ puzzles, summary }) => {
   const navigate = useNavigate();
+  const [mateFilter, setMateFilter] = useState(''); // '' for all puzzles, else the mate length to show
 
   if (!puzzles || puzzles.length === 0) {
     return (
@@ -19,6 +20,9 @@ const PuzzleList = ({ puzzles, summary }) => {
 
   // Map backend theme to human-friendly label
   const getThemeLabel = (theme) => {
+    const mateIn = /^mate_in_(\d+)$/.exec(theme || '');
+    if (mateIn) return `Mate in ${mateIn[1]}`;
+
     switch ((theme || '').toLowerCase()) {
       case 'tactical_advantage':
         return 'Tactical Blunder';
@@ -30,6 +34,12 @@ const PuzzleList = ({ puzzles, summary }) => {
         return 'Checkmate Opportunity';
       case 'tactical_opportunity':
         return 'Tactical Chance';
+      case 'back_rank_mate':
+        return 'Back-Rank Mate';
+      case 'zwischenzug':
+        return 'Zwischenzug (In-Between Move)';
+      case 'endgame':
+        return 'Endgame Technique';
       default:
         // Fallback: prettify the theme string
         return (theme || 'Unknown').replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
@@ -51,9 +61,38 @@ const PuzzleList = ({ puzzles, summary }) => {
     });
   };
 
+  // Mate lengths present in this batch, for the filter
+  const mateLengths = [...new Set(puzzles.map(puzzle => puzzle.solution?.mateIn).filter(Boolean))].sort((a, b) => a - b);
+  const shownPuzzles = puzzles
+    .map((puzzle, index) => ({ puzzle, index })) // keep each puzzle's place in the full list for the solver
+    .filter(({ puzzle }) => !mateFilter || puzzle.solution?.mateIn === Number(mateFilter));
+
   return (
     <div style={{ fontFamily: 'monospace' }}>
-      {puzzles.map((puzzle, index) => (
+      {mateLengths.length > 0 && (
+        <div style={{ marginBottom: '15px' }}>
+          <label>
+            <strong>Show:</strong>{' '}
+            <select
+              value={mateFilter}
+              onChange={(e) => setMateFilter(e.target.value)}
+              style={{
+                padding: '6px',
+                border: '1px solid #ccc',
+                fontFamily: 'monospace',
+                fontSize: '14px'
+              }}
+            >
+              <option value="">All puzzles</option>
+              {mateLengths.map(mateIn => (
+                <option key={mateIn} value={mateIn}>Mate in {mateIn}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+
+      {shownPuzzles.map(({ puzzle, index }) => (
         <div 
           key={puzzle.id || index}
           style={{ 
@@ -68,10 +107,15 @@ const PuzzleList = ({ puzzles, summary }) => {
             <h4 style={{ margin: 0 }}>
               Puzzle #{index + 1}
             </h4>
+            {puzzle.solution?.mateIn && (
+              <span style={{ fontSize: '12px', padding: '2px 8px', border: '1px solid #c00', color: '#c00' }}>
+                Mate in {puzzle.solution.mateIn}
+              </span>
+            )}
           </div>
 
           <div style={{ marginBottom: '10px' }}>
-            <strong>Theme:</strong> {getThemeLabel(puzzle.theme)}
+            <strong>Themes:</strong> {(puzzle.themes || [puzzle.theme]).map(getThemeLabel).join(', ')}
           </div>
 
           {puzzle.explanation && puzzle.explanation.description && (
@@ -123,7 +167,7 @@ const PuzzleList = ({ puzzles, summary }) => {
         backgroundColor: '#f0f8ff'
       }}>
         <p style={{ margin: 0, fontSize: '14px' }}>
-          <strong>Total Puzzles:</strong> {puzzles.length}
+          <strong>Total Puzzles:</strong> {mateFilter ? `${shownPuzzles.length} of ${puzzles.length}` : puzzles.length}
         </p>
       </div>
     </div>
@@ -1,15 +1,37 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, Link, useLocation, useNavigate } from 'react-router-dom';
-import { Chess } from 'chess.js';
+import { createBoard } from '../utils/chess960';
 import { Chessboard } from 'react-chessboard';
 import { ArrowLeft, CheckCircle, XCircle, RotateCcw, Eye, EyeOff, Target, ChevronLeft, ChevronRight, Bookmark } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Turn a theme tag such as 'discovered_attack' into a label; 'mate_in_2' becomes 'Mate in 2'
+const formatTheme = (theme) => {
+  const mateIn = /^mate_in_(\d+)$/.exec(theme || '');
+  if (mateIn) return `Mate in ${mateIn[1]}`;
+  return (theme || 'unknown').replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+};
+
+// The position the solver moves from: the puzzle position after the setup move
+const getSolvingFen = (puzzle) => {
+  const tempChess = createBoard(puzzle.position);
+  if (puzzle.setupMove) {
+    try {
+      tempChess.move(puzzle.setupMove.san);
+    } catch (e) {
+      console.warn('[WARNING] Failed to play setup move', puzzle.setupMove.san);
+    }
+  }
+  return tempChess.fen();
+};
 
 const PuzzleSolver = () => {
   const { puzzleId } = useParams();
   const location = useLocation();
   const navigate = useNavigate();
+  const { authFetch } = useAuth();
   const [puzzle, setPuzzle] = useState(null);
-  const [chess, setChess] = useState(new Chess());
+  const [chess, setChess] = useState(createBoard());
   const [userMoves, setUserMoves] = useState([]);
   const [currentMoveIndex, setCurrentMoveIndex] = useState(0);
   const [showSolution, setShowSolution] = useState(false);
@@ -39,6 +61,12 @@ const PuzzleSolver = () => {
   const [hasLoadedOtherPuzzles, setHasLoadedOtherPuzzles] = useState(false);
   const [hasInteractedWithBoard, setHasInteractedWithBoard] = useState(false);
   const [showMorePuzzles, setShowMorePuzzles] = useState(false);
+  const [acceptedLine, setAcceptedLine] = useState(null); // { puzzleId, moves } once an alternative solution is played
+  const [setupPlayed, setSetupPlayed] = useState(true); // false while the opponent's setup move is still to be shown
+  const [startedAt, setStartedAt] = useState(Date.now());
+  const [recordedPuzzleId, setRecordedPuzzleId] = useState(null); // only the first result per puzzle is rated
+  const [ratingChange, setRatingChange] = useState(null);
+  const [hintsUsed, setHintsUsed] = useState(0);
   
   // New state for managing puzzle collection
   const [puzzleCollection, setPuzzleCollection] = useState(null);
@@ -48,6 +76,11 @@ const PuzzleSolver = () => {
   const [totalPuzzlesToday, setTotalPuzzlesToday] = useState(0);
   const [showUnlockPrompt, setShowUnlockPrompt] = useState(false);
 
+  // The line being solved: the stored solution, or the alternative line the user switched to
+  const solutionMoves = acceptedLine && puzzle && acceptedLine.puzzleId === puzzle.id
+    ? acceptedLine.moves
+    : (puzzle?.solution?.moves || []);
+
   // Check if user is signed in (you can enhance this with actual auth logic)
   const isUserSignedIn = () => {
     // For now, check if username and platform are stored
@@ -129,6 +162,28 @@ const PuzzleSolver = () => {
     }
   }, [puzzleId, puzzle]);
 
+  // Show the puzzle position first, then play the opponent's setup move
+  useEffect(() => {
+    setStartedAt(Date.now());
+    setRatingChange(null);
+    setHintsUsed(0);
+    if (!puzzle || !puzzle.setupMove) {
+      setSetupPlayed(true);
+      return;
+    }
+    setSetupPlayed(false);
+    const timer = setTimeout(() => {
+      setSetupPlayed(true);
+      const { uci } = puzzle.setupMove;
+      setLastMoveHighlight({
+        from: uci.slice(0, 2),
+        to: uci.slice(2, 4),
+        timestamp: Date.now()
+      });
+    }, 700);
+    return () => clearTimeout(timer);
+  }, [puzzle]);
+
   useEffect(() => {
     if (!selectedSquare || !chess) {
       setMovePreviews([]);
@@ -138,7 +193,7 @@ const PuzzleSolver = () => {
     try {
       // Use currentMoveIndex to get the current position
       const currentPosition = getBoardFenAtMove(currentMoveIndex);
-      const tempChess = new Chess(currentPosition);
+      const tempChess = createBoard(currentPosition);
       const moves = tempChess.moves({ square: selectedSquare, verbose: true });
       setMovePreviews(moves);
       setMoveError(null);
@@ -206,7 +261,7 @@ const PuzzleSolver = () => {
           // Track this puzzle's FEN position to avoid duplicates
           addUsedFenPosition(targetPuzzle.position);
           setPuzzle(targetPuzzle);
-          const newChess = new Chess(targetPuzzle.position);
+          const newChess = createBoard(getSolvingFen(targetPuzzle));
           setChess(newChess);
           setLoading(false);
           return;
@@ -215,7 +270,7 @@ const PuzzleSolver = () => {
       
       // Fallback: fetch from backend
       console.log('[DEBUG] Fetching puzzle from backend, puzzleId:', puzzleId);
-      const response = await fetch(`/api/puzzles/${puzzleId}`);
+      const response = await authFetch(`/api/puzzles/${puzzleId}`);
       if (!response.ok) throw new Error('Failed to load puzzle');
       const data = await response.json();
       if (!data.success || !data.puzzle) throw new Error('Puzzle not found');
@@ -223,7 +278,7 @@ const PuzzleSolver = () => {
       // Track this puzzle's FEN position to avoid duplicates
       addUsedFenPosition(data.puzzle.position);
       setPuzzle(data.puzzle);
-      const newChess = new Chess(data.puzzle.position);
+      const newChess = createBoard(getSolvingFen(data.puzzle));
       setChess(newChess);
       setLoading(false);
     } catch (err) {
@@ -234,9 +289,11 @@ const PuzzleSolver = () => {
   };
 
   const onDrop = (sourceSquare, targetSquare) => {
+    if (!setupPlayed) return false;
     try {
       // Use the current board position based on moves made so far
-      const tempChess = new Chess(getBoardFenAtMove(currentMoveIndex));
+      const fenBeforeMove = getBoardFenAtMove(currentMoveIndex);
+      const tempChess = createBoard(fenBeforeMove);
       
       const move = tempChess.move({
         from: sourceSquare,
@@ -247,7 +304,7 @@ const PuzzleSolver = () => {
       if (move === null) {
         setWrongMoveData({
           attemptedMove: `${sourceSquare}-${targetSquare}`,
-          correctMove: puzzle.solution.moves[currentMoveIndex],
+          correctMove: solutionMoves[currentMoveIndex],
           moveNumber: currentMoveIndex + 1,
           illegal: true
         });
@@ -258,7 +315,7 @@ const PuzzleSolver = () => {
       }
 
       // Update the chess state with the new position
-      setChess(new Chess(tempChess.fen()));
+      setChess(createBoard(tempChess.fen()));
       setUserMoves([...userMoves, move.san]);
       
       // Small delay for smoother visual transition
@@ -266,10 +323,15 @@ const PuzzleSolver = () => {
         setBoardKey(prev => prev + 1); // Force chessboard re-render
       }, 50);
       
-      // Check if this is the correct move
-      const correctMove = puzzle.solution.moves[currentMoveIndex];
+      // Check if this is the correct move, or an alternative that keeps the win
+      const correctMove = solutionMoves[currentMoveIndex];
+      const alternativeLine = move.san === correctMove ? null : getAlternativeLine(move, tempChess);
+      const line = alternativeLine ? [...solutionMoves.slice(0, currentMoveIndex), ...alternativeLine] : solutionMoves;
       
-      if (move.san === correctMove) {
+      if (move.san === correctMove || alternativeLine) {
+        if (alternativeLine) {
+          setAcceptedLine({ puzzleId: puzzle.id, moves: line });
+        }
         setIsCorrect(true);
         setCurrentMoveIndex(currentMoveIndex + 1);
         setFailedAttempts(0);
@@ -291,7 +353,7 @@ const PuzzleSolver = () => {
           setShowSuccessAnimation(false);
         }, 1000);
         
-        if (currentMoveIndex + 1 >= puzzle.solution.moves.length) {
+        if (currentMoveIndex + 1 >= line.length) {
           // Puzzle solved! Grade performance
           let stars = 3;
           if (showSolution) {
@@ -302,6 +364,7 @@ const PuzzleSolver = () => {
             stars = 2;
           }
           setStarRating(stars);
+          recordResult(true, [...userMoves, move.san]);
           setTimeout(() => {
             setShowRatingModal(true);
           }, 500);
@@ -312,13 +375,13 @@ const PuzzleSolver = () => {
             
             // After showing the thinking indicator, play the move
             setTimeout(() => {
-              const opponentMove = puzzle.solution.moves[currentMoveIndex + 1];
+              const opponentMove = line[currentMoveIndex + 1];
               if (opponentMove) {
                 setCurrentMoveIndex(currentMoveIndex + 2); // Skip to next player's turn
                 setUserMoves([...userMoves, move.san, opponentMove]);
                 
                 // Check if this completes the puzzle
-                if (currentMoveIndex + 2 >= puzzle.solution.moves.length) {
+                if (currentMoveIndex + 2 >= line.length) {
                   let stars = 3;
                   if (showSolution) {
                     stars = 0;
@@ -328,6 +391,7 @@ const PuzzleSolver = () => {
                     stars = 2;
                   }
                   setStarRating(stars);
+                  recordResult(true, [...userMoves, move.san, opponentMove]);
                   setTimeout(() => {
                     setShowRatingModal(true);
                   }, 500);
@@ -351,6 +415,7 @@ const PuzzleSolver = () => {
         });
         setShowWrongMoveModal(true);
         setFailedAttempts(failedAttempts + 1);
+        recordResult(false, [...userMoves, move.san]);
       }
       setShowHint(false); // Hide hint after any move
       setMoveError(null); // Clear any previous move errors
@@ -362,9 +427,53 @@ const PuzzleSolver = () => {
     }
   };
 
+  // Send the first solve or fail for this puzzle so the puzzle and user ratings update
+  // and, when signed in, the attempt is added to the user's history
+  const recordResult = async (solved, moves) => {
+    if (!puzzle || !puzzle.id || recordedPuzzleId === puzzle.id) return;
+    setRecordedPuzzleId(puzzle.id);
+    try {
+      const response = await authFetch(`/api/puzzles/${puzzle.id}/solve`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          solved,
+          moves,
+          hintsUsed,
+          timeSpent: Math.round((Date.now() - startedAt) / 1000)
+        })
+      });
+      const data = await response.json();
+      if (data.success && data.ratingChange !== null) {
+        setRatingChange(data.ratingChange);
+      }
+    } catch (error) {
+      console.error('[ERROR] Failed to record puzzle result:', error);
+    }
+  };
+
+  // If `move` is not the solution move but still keeps the win, return the line to continue with.
+  // Any checkmate is accepted; other alternatives come from the engine's MultiPV analysis.
+  const getAlternativeLine = (move, chessAfterMove) => {
+    if (chessAfterMove.isCheckmate()) {
+      return [move.san];
+    }
+
+    // Stored alternatives only apply while the user is still on the main line
+    const mainLine = puzzle.solution.moves;
+    const onMainLine = solutionMoves.slice(0, currentMoveIndex).join(' ') === mainLine.slice(0, currentMoveIndex).join(' ');
+    if (!onMainLine) return null;
+
+    const alternatives = (puzzle.solution.alternatives && puzzle.solution.alternatives[currentMoveIndex]) || [];
+    const uci = move.from + move.to + (move.promotion || '');
+    const alternative = alternatives.find(a => a.uciMoves && a.uciMoves[0] === uci);
+    return alternative ? alternative.moves : null;
+  };
+
   const resetPuzzle = () => {
-    const newChess = new Chess(puzzle.position);
+    const newChess = createBoard(getSolvingFen(puzzle));
     setChess(newChess);
+    setAcceptedLine(null);
     setUserMoves([]);
     setCurrentMoveIndex(0);
     setIsCorrect(null);
@@ -381,8 +490,9 @@ const PuzzleSolver = () => {
 
   const handleWrongMoveRetry = () => {
     // Reset to the beginning of the puzzle
-    const newChess = new Chess(puzzle.position);
+    const newChess = createBoard(getSolvingFen(puzzle));
     setChess(newChess);
+    setAcceptedLine(null);
     setUserMoves([]);
     setCurrentMoveIndex(0);
     setShowWrongMoveModal(false);
@@ -391,28 +501,30 @@ const PuzzleSolver = () => {
 
   const handleWrongMoveContinue = () => {
     // Continue from the last successful move (undo the wrong move)
-    const newChess = new Chess(puzzle.position);
+    const newChess = createBoard(getSolvingFen(puzzle));
     // Replay all correct moves up to currentMoveIndex
     for (let i = 0; i < currentMoveIndex; i++) {
-      const result = newChess.move(puzzle.solution.moves[i], { sloppy: true });
+      const result = newChess.move(solutionMoves[i], { sloppy: true });
       if (!result) {
-        console.warn(`[WARNING] Failed to replay move ${puzzle.solution.moves[i]} in handleWrongMoveContinue`);
+        console.warn(`[WARNING] Failed to replay move ${solutionMoves[i]} in handleWrongMoveContinue`);
       }
     }
     setChess(newChess);
-    setUserMoves(puzzle.solution.moves.slice(0, currentMoveIndex));
+    setUserMoves(solutionMoves.slice(0, currentMoveIndex));
     setShowWrongMoveModal(false);
     setWrongMoveData(null);
   };
 
   const handleShowHint = () => {
+    if (!showHint) setHintsUsed(prev => prev + 1);
     setShowHint(true);
   };
 
   const getBoardOrientation = () => {
     if (puzzle && puzzle.position) {
+      // The solver plays the side to move after the setup move
       // FEN format: rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1
-      const fenParts = puzzle.position.split(' ');
+      const fenParts = getSolvingFen(puzzle).split(' ');
       if (fenParts.length > 1) {
         return fenParts[1] === 'b' ? 'black' : 'white';
       }
@@ -441,10 +553,10 @@ const PuzzleSolver = () => {
   
   // Highlight for hint
   if (showHint && puzzle && chess) {
-    const correctMove = puzzle.solution.moves[currentMoveIndex];
+    const correctMove = solutionMoves[currentMoveIndex];
     if (correctMove) {
       try {
-        const tempChess = new Chess(getBoardFenAtMove(currentMoveIndex));
+        const tempChess = createBoard(getBoardFenAtMove(currentMoveIndex));
         const moveObj = tempChess.move(correctMove, { sloppy: true });
         if (moveObj && moveObj.from) {
           customSquareStyles[moveObj.from] = {
@@ -480,19 +592,19 @@ const PuzzleSolver = () => {
     if (!puzzle) return chess.fen();
     
     try {
-      // Start from the puzzle position (which is already set to the correct starting point)
-      const tempChess = new Chess(puzzle.position);
+      // Start from the position after the setup move
+      const tempChess = createBoard(getSolvingFen(puzzle));
       
-      // If moveIndex is 0, show the puzzle position as-is
+      // If moveIndex is 0, show the starting position as-is
       if (moveIndex === 0) {
         return tempChess.fen();
       }
       
       // Play solution moves up to moveIndex
-      const movesToPlay = Math.min(moveIndex, puzzle.solution.moves.length);
+      const movesToPlay = Math.min(moveIndex, solutionMoves.length);
       
       for (let i = 0; i < movesToPlay; i++) {
-        const move = puzzle.solution.moves[i];
+        const move = solutionMoves[i];
         
         // Try to play the move directly - chess.js will handle validation
         const result = tempChess.move(move, { sloppy: true });
@@ -508,8 +620,8 @@ const PuzzleSolver = () => {
       return tempChess.fen();
     } catch (error) {
       console.error('[ERROR] Error in getBoardFenAtMove:', error);
-      // Return the original puzzle position as fallback
-      return puzzle.position;
+      // Return the starting position as fallback
+      return getSolvingFen(puzzle);
     }
   };
 
@@ -517,7 +629,7 @@ const PuzzleSolver = () => {
     setMoveNavIndex((prev) => Math.max(0, prev - 1));
   };
   const handleNavForward = () => {
-    setMoveNavIndex((prev) => Math.min(puzzle.solution.moves.length, prev + 1));
+    setMoveNavIndex((prev) => Math.min(solutionMoves.length, prev + 1));
   };
 
   // Handle square click for move preview
@@ -543,7 +655,7 @@ const PuzzleSolver = () => {
     } else {
       // Allow selecting any piece that exists on the square
       // Use currentMoveIndex to get the current position
-      const tempChess = new Chess(getBoardFenAtMove(currentMoveIndex));
+      const tempChess = createBoard(getBoardFenAtMove(currentMoveIndex));
       const piece = tempChess.get(square);
       if (piece) {
         setSelectedSquare(square);
@@ -576,7 +688,7 @@ const PuzzleSolver = () => {
     setPlayedDemoFen(getFenBeforeOriginalMove());
     setIsAnimatingPlayedMove(true);
     setTimeout(() => {
-      const tempChess = new Chess(getFenBeforeOriginalMove());
+      const tempChess = createBoard(getFenBeforeOriginalMove());
       tempChess.move(puzzle.gameContext.originalMove);
       setPlayedDemoFen(tempChess.fen());
       setIsAnimatingPlayedMove(false);
@@ -594,24 +706,14 @@ const PuzzleSolver = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [showPlayedModal]);
 
-  // Enhanced lazy loading: generate more puzzles on first chessboard interaction, then fetch others
+  // Lazy loading: fetch other puzzles on first chessboard interaction
   useEffect(() => {
           if (
         hasInteractedWithBoard &&
         !hasLoadedOtherPuzzles &&
         puzzle && puzzle.id
       ) {
-        console.log('[DEBUG] Triggering puzzle generation on first board interaction');
-        const username = localStorage.getItem('username');
-        const platform = localStorage.getItem('platform');
-        const usedFens = getUsedFenPositions();
-        
-        fetch(`/api/puzzles/generate-more?username=${encodeURIComponent(username)}&platform=${encodeURIComponent(platform)}&usedFens=${encodeURIComponent(JSON.stringify(usedFens))}`)
-          .then(res => res.json())
-          .then(data => {
-            console.log('[DEBUG] Generated more puzzles:', data);
-            return fetch(`/api/puzzles/others?exclude=${puzzle.id}`);
-          })
+        fetch(`/api/puzzles/others?exclude=${puzzle.id}`)
           .then(res => res.json())
           .then(data => {
             if (data.success && Array.isArray(data.puzzles)) {
@@ -622,7 +724,7 @@ const PuzzleSolver = () => {
             setHasLoadedOtherPuzzles(true);
           })
           .catch((error) => {
-            console.error('[ERROR] Error in puzzle generation:', error);
+            console.error('[ERROR] Error loading other puzzles:', error);
             setHasLoadedOtherPuzzles(true);
           });
       }
@@ -722,7 +824,8 @@ const PuzzleSolver = () => {
         // Final fallback: fetch a new random puzzle from the backend
         const username = localStorage.getItem('username');
         const platform = localStorage.getItem('platform');
-        const response = await fetch(`/api/puzzles/random?username=${encodeURIComponent(username)}&platform=${encodeURIComponent(platform)}`);
+        // Signed-in users get a puzzle close to their own rating
+        const response = await authFetch(`/api/puzzles/random?username=${encodeURIComponent(username)}&platform=${encodeURIComponent(platform)}`);
         if (!response.ok) throw new Error('Failed to load next puzzle');
         const data = await response.json();
         if (!data.success || !data.puzzle) throw new Error('No more puzzles available');
@@ -732,7 +835,7 @@ const PuzzleSolver = () => {
       // Track this puzzle's FEN position to avoid duplicates
       addUsedFenPosition(nextPuzzle.position);
       setPuzzle(nextPuzzle);
-      setChess(new Chess(nextPuzzle.position));
+      setChess(createBoard(getSolvingFen(nextPuzzle)));
       setLoading(false);
       setHasLoadedOtherPuzzles(false); // Reset for next puzzle
       setHasInteractedWithBoard(false); // Reset for next puzzle
@@ -783,7 +886,7 @@ const PuzzleSolver = () => {
     }
     
     setPuzzle(puzzle);
-    setChess(new Chess(puzzle.position));
+    setChess(createBoard(getSolvingFen(puzzle)));
     setLoading(false);
     setHasLoadedOtherPuzzles(false); // Reset for next puzzle
   };
@@ -919,7 +1022,12 @@ const PuzzleSolver = () => {
         <div className="space-y-3">
                         <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-3">
                 <div className="flex items-center justify-between mb-3">
-                  <h3 className="text-lg font-semibold text-gray-900">Puzzle #{puzzle.id ? puzzle.id.substring(0, 8) : 'Unknown'}</h3>
+                  <h3 className="text-lg font-semibold text-gray-900">
+                    Puzzle #{puzzle.id ? puzzle.id.substring(0, 8) : 'Unknown'}
+                    {puzzle.solution.mateIn && (
+                      <span className="ml-2 px-2 py-1 text-xs font-semibold text-red-800 bg-red-100 rounded-full">Mate in {puzzle.solution.mateIn}</span>
+                    )}
+                  </h3>
                   <button
                     onClick={() => {
                       // Save puzzle functionality - you can implement this later
@@ -942,14 +1050,14 @@ const PuzzleSolver = () => {
                   >
                     <ChevronLeft className={`w-5 h-5 ${moveNavIndex === 0 ? 'text-gray-400' : 'text-blue-600'}`} />
                   </button>
-                  <span className="text-gray-700 font-medium">Move {moveNavIndex + 1} / {puzzle.solution.moves.length}</span>
+                  <span className="text-gray-700 font-medium">Move {moveNavIndex + 1} / {solutionMoves.length}</span>
                   <button
                     onClick={handleNavForward}
-                    className={`p-2 rounded-full border transition-colors duration-150 ${moveNavIndex === puzzle.solution.moves.length - 1 ? 'bg-gray-200 text-gray-400 cursor-not-allowed' : 'bg-blue-100 text-blue-600 hover:bg-blue-200'}`}
-                    disabled={moveNavIndex === puzzle.solution.moves.length - 1}
-                    aria-disabled={moveNavIndex === puzzle.solution.moves.length - 1}
+                    className={`p-2 rounded-full border transition-colors duration-150 ${moveNavIndex === solutionMoves.length - 1 ? 'bg-gray-200 text-gray-400 cursor-not-allowed' : 'bg-blue-100 text-blue-600 hover:bg-blue-200'}`}
+                    disabled={moveNavIndex === solutionMoves.length - 1}
+                    aria-disabled={moveNavIndex === solutionMoves.length - 1}
                   >
-                    <ChevronRight className={`w-5 h-5 ${moveNavIndex === puzzle.solution.moves.length - 1 ? 'text-gray-400' : 'text-blue-600'}`} />
+                    <ChevronRight className={`w-5 h-5 ${moveNavIndex === solutionMoves.length - 1 ? 'text-gray-400' : 'text-blue-600'}`} />
                   </button>
                 </div>
               ) : (
@@ -984,7 +1092,9 @@ const PuzzleSolver = () => {
                 
 
                                 {(() => {
-                  const position = isReviewMode ? getBoardFenAtMove(moveNavIndex) : getBoardFenAtMove(currentMoveIndex);
+                  const position = isReviewMode
+                    ? getBoardFenAtMove(moveNavIndex)
+                    : (setupPlayed ? getBoardFenAtMove(currentMoveIndex) : puzzle.position);
                   return (
                     <Chessboard
                       key={boardKey}
@@ -1149,10 +1259,25 @@ const PuzzleSolver = () => {
             
             <div className="space-y-4">
               <div>
-                <span className="text-sm font-medium text-gray-500">Theme</span>
-                <p className="text-gray-900 font-semibold capitalize">{puzzle.theme.replace('_', ' ')}</p>
+                <span className="text-sm font-medium text-gray-500">Themes</span>
+                <div className="flex flex-wrap gap-2 mt-1">
+                  {(puzzle.themes || [puzzle.theme]).map(theme => (
+                    <span key={theme} className="px-2 py-1 text-xs font-semibold text-blue-800 bg-blue-100 rounded-full">
+                      {formatTheme(theme)}
+                    </span>
+                  ))}
+                </div>
               </div>
               
+              {puzzle.rating ? (
+              <div>
+                <span className="text-sm font-medium text-gray-500">Rating</span>
+                <p className="text-gray-900 font-semibold">
+                  {Math.round(puzzle.rating.rating)}
+                  {puzzle.rating.games === 0 && <span className="ml-1 text-sm text-gray-500 font-normal">(provisional)</span>}
+                </p>
+              </div>
+              ) : (
               <div>
                 <span className="text-sm font-medium text-gray-500">Difficulty</span>
                 <div className="flex items-center space-x-2 mt-1">
@@ -1167,18 +1292,34 @@ const PuzzleSolver = () => {
                   <span className="text-sm text-gray-600">({puzzle.difficulty}/5)</span>
                 </div>
               </div>
+              )}
 
               <div>
                 <span className="text-sm font-medium text-gray-500">Evaluation</span>
                 <p className="text-gray-900 font-semibold">
-                  {puzzle.solution.evaluation > 0 ? '+' : ''}{puzzle.solution.evaluation.toFixed(1)}
+                  {puzzle.solution.mateIn
+                    ? `Mate in ${puzzle.solution.mateIn}`
+                    : `${puzzle.solution.evaluation > 0 ? '+' : ''}${puzzle.solution.evaluation.toFixed(1)}`}
                 </p>
               </div>
 
+              {puzzle.metadata?.tablebase?.proven && (
+              <div>
+                <span className="text-sm font-medium text-gray-500">Tablebase</span>
+                <p className="text-gray-900">
+                  Proven {puzzle.metadata.tablebase.wdl === 'draw' ? 'draw' : 'win'}
+                  {puzzle.metadata.tablebase.dtz != null && <span className="ml-1 text-sm text-gray-500">(DTZ {Math.abs(puzzle.metadata.tablebase.dtz)})</span>}
+                </p>
+              </div>
+              )}
+
               <div>
                 <span className="text-sm font-medium text-gray-500">Game Context</span>
                 <p className="text-gray-900">Move {puzzle.gameContext.moveNumber} - {puzzle.gameContext.originalMove}</p>
                 <p className="text-gray-600 text-sm">{puzzle.gameContext.player === 'w' ? 'White' : puzzle.gameContext.player === 'b' ? 'Black' : puzzle.gameContext.player} to move</p>
+                {puzzle.gameData?.variant === 'chess960' && (
+                  <p className="text-gray-600 text-sm">Chess960: castle by moving the king onto its rook</p>
+                )}
                 {/*
                 <button
                   className="mt-2 px-3 py-1 bg-blue-100 text-blue-800 rounded hover:bg-blue-200 text-sm font-medium"
@@ -1203,6 +1344,10 @@ const PuzzleSolver = () => {
             {puzzle.explanation && puzzle.explanation.detailedClue && (
               <p className="text-gray-500 leading-relaxed text-sm"><strong>More context:</strong> {puzzle.explanation.detailedClue}</p>
             )}
+            {/* Defensive puzzles: what the only move saves, once the move is known */}
+            {puzzle.explanation && puzzle.explanation.stakes && (showSolution || isReviewMode) && (
+              <p className="text-gray-700 leading-relaxed text-sm mt-2"><strong>What was at stake:</strong> {puzzle.explanation.stakes}</p>
+            )}
           </div>
 
           {/* Solution (Hidden by default) */}
@@ -1210,7 +1355,7 @@ const PuzzleSolver = () => {
             <div className="bg-purple-50 rounded-lg border border-purple-200 p-6">
               <h4 className="font-semibold text-purple-900 mb-3">Solution</h4>
               <div className="space-y-2">
-                {puzzle.solution.moves.map((move, index) => (
+                {solutionMoves.map((move, index) => (
                   <div key={index} className="flex items-center space-x-2">
                     <span className="text-sm font-medium text-purple-700">{index + 1}.</span>
                     <span className="px-2 py-1 bg-purple-100 text-purple-800 rounded text-sm font-medium">
@@ -1228,12 +1373,12 @@ const PuzzleSolver = () => {
             <div className="space-y-2">
               <div className="flex justify-between text-sm">
                 <span className="text-gray-600">Moves completed</span>
-                <span className="font-medium">{currentMoveIndex}/{puzzle.solution.moves.length}</span>
+                <span className="font-medium">{currentMoveIndex}/{solutionMoves.length}</span>
               </div>
               <div className="w-full bg-gray-200 rounded-full h-2">
                 <div
                   className="bg-blue-600 h-2 rounded-full transition-all duration-300"
-                  style={{ width: `${(currentMoveIndex / puzzle.solution.moves.length) * 100}%` }}
+                  style={{ width: `${(currentMoveIndex / solutionMoves.length) * 100}%` }}
                 />
               </div>
             </div>
@@ -1257,6 +1402,14 @@ const PuzzleSolver = () => {
               {starRating === 1 && 'Good effort!'}
               {starRating === 0 && 'Try again for a better score!'}
             </p>
+            {puzzle.explanation && puzzle.explanation.stakes && (
+              <p className="mb-4 text-sm text-gray-600">{puzzle.explanation.stakes}</p>
+            )}
+            {ratingChange !== null && (
+              <p className={`mb-4 font-semibold ${ratingChange >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                Rating {ratingChange >= 0 ? '+' : ''}{ratingChange}
+              </p>
+            )}
             <div className="flex flex-row justify-center gap-2 mt-4">
               <button
                 onClick={() => { setShowRatingModal(false); setIsReviewMode(true); }}
@@ -1311,7 +1464,7 @@ const PuzzleSolver = () => {
                   // Optionally, highlight the move
                   customArrows={puzzle && puzzle.gameContext && puzzle.gameContext.originalMove ? [
                     (() => {
-                      const tempChess = new Chess(getFenBeforeOriginalMove());
+                      const tempChess = createBoard(getFenBeforeOriginalMove());
                       const move = tempChess.move(puzzle.gameContext.originalMove);
                       if (!move) return null;
                       return [move.from, move.to, '#f59e42'];
@@ -1361,7 +1514,7 @@ const PuzzleSolver = () => {
                 </p>
               )}
               <p className="text-sm text-gray-500 mb-2">
-                Move {wrongMoveData.moveNumber} of {puzzle?.solution?.moves?.length}
+                Move {wrongMoveData.moveNumber} of {solutionMoves.length}
               </p>
             </div>
             <div className="flex justify-center space-x-4">
@@ -1402,7 +1555,7 @@ const PuzzleSolver = () => {
                       <div className="font-semibold text-gray-900">
                         Puzzle #{p.id ? p.id.substring(0, 8) : p.originalIndex + 1}
                       </div>
-                      <div className="text-sm text-gray-600">{p.theme}</div>
+                      <div className="text-sm text-gray-600">{formatTheme(p.theme)}</div>
                       <div className="text-xs text-gray-400">
                         {p.gameData?.white} vs {p.gameData?.black} • {p.difficulty ? `${p.difficulty}/5` : ''}
                       </div>
@@ -1415,7 +1568,7 @@ const PuzzleSolver = () => {
                     onClick={() => handleSelectOtherPuzzle(p)}
                     className="w-full text-left p-3 border rounded hover:bg-blue-50 focus:outline-none"
                   >
-                    <div className="font-semibold text-gray-900">{p.theme}</div>
+                    <div className="font-semibold text-gray-900">{formatTheme(p.theme)}</div>
                     <div className="text-sm text-gray-600">{p.gameData?.white} vs {p.gameData?.black}</div>
                     <div className="text-xs text-gray-400">{p.difficulty ? `${p.difficulty}/5` : ''}</div>
                   </button>
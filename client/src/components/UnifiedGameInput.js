@@ -1,25 +1,136 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+
+const PGN_MAX_GAMES = 50; // the server analyzes at most this many games of a PGN
+const URL_VALIDATION_DELAY = 400; // ms after the last keystroke before the URL is checked
+
+const tabStyle = (active) => ({
+  padding: '8px 16px',
+  border: '1px solid #ccc',
+  borderBottom: active ? '1px solid white' : '1px solid #ccc',
+  backgroundColor: active ? 'white' : '#f5f5f5',
+  fontFamily: 'monospace',
+  fontSize: '14px',
+  cursor: 'pointer',
+  marginBottom: '-1px'
+});
 
 const UnifiedGameInput = ({ onGenerate }) => {
-  const [platform, setPlatform] = useState('chess.com');
+  const { user } = useAuth();
+  const [source, setSource] = useState('username'); // 'username' | 'url' | 'pgn'
+  const [platform, setPlatform] = useState(user?.lichessUsername && !user?.chessComUsername ? 'lichess.org' : 'chess.com');
   const [username, setUsername] = useState('');
+  const [pgn, setPgn] = useState('');
+  const [pgnFileName, setPgnFileName] = useState(null);
+  const [playerName, setPlayerName] = useState('');
+  const [gameUrl, setGameUrl] = useState('');
+  const [urlValidation, setUrlValidation] = useState(null); // response of /api/games/validate-url
+  const [gameUsername, setGameUsername] = useState('');
+  const [perspective, setPerspective] = useState('mine'); // whose missed wins become puzzles
+
+  // Check the game URL with the server as it is typed
+  useEffect(() => {
+    const url = gameUrl.trim();
+    setUrlValidation(null);
+    if (!url) return undefined;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch('/api/games/validate-url', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ gameUrl: url })
+        });
+        const data = await response.json();
+        if (!cancelled) setUrlValidation(data);
+      } catch (err) {
+        if (!cancelled) setUrlValidation({ isValid: false, message: 'Could not check the URL' });
+      }
+    }, URL_VALIDATION_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [gameUrl]);
+
+  // A verified account on the selected platform is used when the field is left empty
+  const linkedUsername = platform === 'lichess.org' ? user?.lichessUsername : user?.chessComUsername;
+
+  // The player whose side the perspective is taken from, if the import names one
+  const importPlayer = source === 'username'
+    ? username.trim() || linkedUsername
+    : source === 'pgn'
+      ? playerName.trim()
+      : gameUsername.trim() || urlValidation?.username || (urlValidation?.needsUsername ? user?.chessComUsername : null);
+
+  // Load an uploaded .pgn file into the text area
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      setPgn(reader.result);
+      setPgnFileName(file.name);
+    };
+    reader.readAsText(file);
+  };
 
   const handleSubmit = (e) => {
     e.preventDefault();
+
+    if (source === 'url') {
+      if (!urlValidation || !urlValidation.isValid) {
+        alert('Please enter a valid chess.com or lichess.org game URL');
+        return;
+      }
+      if (urlValidation.needsUsername && !importPlayer) {
+        alert('Please enter the chess.com username of one of the players');
+        return;
+      }
+      onGenerate({
+        type: 'single',
+        gameUrl: gameUrl.trim(),
+        username: importPlayer || undefined,
+        perspective: importPlayer ? perspective : 'both',
+        maxPuzzles: 5
+      });
+      return;
+    }
+
+    if (source === 'pgn') {
+      if (!pgn.trim()) {
+        alert('Please paste a PGN or choose a PGN file');
+        return;
+      }
+      onGenerate({
+        type: 'bulk',
+        platform: 'pgn',
+        pgn,
+        username: importPlayer || undefined,
+        perspective: importPlayer ? perspective : 'both',
+        maxGames: PGN_MAX_GAMES,
+        maxPuzzles: 5
+      });
+      return;
+    }
     
-    if (!username.trim()) {
+    const selectedUsername = username.trim() || linkedUsername;
+    if (!selectedUsername) {
       alert('Please enter a username');
       return;
     }
     
     // Store username and platform in localStorage for use in PuzzleSolver
-    localStorage.setItem('username', username.trim());
+    localStorage.setItem('username', selectedUsername);
     localStorage.setItem('platform', platform);
     
     onGenerate({ 
       type: 'bulk', 
       platform, 
-      username: username.trim(), 
+      username: selectedUsername, 
+      perspective,
       maxGames: 10,
       maxPuzzles: 5
     });
@@ -27,13 +138,173 @@ const UnifiedGameInput = ({ onGenerate }) => {
 
   return (
     <form onSubmit={handleSubmit} style={{ fontFamily: 'monospace' }}>
+      {/* Game source */}
+      <div style={{ display: 'flex', gap: '4px', borderBottom: '1px solid #ccc', marginBottom: '20px' }}>
+        <button type="button" style={tabStyle(source === 'username')} onClick={() => setSource('username')}>
+          Username
+        </button>
+        <button type="button" style={tabStyle(source === 'url')} onClick={() => setSource('url')}>
+          Game URL
+        </button>
+        <button type="button" style={tabStyle(source === 'pgn')} onClick={() => setSource('pgn')}>
+          PGN
+        </button>
+      </div>
+
+      {source === 'url' && (
+        <>
+          <div style={{ marginBottom: '20px' }}>
+            <label style={{ display: 'block', marginBottom: '10px' }}>
+              <strong>Game URL:</strong>
+            </label>
+            <input
+              type="text"
+              value={gameUrl}
+              onChange={(e) => setGameUrl(e.target.value)}
+              placeholder="https://www.chess.com/game/live/... or https://lichess.org/..."
+              style={{
+                width: '100%',
+                padding: '10px',
+                border: `1px solid ${urlValidation && !urlValidation.isValid ? '#c00' : '#ccc'}`,
+                fontFamily: 'monospace',
+                fontSize: '14px'
+              }}
+            />
+            {urlValidation && (
+              <p style={{ fontSize: '12px', color: urlValidation.isValid ? '#006600' : '#c00', marginTop: '5px' }}>
+                {urlValidation.isValid ? '✅' : '❌'} {urlValidation.message}
+              </p>
+            )}
+          </div>
+
+          {/* chess.com only lists games per player, so a player is needed to find the game */}
+          {urlValidation && urlValidation.isValid && (
+            <div style={{ marginBottom: '20px' }}>
+              <label style={{ display: 'block', marginBottom: '10px' }}>
+                <strong>{urlValidation.needsUsername ? 'Your chess.com username (or one of the players\'):' : 'Your username in this game (optional):'}</strong>
+              </label>
+              <input
+                type="text"
+                value={gameUsername}
+                onChange={(e) => setGameUsername(e.target.value)}
+                placeholder={urlValidation.username || (urlValidation.needsUsername && user?.chessComUsername ? `${user.chessComUsername} (linked account)` : 'Enter a username')}
+                style={{
+                  width: '100%',
+                  padding: '10px',
+                  border: '1px solid #ccc',
+                  fontFamily: 'monospace',
+                  fontSize: '14px'
+                }}
+              />
+            </div>
+          )}
+        </>
+      )}
+
+      {source === 'pgn' && (
+        <>
+          <div style={{ marginBottom: '20px' }}>
+            <label style={{ display: 'block', marginBottom: '10px' }}>
+              <strong>PGN:</strong>
+            </label>
+            <input type="file" accept=".pgn,text/plain" onChange={handleFileChange} style={{ marginBottom: '10px', fontFamily: 'monospace' }} />
+            <textarea
+              value={pgn}
+              onChange={(e) => {
+                setPgn(e.target.value);
+                setPgnFileName(null);
+              }}
+              placeholder={'[Event "Club Championship"]\n[White "..."]\n[Black "..."]\n\n1. e4 e5 2. Nf3 ...'}
+              rows={10}
+              style={{
+                width: '100%',
+                padding: '10px',
+                border: '1px solid #ccc',
+                fontFamily: 'monospace',
+                fontSize: '13px'
+              }}
+            />
+            <p style={{ fontSize: '12px', color: '#666', marginTop: '5px' }}>
+              {pgnFileName ? `Loaded ${pgnFileName}. ` : ''}
+              Files with many games are fine (up to {PGN_MAX_GAMES} are analyzed). Chess960 and set-up games are supported; other variants are skipped.
+            </p>
+          </div>
+
+          <div style={{ marginBottom: '20px' }}>
+            <label style={{ display: 'block', marginBottom: '10px' }}>
+              <strong>Your name in the PGN (optional):</strong>
+            </label>
+            <input
+              type="text"
+              value={playerName}
+              onChange={(e) => setPlayerName(e.target.value)}
+              placeholder="e.g. Smith, John"
+              style={{
+                width: '100%',
+                padding: '10px',
+                border: '1px solid #ccc',
+                fontFamily: 'monospace',
+                fontSize: '14px'
+              }}
+            />
+          </div>
+        </>
+      )}
+
+      {source === 'username' && (
+        <>
+          <div style={{ marginBottom: '20px' }}>
+            <label style={{ display: 'block', marginBottom: '10px' }}>
+              <strong>Platform:</strong>
+            </label>
+            <select
+              value={platform}
+              onChange={(e) => setPlatform(e.target.value)}
+              style={{
+                padding: '8px',
+                border: '1px solid #ccc',
+                fontFamily: 'monospace',
+                fontSize: '14px'
+              }}
+            >
+              <option value="chess.com">chess.com</option>
+              <option value="lichess.org">lichess.org</option>
+            </select>
+          </div>
+
+          <div style={{ marginBottom: '20px' }}>
+            <label style={{ display: 'block', marginBottom: '10px' }}>
+              <strong>Username:</strong>
+            </label>
+            <input
+              type="text"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              placeholder={linkedUsername ? `${linkedUsername} (linked account)` : 'Enter your username'}
+              style={{
+                width: '100%',
+                padding: '10px',
+                border: '1px solid #ccc',
+                fontFamily: 'monospace',
+                fontSize: '14px'
+              }}
+            />
+            <p style={{ fontSize: '12px', color: '#666', marginTop: '5px' }}>
+              It will only take a minute (or less)!
+            </p>
+          </div>
+        </>
+      )}
+
+      {/* Whose missed wins become puzzles */}
       <div style={{ marginBottom: '20px' }}>
         <label style={{ display: 'block', marginBottom: '10px' }}>
-          <strong>Platform:</strong>
+          <strong>Puzzles from:</strong>
         </label>
         <select
-          value={platform}
-          onChange={(e) => setPlatform(e.target.value)}
+          value={importPlayer ? perspective : 'both'}
+          onChange={(e) => setPerspective(e.target.value)}
+          disabled={!importPlayer}
           style={{
             padding: '8px',
             border: '1px solid #ccc',
@@ -41,31 +312,15 @@ const UnifiedGameInput = ({ onGenerate }) => {
             fontSize: '14px'
           }}
         >
-          <option value="chess.com">chess.com</option>
-          <option value="lichess.org">lichess.org</option>
+          <option value="mine">My missed wins</option>
+          <option value="opponent">Opponents' missed wins against me</option>
+          <option value="both">Both</option>
         </select>
-      </div>
-
-      <div style={{ marginBottom: '20px' }}>
-        <label style={{ display: 'block', marginBottom: '10px' }}>
-          <strong>Username:</strong>
-        </label>
-        <input
-          type="text"
-          value={username}
-          onChange={(e) => setUsername(e.target.value)}
-          placeholder="Enter your username"
-          style={{
-            width: '100%',
-            padding: '10px',
-            border: '1px solid #ccc',
-            fontFamily: 'monospace',
-            fontSize: '14px'
-          }}
-        />
-        <p style={{ fontSize: '12px', color: '#666', marginTop: '5px' }}>
-          It will only take a minute (or less)!
-        </p>
+        {!importPlayer && (
+          <p style={{ fontSize: '12px', color: '#666', marginTop: '5px' }}>
+            Enter your name to choose a side; otherwise puzzles come from both players.
+          </p>
+        )}
       </div>
 
       {/* Submit Button */}
@@ -1,7 +1,18 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
 
 const AuthContext = createContext();
 
+const USER_KEY = 'chessPuzzleUser';
+const TOKENS_KEY = 'chessPuzzleTokens';
+
+const loadTokens = () => {
+  try {
+    return JSON.parse(localStorage.getItem(TOKENS_KEY)) || null;
+  } catch (error) {
+    return null;
+  }
+};
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -13,39 +24,107 @@ export const useAuth = () => {
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  const tokensRef = useRef(null); // { accessToken, refreshToken }
+  const refreshingRef = useRef(null); // in-flight refresh shared by concurrent requests
 
   // Check for existing user session on app load
   useEffect(() => {
-    const savedUser = localStorage.getItem('chessPuzzleUser');
-    if (savedUser) {
+    const savedUser = localStorage.getItem(USER_KEY);
+    const savedTokens = loadTokens();
+    if (savedUser && savedTokens) {
       try {
         setUser(JSON.parse(savedUser));
+        tokensRef.current = savedTokens;
       } catch (error) {
         console.error('Error parsing saved user:', error);
-        localStorage.removeItem('chessPuzzleUser');
+        localStorage.removeItem(USER_KEY);
+        localStorage.removeItem(TOKENS_KEY);
       }
+    } else {
+      // Sessions from before password login have no tokens
+      localStorage.removeItem(USER_KEY);
     }
     setLoading(false);
   }, []);
 
-  const register = async (userData) => {
+  const saveSession = (data) => {
+    const tokens = { accessToken: data.accessToken, refreshToken: data.refreshToken };
+    tokensRef.current = tokens;
+    localStorage.setItem(TOKENS_KEY, JSON.stringify(tokens));
+    setUser(data.user);
+    localStorage.setItem(USER_KEY, JSON.stringify(data.user));
+  };
+
+  const clearSession = () => {
+    tokensRef.current = null;
+    setUser(null);
+    localStorage.removeItem(USER_KEY);
+    localStorage.removeItem(TOKENS_KEY);
+  };
+
+  // Swap the refresh token for a new token pair; false if the session is over
+  const refreshSession = () => {
+    if (!refreshingRef.current) {
+      refreshingRef.current = (async () => {
+        const refreshToken = tokensRef.current?.refreshToken;
+        if (!refreshToken) return false;
+        try {
+          const response = await fetch('/api/auth/refresh', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken }),
+          });
+          if (!response.ok) {
+            clearSession();
+            return false;
+          }
+          saveSession(await response.json());
+          return true;
+        } catch (error) {
+          console.error('Token refresh error:', error);
+          return false;
+        } finally {
+          refreshingRef.current = null;
+        }
+      })();
+    }
+    return refreshingRef.current;
+  };
+
+  // fetch() that sends the access token and retries once after refreshing an expired one
+  const authFetch = async (url, options = {}) => {
+    const send = () => {
+      const headers = { ...options.headers };
+      if (tokensRef.current?.accessToken) {
+        headers.Authorization = `Bearer ${tokensRef.current.accessToken}`;
+      }
+      return fetch(url, { ...options, headers });
+    };
+
+    const response = await send();
+    if (response.status === 401 && tokensRef.current && await refreshSession()) {
+      return send();
+    }
+    return response;
+  };
+
+  const register = async (username, email, password) => {
     try {
       const response = await fetch('/api/auth/register', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify(userData),
+        body: JSON.stringify({ username, email, password }),
       });
 
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.message || 'Registration failed');
+        throw new Error(data.error || data.message || 'Registration failed');
       }
 
-      setUser(data.user);
-      localStorage.setItem('chessPuzzleUser', JSON.stringify(data.user));
+      saveSession(data);
       return { success: true, user: data.user };
     } catch (error) {
       console.error('Registration error:', error);
@@ -53,24 +132,23 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const login = async (email) => {
+  const login = async (username, password) => {
     try {
       const response = await fetch('/api/auth/login', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ email }),
+        body: JSON.stringify({ username, password }),
       });
 
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.message || 'Login failed');
+        throw new Error(data.error || data.message || 'Login failed');
       }
 
-      setUser(data.user);
-      localStorage.setItem('chessPuzzleUser', JSON.stringify(data.user));
+      saveSession(data);
       return { success: true, user: data.user };
     } catch (error) {
       console.error('Login error:', error);
@@ -78,16 +156,69 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
-    setUser(null);
-    localStorage.removeItem('chessPuzzleUser');
+  // Send the browser to Lichess; `mode` is 'login' or 'link' (link needs a signed-in user)
+  const startLichessAuth = async (mode = 'login') => {
+    try {
+      const response = await authFetch('/api/auth/lichess/start', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mode }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to start Lichess sign-in');
+      }
+      window.location.assign(data.url);
+      return { success: true };
+    } catch (error) {
+      console.error('Lichess auth error:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Finish the Lichess redirect: signs in, or links Lichess to the current user
+  const completeLichessAuth = async (code, state) => {
+    try {
+      const response = await fetch('/api/auth/lichess/callback', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code, state }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Lichess sign-in failed');
+      }
+      if (data.accessToken) {
+        saveSession(data);
+      } else {
+        setSessionUser(data.user);
+      }
+      return { success: true, mode: data.mode, user: data.user };
+    } catch (error) {
+      console.error('Lichess auth error:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Replace the cached user after the server returned an updated profile
+  const setSessionUser = (updatedUser) => {
+    setUser(updatedUser);
+    localStorage.setItem(USER_KEY, JSON.stringify(updatedUser));
+  };
+
+  const logout = async () => {
+    // Revoke the refresh tokens server-side; the local session ends either way
+    if (tokensRef.current) {
+      authFetch('/api/auth/logout', { method: 'POST' }).catch(() => {});
+    }
+    clearSession();
   };
 
   const updateUserStats = (stats) => {
     if (user) {
       const updatedUser = { ...user, stats: { ...user.stats, ...stats } };
       setUser(updatedUser);
-      localStorage.setItem('chessPuzzleUser', JSON.stringify(updatedUser));
+      localStorage.setItem(USER_KEY, JSON.stringify(updatedUser));
     }
   };
 
@@ -95,7 +226,7 @@ export const AuthProvider = ({ children }) => {
     if (!user) return { success: false, error: 'No user logged in' };
 
     try {
-      const response = await fetch(`/api/auth/user/${user.id}/preferences`, {
+      const response = await authFetch(`/api/auth/user/${user.id}/preferences`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
@@ -111,7 +242,7 @@ export const AuthProvider = ({ children }) => {
 
       const updatedUser = { ...user, preferences: data.preferences };
       setUser(updatedUser);
-      localStorage.setItem('chessPuzzleUser', JSON.stringify(updatedUser));
+      localStorage.setItem(USER_KEY, JSON.stringify(updatedUser));
       return { success: true, preferences: data.preferences };
     } catch (error) {
       console.error('Update preferences error:', error);
@@ -125,6 +256,10 @@ export const AuthProvider = ({ children }) => {
     register,
     login,
     logout,
+    authFetch,
+    startLichessAuth,
+    completeLichessAuth,
+    setSessionUser,
     updateUserStats,
     updateUserPreferences,
   };
@@ -0,0 +1,68 @@
+const { Pool } = require('pg');
+
+/**
+ * Shared PostgreSQL connection pool, configured from DATABASE_URL.
+ * The pool is created on first use so requiring this module never connects.
+ */
+class Database {
+  constructor() {
+    this.pool = null;
+  }
+
+  /**
+   * Get (and lazily create) the connection pool
+   */
+  getPool() {
+    if (!this.pool) {
+      if (!process.env.DATABASE_URL) {
+        throw new Error('DATABASE_URL is not set');
+      }
+
+      this.pool = new Pool({
+        connectionString: process.env.DATABASE_URL,
+        max: parseInt(process.env.DATABASE_POOL_SIZE) || 10
+      });
+      this.pool.on('error', (error) => {
+        console.error('❌ PostgreSQL pool error:', error.message);
+      });
+    }
+    return this.pool;
+  }
+
+  /**
+   * Run a single parameterized query
+   */
+  query(text, params = []) {
+    return this.getPool().query(text, params);
+  }
+
+  /**
+   * Run `callback(client)` inside a transaction on a dedicated connection
+   */
+  async transaction(callback) {
+    const client = await this.getPool().connect();
+    try {
+      await client.query('BEGIN');
+      const result = await callback(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Close every pooled connection
+   */
+  async close() {
+    if (this.pool) {
+      await this.pool.end();
+      this.pool = null;
+    }
+  }
+}
+
+module.exports = new Database();
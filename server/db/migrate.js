@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('./index');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+// Arbitrary key so concurrent server starts never apply the same migration twice
+const MIGRATION_LOCK_KEY = 4201337;
+
+/**
+ * Migration files in the order they must run (001_*.sql, 002_*.sql, ...)
+ */
+function listMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.sql'))
+    .sort();
+}
+
+/**
+ * Apply every migration not yet recorded in schema_migrations.
+ * Each file runs in its own transaction together with its bookkeeping row.
+ * @returns {Promise<Array<string>>} Names of the migrations applied by this run
+ */
+async function runMigrations() {
+  const client = await db.getPool().connect();
+  const applied = [];
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        name TEXT PRIMARY KEY,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      )
+    `);
+
+    const { rows } = await client.query('SELECT name FROM schema_migrations');
+    const done = new Set(rows.map(row => row.name));
+
+    for (const file of listMigrations()) {
+      if (done.has(file)) continue;
+
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      try {
+        await client.query('BEGIN');
+        await client.query(sql);
+        await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [file]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${file} failed: ${error.message}`);
+      }
+
+      console.log(`🗄️ Applied migration ${file}`);
+      applied.push(file);
+    }
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+
+  return applied;
+}
+
+module.exports = { runMigrations, listMigrations };
+
+// `npm run migrate`
+if (require.main === module) {
+  require('dotenv').config();
+  runMigrations()
+    .then((applied) => {
+      console.log(applied.length > 0
+        ? `✅ Applied ${applied.length} migration(s)`
+        : '✅ Database schema is up to date');
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => db.close());
+}
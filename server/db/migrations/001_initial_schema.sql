@@ -0,0 +1,56 @@
+-- Users, puzzles and per-user puzzle progress
+
+CREATE TABLE users (
+  id UUID PRIMARY KEY,
+  username TEXT NOT NULL,
+  email TEXT NOT NULL UNIQUE,
+  chess_com_username TEXT,
+  lichess_username TEXT,
+  stats JSONB NOT NULL DEFAULT '{}',
+  preferences JSONB NOT NULL DEFAULT '{}',
+  rating DOUBLE PRECISION NOT NULL DEFAULT 1500,
+  rating_rd DOUBLE PRECISION NOT NULL DEFAULT 350,
+  rating_volatility DOUBLE PRECISION NOT NULL DEFAULT 0.06,
+  rating_games INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_login TIMESTAMPTZ
+);
+
+-- user_id is the owner of the puzzle collection: a user id, or the platform
+-- username puzzles were generated for, so it is not a foreign key
+CREATE TABLE puzzles (
+  id UUID PRIMARY KEY,
+  user_id TEXT,
+  game_id TEXT,
+  position TEXT NOT NULL,
+  setup_move JSONB,
+  solution JSONB NOT NULL,
+  theme TEXT,
+  themes TEXT[] NOT NULL DEFAULT '{}',
+  difficulty SMALLINT,
+  rating DOUBLE PRECISION NOT NULL DEFAULT 1500,
+  rating_rd DOUBLE PRECISION NOT NULL DEFAULT 350,
+  rating_volatility DOUBLE PRECISION NOT NULL DEFAULT 0.06,
+  rating_games INTEGER NOT NULL DEFAULT 0,
+  explanation JSONB,
+  game_context JSONB,
+  game_data JSONB,
+  metadata JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX puzzles_user_id_idx ON puzzles (user_id);
+CREATE INDEX puzzles_rating_idx ON puzzles (rating);
+
+CREATE TABLE puzzle_progress (
+  user_id UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  puzzle_id UUID NOT NULL REFERENCES puzzles (id) ON DELETE CASCADE,
+  is_solved BOOLEAN NOT NULL DEFAULT false,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  time_spent INTEGER NOT NULL DEFAULT 0,
+  last_attempted TIMESTAMPTZ,
+  is_bookmarked BOOLEAN NOT NULL DEFAULT false,
+  PRIMARY KEY (user_id, puzzle_id)
+);
+
+CREATE INDEX puzzle_progress_puzzle_id_idx ON puzzle_progress (puzzle_id);
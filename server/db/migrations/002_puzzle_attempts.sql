@@ -0,0 +1,45 @@
+-- Replace the per-user progress rows with an attempt history and bookmarks.
+-- Progress (solved, attempts, time spent) is now derived from the attempts.
+
+CREATE TABLE puzzle_attempts (
+  id UUID PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  puzzle_id UUID NOT NULL REFERENCES puzzles (id) ON DELETE CASCADE,
+  attempted_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  moves TEXT[] NOT NULL DEFAULT '{}',
+  time_spent INTEGER NOT NULL DEFAULT 0,
+  hints_used INTEGER NOT NULL DEFAULT 0,
+  result TEXT NOT NULL CHECK (result IN ('solved', 'failed')),
+  rating_delta DOUBLE PRECISION
+);
+
+CREATE INDEX puzzle_attempts_user_puzzle_idx ON puzzle_attempts (user_id, puzzle_id);
+CREATE INDEX puzzle_attempts_puzzle_id_idx ON puzzle_attempts (puzzle_id);
+
+CREATE TABLE puzzle_bookmarks (
+  user_id UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  puzzle_id UUID NOT NULL REFERENCES puzzles (id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (user_id, puzzle_id)
+);
+
+CREATE INDEX puzzle_bookmarks_puzzle_id_idx ON puzzle_bookmarks (puzzle_id);
+
+-- Carry existing progress over: one failed attempt per recorded failure and a
+-- solved attempt for solved puzzles (move lists were never stored). Ids are
+-- built from md5() because gen_random_uuid() needs PostgreSQL 13 or pgcrypto.
+INSERT INTO puzzle_attempts (id, user_id, puzzle_id, attempted_at, time_spent, result)
+SELECT md5(random()::text || clock_timestamp()::text)::uuid, user_id, puzzle_id, COALESCE(last_attempted, now()), 0, 'failed'
+FROM puzzle_progress, generate_series(1, attempts);
+
+INSERT INTO puzzle_attempts (id, user_id, puzzle_id, attempted_at, time_spent, result)
+SELECT md5(random()::text || clock_timestamp()::text)::uuid, user_id, puzzle_id, COALESCE(last_attempted, now()), time_spent, 'solved'
+FROM puzzle_progress
+WHERE is_solved;
+
+INSERT INTO puzzle_bookmarks (user_id, puzzle_id)
+SELECT user_id, puzzle_id
+FROM puzzle_progress
+WHERE is_bookmarked;
+
+DROP TABLE puzzle_progress;
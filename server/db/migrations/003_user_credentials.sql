@@ -0,0 +1,8 @@
+-- Password login and refresh token revocation
+
+ALTER TABLE users
+  ADD COLUMN password_hash TEXT,
+  ADD COLUMN token_version INTEGER NOT NULL DEFAULT 0;
+
+-- Usernames are used to sign in, so they must be unique regardless of case
+CREATE UNIQUE INDEX users_username_lower_idx ON users (lower(username));
@@ -0,0 +1,16 @@
+-- Chess platform usernames are only set once ownership is verified
+-- (Lichess OAuth, or a chess.com profile token). Usernames entered before
+-- that are kept as unverified claims until their owner verifies them.
+
+ALTER TABLE users
+  ADD COLUMN chess_com_verification JSONB,
+  ADD COLUMN unverified_usernames JSONB NOT NULL DEFAULT '{}';
+
+UPDATE users
+SET unverified_usernames = jsonb_strip_nulls(jsonb_build_object('chess.com', chess_com_username, 'lichess', lichess_username)),
+    chess_com_username = NULL,
+    lichess_username = NULL;
+
+-- A platform account can be linked to one user only
+CREATE UNIQUE INDEX users_lichess_username_lower_idx ON users (lower(lichess_username));
+CREATE UNIQUE INDEX users_chess_com_username_lower_idx ON users (lower(chess_com_username));
@@ -0,0 +1,21 @@
+-- Background game-import jobs. The checkpoint lets a job resume after a restart.
+
+CREATE TABLE import_jobs (
+  id UUID PRIMARY KEY,
+  user_id UUID REFERENCES users (id) ON DELETE CASCADE,
+  status TEXT NOT NULL CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+  stage TEXT NOT NULL,
+  params JSONB NOT NULL,
+  counts JSONB NOT NULL DEFAULT '{}',
+  errors JSONB NOT NULL DEFAULT '[]',
+  checkpoint JSONB,
+  result JSONB,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX import_jobs_status_idx ON import_jobs (status);
+CREATE INDEX import_jobs_user_id_idx ON import_jobs (user_id, created_at);
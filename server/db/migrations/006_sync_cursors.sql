@@ -0,0 +1,11 @@
+-- Incremental imports: a sync cursor per linked profile and the games already analyzed.
+
+ALTER TABLE users ADD COLUMN sync_cursors JSONB NOT NULL DEFAULT '{}';
+
+CREATE TABLE analyzed_games (
+  user_id UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  platform TEXT NOT NULL,
+  game_id TEXT NOT NULL,
+  analyzed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (user_id, platform, game_id)
+);
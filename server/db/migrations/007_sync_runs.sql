@@ -0,0 +1,16 @@
+-- Subscription tier (limits how many linked profiles are auto-synced) and the
+-- per-user log of scheduled syncs. A run's outcome is read from its import jobs.
+
+ALTER TABLE users
+  ADD COLUMN tier TEXT NOT NULL DEFAULT 'free' CHECK (tier IN ('free', 'pro', 'superPro'));
+
+CREATE TABLE sync_runs (
+  id UUID PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  trigger TEXT NOT NULL CHECK (trigger IN ('scheduled', 'manual')),
+  started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  profiles JSONB NOT NULL DEFAULT '[]',
+  skipped JSONB NOT NULL DEFAULT '[]'
+);
+
+CREATE INDEX sync_runs_user_id_idx ON sync_runs (user_id, started_at);
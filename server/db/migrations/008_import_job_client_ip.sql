@@ -0,0 +1,7 @@
+-- Anonymous import jobs keep the requester's IP address so the number of
+-- jobs one anonymous caller has queued or running can be capped.
+
+ALTER TABLE import_jobs
+  ADD COLUMN client_ip TEXT;
+
+CREATE INDEX import_jobs_client_ip_idx ON import_jobs (client_ip) WHERE user_id IS NULL;
@@ -2,26 +2,34 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 
+// Load environment variables before any module reads them
+dotenv.config();
+
 // Import routes
 const authRouter = require('./routes/auth');
 const gamesRouter = require('./routes/games');
+const jobsRouter = require('./routes/jobs');
 const puzzlesRouter = require('./routes/puzzles');
-
-// Load environment variables
-dotenv.config();
+const syncRouter = require('./routes/sync');
+const stockfishService = require('./services/stockfishService');
+const importWorker = require('./services/importWorker');
+const syncScheduler = require('./services/syncScheduler');
+const storage = require('./storage');
 
 const app = express();
 const PORT = process.env.PORT || 5001;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '5mb' })); // room for uploaded PGN files
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
 app.use('/api/auth', authRouter);
 app.use('/api/games', gamesRouter);
+app.use('/api/jobs', jobsRouter);
 app.use('/api/puzzles', puzzlesRouter);
+app.use('/api/sync', syncRouter);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -54,24 +62,54 @@ process.on('unhandledRejection', (reason, promise) => {
   // Don't exit the process, just log the error
 });
 
-const server = app.listen(PORT, () => {
-  console.log(`🚀 Chess Puzzle Builder API running on port ${PORT}`);
-  console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
-});
+let server;
+
+// Storage (and its migrations) must be ready before requests are accepted
+storage.initialize()
+  .then(() => importWorker.start())
+  .then(() => syncScheduler.start())
+  .then(() => {
+    server = app.listen(PORT, () => {
+      console.log(`🚀 Chess Puzzle Builder API running on port ${PORT}`);
+      console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
+    });
+  })
+  .catch((error) => {
+    console.error('❌ Failed to initialize storage:', error.message);
+    process.exit(1);
+  });
+
+function exitAfterStorageClose() {
+  storage.close()
+    .catch(() => {})
+    .finally(() => {
+      console.log('Process terminated');
+      process.exit(0);
+    });
+}
+
+function shutdown() {
+  syncScheduler.stop();
+  importWorker.stop();
+  stockfishService.terminate();
+  if (!server) {
+    exitAfterStorageClose();
+    return;
+  }
+  // Requests in flight finish before storage closes. Progress streams never
+  // end on their own, so they are ended here.
+  server.close(exitAfterStorageClose);
+  jobsRouter.closeEventStreams();
+  server.closeIdleConnections();
+}
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
-  server.close(() => {
-    console.log('Process terminated');
-    process.exit(0);
-  });
+  shutdown();
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
-  server.close(() => {
-    console.log('Process terminated');
-    process.exit(0);
-  });
+  shutdown();
 }); 
\ No newline at end of file
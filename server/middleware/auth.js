@@ -0,0 +1,67 @@
+const authService = require('../services/authService');
+const userModel = require('../models/User');
+
+/**
+ * Resolve the user from an `Authorization: Bearer <access token>` header
+ * @returns {Promise<Object|null>} The user, or null without a valid token
+ */
+async function userFromRequest(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) return null;
+
+  const payload = authService.verifyToken(token, 'access');
+  if (!payload) return null;
+
+  // Tokens issued before the user logged out carry an older version
+  const user = await userModel.getUserById(payload.sub);
+  if (!user || payload.ver !== (user.tokenVersion || 0)) return null;
+  return user;
+}
+
+/**
+ * Reject the request unless it carries a valid access token; sets `req.user`
+ */
+async function requireAuth(req, res, next) {
+  try {
+    const user = await userFromRequest(req);
+    if (!user) {
+      return res.status(401).json({
+        error: 'Authentication required'
+      });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Set `req.user` when a valid access token is present, otherwise continue anonymously
+ */
+async function optionalAuth(req, res, next) {
+  try {
+    req.user = await userFromRequest(req);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Only let the signed-in user through to routes about `req.params[param]`.
+ * Use after requireAuth.
+ */
+function requireSelf(param = 'userId') {
+  return (req, res, next) => {
+    if (!req.user || req.user.id !== req.params[param]) {
+      return res.status(403).json({
+        error: 'You can only access your own data'
+      });
+    }
+    next();
+  };
+}
+
+module.exports = { requireAuth, optionalAuth, requireSelf };
@@ -0,0 +1,109 @@
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+
+const RESULTS = ['solved', 'failed'];
+
+class Attempt {
+  /**
+   * Storage adapter the attempt history lives in
+   */
+  get store() {
+    return storage.getAdapter();
+  }
+
+  /**
+   * Record one attempt of a user at a puzzle
+   * @param {Object} attemptData - userId, puzzleId, result ('solved' | 'failed'),
+   *   moves (moves the user played), timeSpent (seconds), hintsUsed, ratingDelta
+   */
+  async recordAttempt(attemptData) {
+    return this.store.createAttempt(this.buildAttempt(attemptData));
+  }
+
+  /**
+   * Record an attempt and, when it is the user's first at the puzzle, rate it.
+   * The check and both rating updates happen atomically with storing the
+   * attempt, so parallel attempts can neither be rated twice nor overwrite
+   * each other's rating changes.
+   * @param {Object} attemptData - as for recordAttempt (ratingDelta is set here)
+   * @param {Function} rate - (userRating, puzzleRating) => { user, puzzle } new ratings
+   * @returns {Promise<{ attempt: Object, ratings: Object|null }>} ratings is
+   *   null when the attempt was not rated
+   */
+  async recordRatedAttempt(attemptData, rate) {
+    const attempt = this.buildAttempt({ ...attemptData, ratingDelta: null });
+    return this.store.createRatedAttempt(attempt, (userRating, puzzleRating) => {
+      const ratings = rate(userRating, puzzleRating);
+      return { ...ratings, ratingDelta: Math.round((ratings.user.rating - userRating.rating) * 10) / 10 };
+    });
+  }
+
+  buildAttempt(attemptData) {
+    if (!RESULTS.includes(attemptData.result)) {
+      throw new Error(`Invalid attempt result: ${attemptData.result}`);
+    }
+
+    return {
+      id: uuidv4(),
+      userId: attemptData.userId,
+      puzzleId: attemptData.puzzleId,
+      attemptedAt: new Date().toISOString(),
+      moves: Array.isArray(attemptData.moves) ? attemptData.moves.map(String) : [],
+      timeSpent: Math.max(0, Math.round(Number(attemptData.timeSpent) || 0)),
+      hintsUsed: Math.max(0, parseInt(attemptData.hintsUsed) || 0),
+      result: attemptData.result,
+      ratingDelta: attemptData.ratingDelta ?? null
+    };
+  }
+
+  /**
+   * A user's attempts at one puzzle, oldest first
+   */
+  async getAttempts(userId, puzzleId) {
+    return this.store.getAttempts(userId, puzzleId);
+  }
+
+  /**
+   * Every attempt a user has made, oldest first
+   */
+  async getUserAttempts(userId) {
+    return this.store.getAttemptsForUser(userId);
+  }
+
+  /**
+   * Summarize one user's attempts at one puzzle
+   * @returns {{ isSolved: boolean, attempts: number, timeSpent: number, solveTime: number|null, hintsUsed: number, lastAttempted: string|null, lastResult: string|null }}
+   */
+  summarize(attempts = []) {
+    const firstSolve = attempts.find(attempt => attempt.result === 'solved');
+    const last = attempts[attempts.length - 1];
+
+    return {
+      isSolved: Boolean(firstSolve),
+      attempts: attempts.length,
+      timeSpent: attempts.reduce((sum, attempt) => sum + attempt.timeSpent, 0),
+      solveTime: firstSolve ? firstSolve.timeSpent : null,
+      hintsUsed: attempts.reduce((sum, attempt) => sum + attempt.hintsUsed, 0),
+      lastAttempted: last ? last.attemptedAt : null,
+      lastResult: last ? last.result : null
+    };
+  }
+
+  /**
+   * Group attempts by puzzle id
+   */
+  groupByPuzzle(attempts) {
+    const byPuzzle = new Map();
+    attempts.forEach(attempt => {
+      if (!byPuzzle.has(attempt.puzzleId)) {
+        byPuzzle.set(attempt.puzzleId, []);
+      }
+      byPuzzle.get(attempt.puzzleId).push(attempt);
+    });
+    return byPuzzle;
+  }
+}
+
+// Export a singleton instance
+const attemptInstance = new Attempt();
+module.exports = attemptInstance;
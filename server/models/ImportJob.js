@@ -0,0 +1,144 @@
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+
+const UNFINISHED_STATUSES = ['queued', 'running'];
+
+// Share of a game's progress spent scanning positions; the rest is puzzle creation
+const ANALYSIS_SHARE = 0.8;
+
+class ImportJob {
+  /**
+   * Storage adapter the import jobs live in
+   */
+  get store() {
+    return storage.getAdapter();
+  }
+
+  /**
+   * Queue a new import job
+   * @param {Object} jobData - userId (null for anonymous imports), clientIp
+   *   (the anonymous requester's address) and params { platform, username,
+   *   maxGames, maxPuzzles, perspective }, plus `pgn` (the file's text) when
+   *   platform is 'pgn'
+   * @param {Object} [options] - maxUnfinished: how many queued or running jobs
+   *   the user (or anonymous IP) may have; the check and the insert are atomic
+   * @returns {Promise<Object|null>} The job, or null when over maxUnfinished
+   */
+  async createJob(jobData, { maxUnfinished = null } = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      userId: jobData.userId || null,
+      clientIp: jobData.userId ? null : jobData.clientIp || null,
+      status: 'queued', // queued | running | completed | failed
+      stage: 'queued', // queued | fetching_games | analyzing_positions | creating_puzzles | saving_puzzles | completed | failed
+      params: jobData.params,
+      counts: {
+        gamesFetched: 0,
+        gamesSelected: 0,
+        gamesProcessed: 0,
+        positionsAnalyzed: 0, // in the game being processed
+        positionsTotal: 0,
+        candidatesChecked: 0, // tactical positions turned (or not) into puzzles
+        candidatesTotal: 0,
+        puzzlesCreated: 0
+      },
+      errors: [],
+      checkpoint: null, // worker state needed to resume after a restart
+      result: null,
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null
+    };
+
+    if (maxUnfinished === null) {
+      return this.store.createJob(job);
+    }
+    return this.store.createLimitedJob(job, UNFINISHED_STATUSES, maxUnfinished);
+  }
+
+  /**
+   * Get job by ID
+   */
+  async getJobById(jobId) {
+    return this.store.getJob(jobId);
+  }
+
+  /**
+   * Update a job, stamping updatedAt
+   */
+  async updateJob(jobId, fields) {
+    return this.store.updateJob(jobId, { ...fields, updatedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Jobs that were queued or still running when the server last stopped
+   */
+  async getUnfinishedJobs() {
+    return this.store.getJobsByStatus(UNFINISHED_STATUSES);
+  }
+
+  /**
+   * A user's most recent jobs, newest first
+   */
+  async getUserJobs(userId, limit = 20) {
+    return this.store.getJobsForUser(userId, limit);
+  }
+
+  /**
+   * Which of `gameIds` a user has already had analyzed on a platform
+   */
+  async getAnalyzedGameIds(userId, platform, gameIds) {
+    return this.store.getAnalyzedGameIds(userId, platform, gameIds);
+  }
+
+  /**
+   * Remember that a user's game was analyzed so re-imports skip it
+   */
+  async markGameAnalyzed(userId, platform, gameId) {
+    return this.store.addAnalyzedGame(userId, platform, gameId);
+  }
+
+  /**
+   * Overall completion (0-100) from the stage and counts. Fetching is the
+   * first 5%; every selected game then gets an equal share of the rest.
+   */
+  getPercentage(job) {
+    const { counts } = job;
+    switch (job.stage) {
+      case 'queued':
+        return 0;
+      case 'fetching_games':
+        return 5;
+      case 'completed':
+      case 'failed':
+        return 100;
+      default: {
+        const games = Math.max(counts.gamesSelected, 1);
+        const analyzed = counts.positionsTotal ? counts.positionsAnalyzed / counts.positionsTotal : 0;
+        const created = counts.candidatesTotal ? counts.candidatesChecked / counts.candidatesTotal : 0;
+        const currentGame = job.stage === 'creating_puzzles'
+          ? ANALYSIS_SHARE + (1 - ANALYSIS_SHARE) * created
+          : ANALYSIS_SHARE * analyzed;
+        const done = Math.min((counts.gamesProcessed + currentGame) / games, 1);
+        return Math.min(99, Math.round(5 + 95 * done));
+      }
+    }
+  }
+
+  /**
+   * Job as sent to clients (the checkpoint is internal worker state, and the
+   * requester's IP and an uploaded PGN are left out)
+   */
+  toPublicJob(job) {
+    const { checkpoint, clientIp, ...publicJob } = job;
+    const { pgn, ...params } = job.params || {};
+    return { ...publicJob, params, percentage: this.getPercentage(job) };
+  }
+}
+
+// Export a singleton instance
+const importJobInstance = new ImportJob();
+module.exports = importJobInstance;
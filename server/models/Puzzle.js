@@ -1,74 +1,118 @@
 const { v4: uuidv4 } = require('uuid');
+const glicko2 = require('../services/glicko2');
+const storage = require('../storage');
+const attemptModel = require('./Attempt');
 
 class Puzzle {
-  constructor() {
-    // In-memory storage for now - replace with database later
-    this.puzzles = new Map();
-    this.userPuzzles = new Map(); // userId -> puzzleIds[]
+  /**
+   * Storage adapter the puzzles and bookmarks live in
+   */
+  get store() {
+    return storage.getAdapter();
   }
 
   /**
    * Create a new puzzle
    */
-  createPuzzle(puzzleData) {
+  async createPuzzle(puzzleData) {
     const puzzleId = uuidv4();
     const puzzle = {
       id: puzzleId,
       userId: puzzleData.userId,
       gameId: puzzleData.gameId,
       position: puzzleData.position,
+      setupMove: puzzleData.setupMove, // opponent move auto-played before the solution
       solution: puzzleData.solution,
       theme: puzzleData.theme,
+      themes: puzzleData.themes || (puzzleData.theme ? [puzzleData.theme] : []),
       difficulty: puzzleData.difficulty,
+      rating: puzzleData.rating || glicko2.seedFromDifficulty(puzzleData.difficulty), // Glicko-2, seeded from the heuristic difficulty
       explanation: puzzleData.explanation,
       gameContext: puzzleData.gameContext,
       gameData: puzzleData.gameData, // Include game data for usernames
       metadata: {
         createdAt: new Date().toISOString(),
         engineDepth: puzzleData.metadata?.engineDepth || 15,
+        tablebase: puzzleData.metadata?.tablebase || null, // { wdl, dtz, proven } for tablebase-verified endgames
         originalPosition: puzzleData.metadata?.originalPosition
-      },
-      userProgress: {
-        isSolved: false,
-        attempts: 0,
-        timeSpent: 0,
-        lastAttempted: null,
-        isBookmarked: false
       }
     };
 
-    this.puzzles.set(puzzleId, puzzle);
-    
-    // Add to user's puzzle list
-    if (!this.userPuzzles.has(puzzleData.userId)) {
-      this.userPuzzles.set(puzzleData.userId, []);
-    }
-    this.userPuzzles.get(puzzleData.userId).push(puzzleId);
-
-    return puzzle;
+    return this.store.createPuzzle(puzzle);
   }
 
   /**
    * Get puzzle by ID
    */
-  getPuzzleById(puzzleId) {
-    return this.puzzles.get(puzzleId);
+  async getPuzzleById(puzzleId) {
+    return this.store.getPuzzle(puzzleId);
+  }
+
+  /**
+   * A user's progress on a puzzle, derived from their attempts
+   */
+  async getPuzzleProgress(puzzleId, userId) {
+    const [attempts, isBookmarked] = await Promise.all([
+      attemptModel.getAttempts(userId, puzzleId),
+      this.store.isBookmarked(userId, puzzleId)
+    ]);
+    return { ...attemptModel.summarize(attempts), isBookmarked };
+  }
+
+  /**
+   * Get a puzzle with the given user's `userProgress` attached
+   */
+  async getPuzzleForUser(puzzleId, userId) {
+    const puzzle = await this.store.getPuzzle(puzzleId);
+    if (!puzzle) return null;
+    return { ...puzzle, userProgress: await this.getPuzzleProgress(puzzleId, userId) };
+  }
+
+  /**
+   * Attach each user's own progress to a list of puzzles
+   */
+  async withUserProgress(puzzles, userId) {
+    const [attempts, bookmarks] = await Promise.all([
+      attemptModel.getUserAttempts(userId),
+      this.store.getBookmarks(userId)
+    ]);
+    const attemptsByPuzzle = attemptModel.groupByPuzzle(attempts);
+    const bookmarked = new Set(bookmarks);
+
+    return puzzles.map(puzzle => ({
+      ...puzzle,
+      userProgress: {
+        ...attemptModel.summarize(attemptsByPuzzle.get(puzzle.id)),
+        isBookmarked: bookmarked.has(puzzle.id)
+      }
+    }));
+  }
+
+  /**
+   * Load puzzles by id, skipping any that no longer exist
+   */
+  async getPuzzlesByIds(puzzleIds) {
+    const puzzles = await Promise.all(puzzleIds.map(id => this.store.getPuzzle(id)));
+    return puzzles.filter(Boolean);
   }
 
   /**
-   * Get all puzzles for a user
+   * Get all puzzles for a user, each with that user's `userProgress`
    */
-  getUserPuzzles(userId, filters = {}) {
-    const userPuzzleIds = this.userPuzzles.get(userId) || [];
-    let puzzles = userPuzzleIds.map(id => this.puzzles.get(id)).filter(Boolean);
+  async getUserPuzzles(userId, filters = {}) {
+    const owned = await this.store.getPuzzlesByOwner(userId);
+    let puzzles = await this.withUserProgress(owned, userId);
 
     // Apply filters
     if (filters.theme) {
-      puzzles = puzzles.filter(p => p.theme === filters.theme);
+      puzzles = puzzles.filter(p => p.themes.includes(filters.theme));
     }
     if (filters.difficulty) {
       puzzles = puzzles.filter(p => p.difficulty === filters.difficulty);
     }
+    if (filters.mateIn) {
+      puzzles = puzzles.filter(p => p.solution && p.solution.mateIn === filters.mateIn);
+    }
     if (filters.isSolved !== undefined) {
       puzzles = puzzles.filter(p => p.userProgress.isSolved === filters.isSolved);
     }
@@ -80,93 +124,141 @@ class Puzzle {
   }
 
   /**
-   * Get user's bookmarked puzzles
+   * Get user's bookmarked puzzles (from any collection)
+   */
+  async getBookmarkedPuzzles(userId) {
+    const puzzles = await this.getPuzzlesByIds(await this.store.getBookmarks(userId));
+    return this.withUserProgress(puzzles, userId);
+  }
+
+  /**
+   * Get the puzzles a user has attempted (from any collection)
    */
-  getBookmarkedPuzzles(userId) {
-    return this.getUserPuzzles(userId, { isBookmarked: true });
+  async getAttemptedPuzzles(userId) {
+    const attempts = await attemptModel.getUserAttempts(userId);
+    const puzzles = await this.getPuzzlesByIds(Array.from(attemptModel.groupByPuzzle(attempts).keys()));
+    return this.withUserProgress(puzzles, userId);
   }
 
   /**
    * Get user's solved puzzles
    */
-  getSolvedPuzzles(userId) {
-    return this.getUserPuzzles(userId, { isSolved: true });
+  async getSolvedPuzzles(userId) {
+    const puzzles = await this.getAttemptedPuzzles(userId);
+    return puzzles.filter(p => p.userProgress.isSolved);
   }
 
   /**
    * Get user's unsolved puzzles
    */
-  getUnsolvedPuzzles(userId) {
+  async getUnsolvedPuzzles(userId) {
     return this.getUserPuzzles(userId, { isSolved: false });
   }
 
   /**
-   * Update puzzle progress
+   * Replace the puzzle's rating
    */
-  updatePuzzleProgress(puzzleId, progress) {
-    const puzzle = this.puzzles.get(puzzleId);
-    if (puzzle) {
-      puzzle.userProgress = { ...puzzle.userProgress, ...progress };
-      this.puzzles.set(puzzleId, puzzle);
-      return puzzle;
-    }
-    return null;
+  async updatePuzzleRating(puzzleId, rating) {
+    return this.store.updatePuzzle(puzzleId, { rating });
   }
 
   /**
-   * Mark puzzle as solved
+   * Get puzzles whose rating lies within [minRating, maxRating]
    */
-  markPuzzleSolved(puzzleId, timeSpent) {
-    return this.updatePuzzleProgress(puzzleId, {
-      isSolved: true,
-      timeSpent,
-      lastAttempted: new Date().toISOString()
-    });
+  async getPuzzlesInRatingRange(minRating, maxRating) {
+    return this.store.getPuzzlesInRatingRange(minRating, maxRating);
+  }
+
+  /**
+   * A random puzzle rated within [minRating, maxRating] (any rating when no
+   * range is given), leaving out the puzzles `unsolvedBy` has solved
+   * @returns {Promise<Object|null>} null when no puzzle matches
+   */
+  async getRandomPuzzle({ minRating = null, maxRating = null, unsolvedBy = null } = {}) {
+    return this.store.getRandomPuzzle({ minRating, maxRating, unsolvedBy });
   }
 
   /**
-   * Toggle bookmark status
+   * The puzzle rated closest to `rating`, leaving out the puzzles
+   * `unsolvedBy` has solved
+   * @returns {Promise<Object|null>} null when no puzzle matches
    */
-  toggleBookmark(puzzleId) {
-    const puzzle = this.puzzles.get(puzzleId);
-    if (puzzle) {
-      puzzle.userProgress.isBookmarked = !puzzle.userProgress.isBookmarked;
-      this.puzzles.set(puzzleId, puzzle);
-      return puzzle;
+  async getClosestRatedPuzzle(rating, { unsolvedBy = null } = {}) {
+    return this.store.getClosestRatedPuzzle(rating, { unsolvedBy });
+  }
+
+  /**
+   * Bookmark or un-bookmark a puzzle for a user
+   * @returns {Promise<Object|null>} The puzzle with the user's `userProgress`, or null if it does not exist
+   */
+  async setBookmark(puzzleId, userId, isBookmarked) {
+    if (!(await this.store.getPuzzle(puzzleId))) return null;
+
+    if (isBookmarked) {
+      await this.store.addBookmark(userId, puzzleId);
+    } else {
+      await this.store.removeBookmark(userId, puzzleId);
     }
-    return null;
+    return this.getPuzzleForUser(puzzleId, userId);
+  }
+
+  /**
+   * Toggle a user's bookmark on a puzzle
+   */
+  async toggleBookmark(puzzleId, userId) {
+    const isBookmarked = await this.store.isBookmarked(userId, puzzleId);
+    return this.setBookmark(puzzleId, userId, !isBookmarked);
   }
 
   /**
-   * Get puzzle statistics for a user
+   * Get puzzle statistics for a user, built from their attempt history.
+   * Covers the user's own collection plus any other puzzle they attempted.
    */
-  getUserPuzzleStats(userId) {
-    const puzzles = this.getUserPuzzles(userId);
-    const solved = puzzles.filter(p => p.userProgress.isSolved);
-    const bookmarked = puzzles.filter(p => p.userProgress.isBookmarked);
+  async getUserPuzzleStats(userId) {
+    const [owned, attempts, bookmarks] = await Promise.all([
+      this.store.getPuzzlesByOwner(userId),
+      attemptModel.getUserAttempts(userId),
+      this.store.getBookmarks(userId)
+    ]);
+    const attemptsByPuzzle = attemptModel.groupByPuzzle(attempts);
+    const ownedIds = new Set(owned.map(p => p.id));
+    const attemptedElsewhere = await this.getPuzzlesByIds(
+      Array.from(attemptsByPuzzle.keys()).filter(id => !ownedIds.has(id))
+    );
+    const puzzles = [...owned, ...attemptedElsewhere];
+
+    const summaries = Array.from(attemptsByPuzzle.values()).map(puzzleAttempts => attemptModel.summarize(puzzleAttempts));
+    const solved = summaries.filter(summary => summary.isSolved);
+    const solvedAttempts = attempts.filter(attempt => attempt.result === 'solved');
 
     const themeCounts = {};
     const difficultyCounts = {};
     
     puzzles.forEach(puzzle => {
-      themeCounts[puzzle.theme] = (themeCounts[puzzle.theme] || 0) + 1;
+      puzzle.themes.forEach(theme => {
+        themeCounts[theme] = (themeCounts[theme] || 0) + 1;
+      });
       difficultyCounts[puzzle.difficulty] = (difficultyCounts[puzzle.difficulty] || 0) + 1;
     });
 
     const favoriteTheme = Object.keys(themeCounts).reduce((a, b) => 
-      themeCounts[a] > themeCounts[b] ? a : b
+      themeCounts[a] > themeCounts[b] ? a : b, null
     );
 
     const averageTime = solved.length > 0 
-      ? solved.reduce((sum, p) => sum + p.userProgress.timeSpent, 0) / solved.length 
+      ? solved.reduce((sum, summary) => sum + summary.solveTime, 0) / solved.length 
       : 0;
 
     return {
-      totalPuzzles: puzzles.length,
+      totalPuzzles: owned.length,
+      attemptedPuzzles: attemptsByPuzzle.size,
       solvedPuzzles: solved.length,
-      bookmarkedPuzzles: bookmarked.length,
-      accuracy: puzzles.length > 0 ? (solved.length / puzzles.length) * 100 : 0,
+      bookmarkedPuzzles: bookmarks.length,
+      totalAttempts: attempts.length,
+      accuracy: attempts.length > 0 ? (solvedAttempts.length / attempts.length) * 100 : 0,
       averageTime,
+      hintsUsed: attempts.reduce((sum, attempt) => sum + attempt.hintsUsed, 0),
+      ratingChange: Math.round(attempts.reduce((sum, attempt) => sum + (attempt.ratingDelta || 0), 0) * 10) / 10,
       favoriteTheme,
       themeDistribution: themeCounts,
       difficultyDistribution: difficultyCounts
@@ -174,31 +266,20 @@ class Puzzle {
   }
 
   /**
-   * Delete puzzle
+   * Delete puzzle (and every user's attempts and bookmarks on it)
    */
-  deletePuzzle(puzzleId) {
-    const puzzle = this.puzzles.get(puzzleId);
-    if (puzzle) {
-      // Remove from user's puzzle list
-      const userPuzzleIds = this.userPuzzles.get(puzzle.userId) || [];
-      const updatedUserPuzzles = userPuzzleIds.filter(id => id !== puzzleId);
-      this.userPuzzles.set(puzzle.userId, updatedUserPuzzles);
-      
-      // Remove puzzle
-      this.puzzles.delete(puzzleId);
-      return true;
-    }
-    return false;
+  async deletePuzzle(puzzleId) {
+    return this.store.deletePuzzle(puzzleId);
   }
 
   /**
    * Get all puzzles (for admin purposes)
    */
-  getAllPuzzles() {
-    return Array.from(this.puzzles.values());
+  async getAllPuzzles() {
+    return this.store.getAllPuzzles();
   }
 }
 
 // Export a singleton instance
 const puzzleInstance = new Puzzle();
-module.exports = puzzleInstance; 
\ No newline at end of file
+module.exports = puzzleInstance; 
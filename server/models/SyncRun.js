@@ -0,0 +1,89 @@
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+const importJobModel = require('./ImportJob');
+
+const TRIGGERS = ['scheduled', 'manual'];
+
+class SyncRun {
+  /**
+   * Storage adapter the sync log lives in
+   */
+  get store() {
+    return storage.getAdapter();
+  }
+
+  /**
+   * Record a sync of a user's tracked profiles
+   * @param {Object} runData - userId, trigger ('scheduled' | 'manual'),
+   *   profiles ({ platform, username, jobId } per queued import) and
+   *   skipped ({ platform, username, reason } per profile over the tier limit)
+   */
+  async createRun(runData) {
+    if (!TRIGGERS.includes(runData.trigger)) {
+      throw new Error(`Invalid sync trigger: ${runData.trigger}`);
+    }
+
+    const run = {
+      id: uuidv4(),
+      userId: runData.userId,
+      trigger: runData.trigger,
+      startedAt: new Date().toISOString(),
+      profiles: runData.profiles || [],
+      skipped: runData.skipped || []
+    };
+
+    return this.store.createSyncRun(run);
+  }
+
+  /**
+   * A user's most recent sync runs, newest first
+   */
+  async getUserRuns(userId, limit = 20) {
+    return this.store.getSyncRunsForUser(userId, limit);
+  }
+
+  /**
+   * The user's latest sync run, or null
+   */
+  async getLatestRun(userId) {
+    const [run] = await this.getUserRuns(userId, 1);
+    return run || null;
+  }
+
+  /**
+   * A run with the outcome of each profile's import job filled in.
+   * The run is `running` until every job finishes, then `completed`, or
+   * `failed` if any import failed.
+   */
+  async describeRun(run) {
+    const profiles = await Promise.all(run.profiles.map(async profile => {
+      const job = await importJobModel.getJobById(profile.jobId);
+      if (!job) {
+        return { ...profile, status: 'failed', error: 'Import job not found' };
+      }
+      const lastError = job.errors[job.errors.length - 1];
+      return {
+        ...profile,
+        status: job.status,
+        newGames: job.counts.gamesSelected,
+        puzzlesCreated: job.counts.puzzlesCreated,
+        error: job.status === 'failed' && lastError ? lastError.message : null
+      };
+    }));
+
+    let status = 'completed';
+    if (profiles.length === 0) {
+      status = 'skipped';
+    } else if (profiles.some(profile => profile.status === 'queued' || profile.status === 'running')) {
+      status = 'running';
+    } else if (profiles.some(profile => profile.status === 'failed')) {
+      status = 'failed';
+    }
+
+    return { ...run, status, profiles };
+  }
+}
+
+// Export a singleton instance
+const syncRunInstance = new SyncRun();
+module.exports = syncRunInstance;
@@ -1,22 +1,45 @@
 const { v4: uuidv4 } = require('uuid');
+const glicko2 = require('../services/glicko2');
+const storage = require('../storage');
+
+// Linkable platforms and the user field holding the verified username
+const LINKED_ACCOUNT_FIELDS = {
+  lichess: 'lichessUsername',
+  'chess.com': 'chessComUsername'
+};
+
+// How many linked profiles each tier may have tracked (auto-synced)
+const TRACKED_PROFILE_LIMITS = {
+  free: 0,
+  pro: 1,
+  superPro: Infinity
+};
 
 class User {
-  constructor() {
-    // In-memory storage for now - replace with database later
-    this.users = new Map();
+  /**
+   * Storage adapter the users live in
+   */
+  get store() {
+    return storage.getAdapter();
   }
 
   /**
    * Create a new user
    */
-  createUser(userData) {
+  async createUser(userData) {
     const userId = uuidv4();
     const user = {
       id: userId,
       username: userData.username,
-      email: userData.email,
-      chessComUsername: userData.chessComUsername,
-      lichessUsername: userData.lichessUsername,
+      email: this.normalizeEmail(userData.email),
+      chessComUsername: userData.chessComUsername || null, // only set once ownership is verified
+      lichessUsername: userData.lichessUsername || null, // only set once ownership is verified
+      chessComVerification: null, // pending { username, token, expiresAt }
+      unverifiedUsernames: {}, // platform -> username entered before ownership was verified
+      syncCursors: {}, // platform -> where the last import of the linked profile stopped
+      tier: 'free', // free | pro | superPro
+      passwordHash: userData.passwordHash, // salted scrypt hash, never sent to clients
+      tokenVersion: 0, // bumped on logout to revoke access and refresh tokens
       createdAt: new Date().toISOString(),
       lastLogin: new Date().toISOString(),
       stats: {
@@ -26,6 +49,7 @@ class User {
         averageTime: 0,
         favoriteTheme: null
       },
+      rating: glicko2.createRating(),
       preferences: {
         theme: 'light',
         notifications: true,
@@ -33,51 +57,169 @@ class User {
       }
     };
 
-    this.users.set(userId, user);
-    return user;
+    return this.store.createUser(user);
   }
 
   /**
    * Get user by ID
    */
-  getUserById(userId) {
-    return this.users.get(userId);
+  async getUserById(userId) {
+    return this.store.getUser(userId);
   }
 
   /**
-   * Get user by email
+   * Get user by email (case-insensitive)
    */
-  getUserByEmail(email) {
-    for (const user of this.users.values()) {
-      if (user.email === email) {
-        return user;
-      }
+  async getUserByEmail(email) {
+    return this.store.getUserByEmail(this.normalizeEmail(email));
+  }
+
+  /**
+   * Emails are stored trimmed and lower-cased so one address maps to one account
+   */
+  normalizeEmail(email) {
+    return typeof email === 'string' ? email.trim().toLowerCase() : email;
+  }
+
+  /**
+   * Get user by username (case-insensitive)
+   */
+  async getUserByUsername(username) {
+    return this.store.getUserByUsername(username);
+  }
+
+  /**
+   * Get the user a verified platform account is linked to
+   * @param {string} platform - 'lichess' or 'chess.com'
+   */
+  async getUserByLinkedAccount(platform, username) {
+    return this.store.getUserByLinkedAccount(platform, username);
+  }
+
+  /**
+   * The user's verified username on a platform, or null if not linked
+   */
+  getLinkedUsername(user, platform) {
+    const field = LINKED_ACCOUNT_FIELDS[platform];
+    return (user && field && user[field]) || null;
+  }
+
+  /**
+   * Link a verified platform account to the user, replacing any unverified claim
+   */
+  async linkAccount(userId, platform, username) {
+    const user = await this.getUserById(userId);
+    const unverifiedUsernames = { ...((user && user.unverifiedUsernames) || {}) };
+    delete unverifiedUsernames[platform];
+    const fields = { [LINKED_ACCOUNT_FIELDS[platform]]: username, unverifiedUsernames };
+    if (platform === 'chess.com') {
+      fields.chessComVerification = null;
     }
-    return null;
+    return this.store.updateUser(userId, fields);
+  }
+
+  /**
+   * Remove a linked platform account
+   */
+  async unlinkAccount(userId, platform) {
+    return this.store.updateUser(userId, { [LINKED_ACCOUNT_FIELDS[platform]]: null });
+  }
+
+  /**
+   * Sync cursor of a linked profile, or null when the platform is not linked
+   * or the cursor belongs to a previously linked account
+   */
+  getSyncCursor(user, platform) {
+    const linked = this.getLinkedUsername(user, platform);
+    const cursor = user && user.syncCursors && user.syncCursors[platform];
+    if (!linked || !cursor || cursor.username.toLowerCase() !== linked.toLowerCase()) {
+      return null;
+    }
+    return cursor;
+  }
+
+  /**
+   * Store where the last import of a linked profile stopped
+   * @param {Object} cursor - { username, ...platform position } e.g. chess.com
+   *   { archive, endTime, lastGameId } or Lichess { since, lastGameId }
+   */
+  async setSyncCursor(userId, platform, cursor) {
+    const user = await this.store.getUser(userId);
+    if (!user) return null;
+    return this.store.updateUser(userId, {
+      syncCursors: { ...(user.syncCursors || {}), [platform]: { ...cursor, syncedAt: new Date().toISOString() } }
+    });
+  }
+
+  /**
+   * Number of linked profiles the user's tier can have tracked
+   */
+  getTrackedProfileLimit(user) {
+    return TRACKED_PROFILE_LIMITS[user.tier] ?? TRACKED_PROFILE_LIMITS.free;
+  }
+
+  /**
+   * Change the user's subscription tier ('free', 'pro' or 'superPro')
+   */
+  async setTier(userId, tier) {
+    if (!Object.hasOwn(TRACKED_PROFILE_LIMITS, tier)) {
+      throw new Error(`Unknown tier: ${tier} (expected ${Object.keys(TRACKED_PROFILE_LIMITS).join(', ')})`);
+    }
+    return this.store.updateUser(userId, { tier });
+  }
+
+  /**
+   * Linked profiles the user's tier allows tracking, and the rest with the reason
+   * @returns {{ tracked: Array<{ platform, username }>, skipped: Array<{ platform, username, reason }> }}
+   */
+  getTrackedProfiles(user) {
+    const limit = this.getTrackedProfileLimit(user);
+    const tracked = [];
+    const skipped = [];
+    Object.keys(LINKED_ACCOUNT_FIELDS).forEach(platform => {
+      const username = this.getLinkedUsername(user, platform);
+      if (!username) return;
+      if (tracked.length < limit) {
+        tracked.push({ platform, username });
+      } else {
+        skipped.push({ platform, username, reason: `The ${user.tier || 'free'} tier tracks ${limit} profile(s)` });
+      }
+    });
+    return { tracked, skipped };
+  }
+
+  /**
+   * Store (or clear, with null) a pending chess.com ownership check
+   */
+  async setChessComVerification(userId, verification) {
+    return this.store.updateUser(userId, { chessComVerification: verification });
   }
 
   /**
    * Update user stats
    */
-  updateUserStats(userId, stats) {
-    const user = this.users.get(userId);
+  async updateUserStats(userId, stats) {
+    const user = await this.store.getUser(userId);
     if (user) {
-      user.stats = { ...user.stats, ...stats };
-      this.users.set(userId, user);
-      return user;
+      return this.store.updateUser(userId, { stats: { ...user.stats, ...stats } });
     }
     return null;
   }
 
+  /**
+   * Replace the user's puzzle rating
+   */
+  async updateUserRating(userId, rating) {
+    return this.store.updateUser(userId, { rating });
+  }
+
   /**
    * Update user preferences
    */
-  updateUserPreferences(userId, preferences) {
-    const user = this.users.get(userId);
+  async updateUserPreferences(userId, preferences) {
+    const user = await this.store.getUser(userId);
     if (user) {
-      user.preferences = { ...user.preferences, ...preferences };
-      this.users.set(userId, user);
-      return user;
+      return this.store.updateUser(userId, { preferences: { ...user.preferences, ...preferences } });
     }
     return null;
   }
@@ -85,12 +227,17 @@ class User {
   /**
    * Update last login
    */
-  updateLastLogin(userId) {
-    const user = this.users.get(userId);
+  async updateLastLogin(userId) {
+    return this.store.updateUser(userId, { lastLogin: new Date().toISOString() });
+  }
+
+  /**
+   * Invalidate every refresh token issued to the user so far
+   */
+  async incrementTokenVersion(userId) {
+    const user = await this.store.getUser(userId);
     if (user) {
-      user.lastLogin = new Date().toISOString();
-      this.users.set(userId, user);
-      return user;
+      return this.store.updateUser(userId, { tokenVersion: (user.tokenVersion || 0) + 1 });
     }
     return null;
   }
@@ -98,16 +245,18 @@ class User {
   /**
    * Get all users (for admin purposes)
    */
-  getAllUsers() {
-    return Array.from(this.users.values());
+  async getAllUsers() {
+    return this.store.getAllUsers();
   }
 
   /**
    * Delete user
    */
-  deleteUser(userId) {
-    return this.users.delete(userId);
+  async deleteUser(userId) {
+    return this.store.deleteUser(userId);
   }
 }
 
-module.exports = User; 
\ No newline at end of file
+// Export a singleton instance so every route shares the same users
+const userInstance = new User();
+module.exports = userInstance; 
@@ -1,46 +1,94 @@
 const express = require('express');
 const router = express.Router();
-const User = require('../models/User');
+const userModel = require('../models/User');
+const crypto = require('crypto');
+const authService = require('../services/authService');
+const lichessService = require('../services/lichessService');
+const ChessComService = require('../services/chessComService');
+const { requireAuth, optionalAuth, requireSelf } = require('../middleware/auth');
 
-const userModel = new User();
+const chessComService = new ChessComService();
+
+// How long a chess.com verification token can wait in the profile
+const CHESS_COM_VERIFICATION_TTL = 60 * 60 * 1000; // ms
+
+/**
+ * The user fields that are safe to send to the client
+ */
+function toPublicUser(user) {
+  const { id, username, email, tier, chessComUsername, lichessUsername, chessComVerification, unverifiedUsernames, syncCursors, stats, preferences, rating } = user;
+  return { id, username, email, tier, chessComUsername, lichessUsername, chessComVerification, unverifiedUsernames, syncCursors, stats, preferences, rating };
+}
+
+/**
+ * A free username for a new account based on `base` (e.g. a Lichess name)
+ */
+async function availableUsername(base) {
+  let candidate = base;
+  for (let suffix = 2; await userModel.getUserByUsername(candidate); suffix++) {
+    candidate = `${base}-${suffix}`;
+  }
+  return candidate;
+}
 
 /**
  * POST /api/auth/register
- * Register a new user
+ * Register a new user with a password and sign them in
  */
 router.post('/register', async (req, res) => {
   try {
-    const { username, email, chessComUsername, lichessUsername } = req.body;
+    const { username, password } = req.body;
+    const email = userModel.normalizeEmail(req.body.email);
     
     // Basic validation
-    if (!username || !email) {
+    if (!username || !email || !password) {
+      return res.status(400).json({ 
+        error: 'Username, email and password are required' 
+      });
+    }
+    if (typeof username !== 'string' || typeof email !== 'string') {
+      return res.status(400).json({ 
+        error: 'Username and email must be text' 
+      });
+    }
+    
+    // Usernames never contain "@", so login can tell them from email addresses
+    if (username.includes('@')) {
       return res.status(400).json({ 
-        error: 'Username and email are required' 
+        error: 'Username cannot contain "@"' 
+      });
+    }
+    
+    const passwordError = authService.validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ 
+        error: passwordError 
       });
     }
     
     // Check if user already exists
-    const existingUser = userModel.getUserByEmail(email);
-    if (existingUser) {
+    if (await userModel.getUserByEmail(email)) {
       return res.status(409).json({ 
         error: 'User with this email already exists' 
       });
     }
+    if (await userModel.getUserByUsername(username)) {
+      return res.status(409).json({ 
+        error: 'Username is already taken' 
+      });
+    }
     
     // Create new user
-    const user = userModel.createUser({
+    const user = await userModel.createUser({
       username,
       email,
-      chessComUsername,
-      lichessUsername
+      passwordHash: await authService.hashPassword(password)
     });
     
-    // Remove sensitive data before sending response
-    const { id, username: userName, email: userEmail, stats, preferences } = user;
-    
     res.status(201).json({
       success: true,
-      user: { id, username: userName, email: userEmail, stats, preferences },
+      user: toPublicUser(user),
+      ...authService.issueTokens(user),
       message: 'User registered successfully'
     });
     
@@ -55,35 +103,42 @@ router.post('/register', async (req, res) => {
 
 /**
  * POST /api/auth/login
- * Login user (simple email-based login for now)
+ * Login with a username (or email) and password
  */
 router.post('/login', async (req, res) => {
   try {
-    const { email } = req.body;
+    const { username, email, password } = req.body;
+    const identifier = username || email;
     
-    if (!email) {
+    if (!identifier || !password) {
+      return res.status(400).json({ 
+        error: 'Username and password are required' 
+      });
+    }
+    if (typeof identifier !== 'string') {
       return res.status(400).json({ 
-        error: 'Email is required' 
+        error: 'Username must be text' 
       });
     }
     
-    // Find user by email
-    const user = userModel.getUserByEmail(email);
-    if (!user) {
-      return res.status(404).json({ 
-        error: 'User not found' 
+    // Accounts registered before "@" was refused in usernames log in by username too
+    const user = (identifier.includes('@') && await userModel.getUserByEmail(identifier)) ||
+      await userModel.getUserByUsername(identifier);
+    
+    // Same response for unknown users and wrong passwords
+    if (!user || !(await authService.verifyPassword(password, user.passwordHash))) {
+      return res.status(401).json({ 
+        error: 'Invalid username or password' 
       });
     }
     
     // Update last login
-    userModel.updateLastLogin(user.id);
-    
-    // Remove sensitive data before sending response
-    const { id, username, email: userEmail, stats, preferences } = user;
+    await userModel.updateLastLogin(user.id);
     
     res.json({
       success: true,
-      user: { id, username, email: userEmail, stats, preferences },
+      user: toPublicUser(user),
+      ...authService.issueTokens(user),
       message: 'Login successful'
     });
     
@@ -97,47 +152,333 @@ router.post('/login', async (req, res) => {
 });
 
 /**
- * GET /api/auth/user/:userId
- * Get user profile
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new token pair
  */
-router.get('/user/:userId', async (req, res) => {
+router.post('/refresh', async (req, res) => {
   try {
-    const { userId } = req.params;
+    const { refreshToken } = req.body;
+    
+    const payload = authService.verifyToken(refreshToken, 'refresh');
+    const user = payload ? await userModel.getUserById(payload.sub) : null;
+    if (!user || payload.ver !== (user.tokenVersion || 0)) {
+      return res.status(401).json({ 
+        error: 'Invalid or expired refresh token' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      user: toPublicUser(user),
+      ...authService.issueTokens(user)
+    });
+    
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({
+      error: 'Failed to refresh token',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke every access and refresh token of the signed-in user
+ */
+router.post('/logout', requireAuth, async (req, res) => {
+  try {
+    await userModel.incrementTokenVersion(req.user.id);
     
-    const user = userModel.getUserById(userId);
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+    
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({
+      error: 'Failed to logout',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Get the signed-in user
+ */
+router.get('/me', requireAuth, async (req, res) => {
+  res.json({
+    success: true,
+    user: toPublicUser(req.user)
+  });
+});
+
+/**
+ * POST /api/auth/lichess/start
+ * Begin Lichess OAuth (PKCE). `mode` is 'login' (default) or 'link', which
+ * links Lichess to the signed-in user. Returns the URL to send the browser to.
+ */
+router.post('/lichess/start', optionalAuth, async (req, res) => {
+  try {
+    const mode = req.body.mode === 'link' ? 'link' : 'login';
+    
+    if (mode === 'link' && !req.user) {
+      return res.status(401).json({ 
+        error: 'Authentication required' 
+      });
+    }
+    
+    const { url } = lichessService.createAuthorization({
+      mode,
+      userId: mode === 'link' ? req.user.id : null
+    });
+    
+    res.json({
+      success: true,
+      url
+    });
+    
+  } catch (error) {
+    console.error('Error starting Lichess authorization:', error);
+    res.status(500).json({
+      error: 'Failed to start Lichess authorization',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/lichess/callback
+ * Finish Lichess OAuth with the `code` and `state` Lichess redirected back with.
+ * Links the account, or signs in (creating a user on first login).
+ */
+router.post('/lichess/callback', async (req, res) => {
+  try {
+    const { code, state } = req.body;
+    
+    if (!code || !state) {
+      return res.status(400).json({ 
+        error: 'Code and state are required' 
+      });
+    }
+    
+    let authorization;
+    try {
+      authorization = await lichessService.completeAuthorization(code, state);
+    } catch (error) {
+      return res.status(400).json({ 
+        error: 'Lichess authorization failed',
+        message: error.message
+      });
+    }
+    const { mode, userId, account } = authorization;
+    const linkedUser = await userModel.getUserByLinkedAccount('lichess', account.username);
+    
+    if (mode === 'link') {
+      if (linkedUser && linkedUser.id !== userId) {
+        return res.status(409).json({ 
+          error: `Lichess account ${account.username} is already linked to another user` 
+        });
+      }
+      const user = await userModel.linkAccount(userId, 'lichess', account.username);
+      if (!user) {
+        return res.status(404).json({ 
+          error: 'User not found' 
+        });
+      }
+      return res.json({
+        success: true,
+        mode,
+        user: toPublicUser(user),
+        message: `Linked Lichess account ${account.username}`
+      });
+    }
+    
+    let user = linkedUser;
+    const created = !user;
     if (!user) {
+      if (!account.email) {
+        return res.status(400).json({ 
+          error: 'Lichess did not share an email address for this account' 
+        });
+      }
+      if (await userModel.getUserByEmail(account.email)) {
+        return res.status(409).json({ 
+          error: 'An account with this email already exists. Sign in with your password and link Lichess from your profile.' 
+        });
+      }
+      user = await userModel.createUser({
+        username: await availableUsername(account.username),
+        email: account.email,
+        lichessUsername: account.username
+      });
+    }
+    
+    await userModel.updateLastLogin(user.id);
+    
+    res.status(created ? 201 : 200).json({
+      success: true,
+      mode,
+      created,
+      user: toPublicUser(user),
+      ...authService.issueTokens(user),
+      message: 'Login successful'
+    });
+    
+  } catch (error) {
+    console.error('Error completing Lichess authorization:', error);
+    res.status(500).json({
+      error: 'Failed to complete Lichess authorization',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/link/chess-com
+ * Start proving ownership of a chess.com account. Returns a one-time token
+ * to put in the chess.com profile location or status.
+ */
+router.post('/link/chess-com', requireAuth, async (req, res) => {
+  try {
+    const { username } = req.body;
+    
+    if (!username) {
+      return res.status(400).json({ 
+        error: 'Username is required' 
+      });
+    }
+    
+    const linkedUser = await userModel.getUserByLinkedAccount('chess.com', username);
+    if (linkedUser && linkedUser.id !== req.user.id) {
+      return res.status(409).json({ 
+        error: `chess.com account ${username} is already linked to another user` 
+      });
+    }
+    
+    const profile = await chessComService.getPlayerProfile(username);
+    if (!profile) {
       return res.status(404).json({ 
-        error: 'User not found' 
+        error: 'Player not found on chess.com' 
       });
     }
     
-    // Remove sensitive data before sending response
-    const { id, username, email, stats, preferences } = user;
+    const verification = {
+      username: profile.username || username,
+      token: `cpb-${crypto.randomBytes(4).toString('hex')}`,
+      expiresAt: new Date(Date.now() + CHESS_COM_VERIFICATION_TTL).toISOString()
+    };
+    await userModel.setChessComVerification(req.user.id, verification);
     
     res.json({
       success: true,
-      user: { id, username, email, stats, preferences }
+      verification,
+      message: `Add ${verification.token} to your chess.com profile location or status, then verify`
     });
     
   } catch (error) {
-    console.error('Error fetching user:', error);
+    console.error('Error starting chess.com verification:', error);
     res.status(500).json({
-      error: 'Failed to fetch user',
+      error: 'Failed to start chess.com verification',
       message: error.message
     });
   }
 });
 
 /**
- * PUT /api/auth/user/:userId/preferences
- * Update user preferences
+ * POST /api/auth/link/chess-com/verify
+ * Check the profile for the pending token and link the account
+ */
+router.post('/link/chess-com/verify', requireAuth, async (req, res) => {
+  try {
+    const verification = req.user.chessComVerification;
+    
+    if (!verification) {
+      return res.status(400).json({ 
+        error: 'No chess.com verification in progress' 
+      });
+    }
+    
+    if (new Date(verification.expiresAt).getTime() <= Date.now()) {
+      await userModel.setChessComVerification(req.user.id, null);
+      return res.status(410).json({ 
+        error: 'Verification token expired, please start again' 
+      });
+    }
+    
+    const result = await chessComService.verifyProfileToken(verification.username, verification.token);
+    if (!result.verified) {
+      return res.status(400).json({ 
+        error: 'chess.com account not verified',
+        message: result.reason
+      });
+    }
+    
+    const linkedUser = await userModel.getUserByLinkedAccount('chess.com', result.username);
+    if (linkedUser && linkedUser.id !== req.user.id) {
+      return res.status(409).json({ 
+        error: `chess.com account ${result.username} is already linked to another user` 
+      });
+    }
+    
+    const user = await userModel.linkAccount(req.user.id, 'chess.com', result.username);
+    
+    res.json({
+      success: true,
+      user: toPublicUser(user),
+      message: `Linked chess.com account ${result.username}. You can remove the token from your profile now.`
+    });
+    
+  } catch (error) {
+    console.error('Error verifying chess.com account:', error);
+    res.status(500).json({
+      error: 'Failed to verify chess.com account',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/link/:platform
+ * Unlink a Lichess ('lichess') or chess.com ('chess-com') account
  */
-router.put('/user/:userId/preferences', async (req, res) => {
+router.delete('/link/:platform', requireAuth, async (req, res) => {
+  try {
+    const platform = { lichess: 'lichess', 'chess-com': 'chess.com' }[req.params.platform];
+    
+    if (!platform) {
+      return res.status(400).json({ 
+        error: 'Unsupported platform. Use "lichess" or "chess-com"' 
+      });
+    }
+    
+    const user = await userModel.unlinkAccount(req.user.id, platform);
+    
+    res.json({
+      success: true,
+      user: toPublicUser(user)
+    });
+    
+  } catch (error) {
+    console.error('Error unlinking account:', error);
+    res.status(500).json({
+      error: 'Failed to unlink account',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/auth/user/:userId
+ * Get user profile (own profile only)
+ */
+router.get('/user/:userId', requireAuth, requireSelf(), async (req, res) => {
   try {
     const { userId } = req.params;
-    const preferences = req.body;
     
-    const user = userModel.updateUserPreferences(userId, preferences);
+    const user = await userModel.getUserById(userId);
     if (!user) {
       return res.status(404).json({ 
         error: 'User not found' 
@@ -146,47 +487,44 @@ router.put('/user/:userId/preferences', async (req, res) => {
     
     res.json({
       success: true,
-      preferences: user.preferences,
-      message: 'Preferences updated successfully'
+      user: toPublicUser(user)
     });
     
   } catch (error) {
-    console.error('Error updating preferences:', error);
+    console.error('Error fetching user:', error);
     res.status(500).json({
-      error: 'Failed to update preferences',
+      error: 'Failed to fetch user',
       message: error.message
     });
   }
 });
 
 /**
- * GET /api/auth/users
- * Get all users (for admin purposes)
+ * PUT /api/auth/user/:userId/preferences
+ * Update user preferences (own preferences only)
  */
-router.get('/users', async (req, res) => {
+router.put('/user/:userId/preferences', requireAuth, requireSelf(), async (req, res) => {
   try {
-    const users = userModel.getAllUsers();
-    
-    // Remove sensitive data
-    const sanitizedUsers = users.map(user => ({
-      id: user.id,
-      username: user.username,
-      email: user.email,
-      createdAt: user.createdAt,
-      lastLogin: user.lastLogin,
-      stats: user.stats
-    }));
+    const { userId } = req.params;
+    const preferences = req.body;
+    
+    const user = await userModel.updateUserPreferences(userId, preferences);
+    if (!user) {
+      return res.status(404).json({ 
+        error: 'User not found' 
+      });
+    }
     
     res.json({
       success: true,
-      users: sanitizedUsers,
-      count: sanitizedUsers.length
+      preferences: user.preferences,
+      message: 'Preferences updated successfully'
     });
     
   } catch (error) {
-    console.error('Error fetching users:', error);
+    console.error('Error updating preferences:', error);
     res.status(500).json({
-      error: 'Failed to fetch users',
+      error: 'Failed to update preferences',
       message: error.message
     });
   }
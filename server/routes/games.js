@@ -2,17 +2,64 @@ const express = require('express');
 const router = express.Router();
 const ChessComService = require('../services/chessComService');
 const lichessService = require('../services/lichessService');
-const PuzzleGenerator = require('../services/puzzleGenerator');
-const puzzleModel = require('../models/Puzzle');
+const pgnService = require('../services/pgnService');
+const importWorker = require('../services/importWorker');
+const { PERSPECTIVES } = require('../services/puzzleGenerator');
+const importJobModel = require('../models/ImportJob');
+const userModel = require('../models/User');
+const { optionalAuth } = require('../middleware/auth');
 
 const chessComService = new ChessComService();
-const puzzleGenerator = new PuzzleGenerator();
+
+// Every imported game is scanned by the engine, so imports are capped
+const PGN_MAX_GAMES = 50; // games of one uploaded PGN that are analyzed
+const IMPORT_MAX_GAMES = 50; // games of one player that are analyzed
+const ANONYMOUS_MAX_GAMES = 10; // games analyzed for an import without an account
+const IMPORT_MAX_PUZZLES = 20; // puzzles one import saves
+const LIST_MAX_GAMES = 100; // games the player listings return
+
+// Imports share one serial worker, so one caller can only have a few waiting
+const MAX_UNFINISHED_JOBS = 3; // queued or running imports per signed-in user
+const ANONYMOUS_MAX_UNFINISHED_JOBS = 1; // queued or running imports per anonymous IP
+
+/**
+ * A positive whole-number limit from the request capped at `max`, or
+ * `fallback` when none is given. Null when the value is not a positive integer.
+ */
+function readLimit(value, fallback, max) {
+  if (value === undefined || value === null || value === '') return Math.min(fallback, max);
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit <= 0) return null;
+  return Math.min(limit, max);
+}
+
+/**
+ * Most games an import by `user` (null when anonymous) may analyze
+ */
+function maxImportGames(user, max) {
+  return user ? max : Math.min(max, ANONYMOUS_MAX_GAMES);
+}
+
+/**
+ * Platform and game ID of a chess.com or lichess.org game URL, or null.
+ * chess.com URLs may also name one of the players.
+ */
+function parseGameUrl(gameUrl) {
+  if (typeof gameUrl !== 'string') return null;
+  if (chessComService.isValidChessComUrl(gameUrl)) {
+    return { platform: 'chess.com', ...chessComService.parseChessComUrl(gameUrl) };
+  }
+  const lichessGameId = lichessService.parseGameUrl(gameUrl);
+  return lichessGameId ? { platform: 'lichess.org', gameId: lichessGameId } : null;
+}
 
 /**
  * POST /api/games/analyze
- * Analyze a chess.com game URL and return game data
+ * Fetch the game behind a chess.com or lichess.org game URL. chess.com games
+ * are searched for in the monthly archives of the player named in the URL, or
+ * of `username` (default: the signed-in user's linked chess.com account).
  */
-router.post('/analyze', async (req, res) => {
+router.post('/analyze', optionalAuth, async (req, res) => {
   try {
     const { gameUrl } = req.body;
     
@@ -22,39 +69,41 @@ router.post('/analyze', async (req, res) => {
       });
     }
     
-    if (!chessComService.isValidChessComUrl(gameUrl)) {
+    const parsed = parseGameUrl(gameUrl);
+    if (!parsed) {
       return res.status(400).json({ 
-        error: 'Invalid chess.com URL format' 
+        error: 'Invalid game URL. Please use a chess.com or lichess.org game URL' 
       });
     }
     
     console.log('🔍 Analyzing game URL:', gameUrl);
     
-    // For chess.com URLs, we can't fetch individual games anymore
-    // This route is deprecated for chess.com
-    if (gameUrl.includes('chess.com')) {
-      return res.status(400).json({
-        error: 'Individual chess.com game analysis is not supported. Use the import route instead.'
+    if (parsed.platform === 'lichess.org') {
+      const gameData = await lichessService.getGame(parsed.gameId);
+      return res.json({
+        success: true,
+        platform: parsed.platform,
+        game: gameData
       });
     }
     
-    // For lichess, we can still fetch individual games
-    if (gameUrl.includes('lichess.org')) {
-      const gameId = gameUrl.split('/').pop();
-      const gameData = await lichessService.getGame(gameId);
-      res.json({
-        success: true,
-        game: gameData
+    const username = parsed.username || req.body.username || userModel.getLinkedUsername(req.user, 'chess.com');
+    if (!username) {
+      return res.status(400).json({
+        error: 'A chess.com username is needed to find this game'
       });
-      return;
     }
     
-    return res.status(400).json({
-      error: 'Unsupported platform. Only lichess.org URLs are supported for individual game analysis.'
-    });
+    const gameData = await chessComService.findGame(username, parsed.gameId);
+    if (!gameData) {
+      return res.status(404).json({
+        error: `Game ${parsed.gameId} was not found in the archives of ${username}`
+      });
+    }
     
     res.json({
       success: true,
+      platform: parsed.platform,
       game: gameData
     });
     
@@ -81,19 +130,18 @@ router.post('/validate-url', async (req, res) => {
       });
     }
     
-    // Check if it's a chess.com URL
-    const isChessCom = chessComService.isValidChessComUrl(gameUrl);
-    
-    // Check if it's a lichess.org URL
-    const isLichess = gameUrl.includes('lichess.org') && gameUrl.match(/lichess\.org\/[a-zA-Z0-9]{8,}/) !== null;
-    
-    const isValid = isChessCom || isLichess;
-    const platform = isChessCom ? 'chess.com' : isLichess ? 'lichess.org' : 'unknown';
+    const parsed = parseGameUrl(gameUrl);
+    const isValid = Boolean(parsed);
+    const platform = parsed ? parsed.platform : 'unknown';
     
     res.json({
       success: true,
       isValid,
       platform,
+      gameId: parsed ? parsed.gameId : null,
+      username: parsed && parsed.username ? parsed.username : null,
+      // chess.com games are looked up through a player's archives
+      needsUsername: platform === 'chess.com' && !parsed.username,
       message: isValid ? `Valid ${platform} URL` : 'Invalid URL format. Please use chess.com or lichess.org URLs'
     });
     
@@ -113,7 +161,13 @@ router.post('/validate-url', async (req, res) => {
 router.get('/player/:username', async (req, res) => {
   try {
     const { username } = req.params;
-    const { limit = 10 } = req.query;
+    const limit = readLimit(req.query.limit, 10, LIST_MAX_GAMES);
+    
+    if (limit === null) {
+      return res.status(400).json({ 
+        error: 'limit must be a positive whole number' 
+      });
+    }
     
     if (!username) {
       return res.status(400).json({ 
@@ -123,7 +177,7 @@ router.get('/player/:username', async (req, res) => {
     
     console.log('👤 Fetching games for player:', username);
     
-    const games = await chessComService.getPlayerGames(username, parseInt(limit));
+    const games = await chessComService.getPlayerGames(username, limit);
     
     res.json({
       success: true,
@@ -148,7 +202,13 @@ router.get('/player/:username', async (req, res) => {
 router.get('/lichess/:username', async (req, res) => {
   try {
     const { username } = req.params;
-    const { maxGames = 50 } = req.query;
+    const maxGames = readLimit(req.query.maxGames, 50, LIST_MAX_GAMES);
+    
+    if (maxGames === null) {
+      return res.status(400).json({ 
+        error: 'maxGames must be a positive whole number' 
+      });
+    }
     
     if (!username) {
       return res.status(400).json({ 
@@ -164,7 +224,7 @@ router.get('/lichess/:username', async (req, res) => {
     
     console.log('👤 Fetching lichess games for player:', username);
     
-    const games = await lichessService.getUserGames(username, parseInt(maxGames));
+    const games = await lichessService.getUserGames(username, maxGames);
     
     res.json({
       success: true,
@@ -209,34 +269,192 @@ router.get('/lichess/game/:gameId', async (req, res) => {
   }
 });
 
+/**
+ * Pick the platform and username to import from. Signed-in users default to
+ * their linked accounts: the one for the requested platform, else chess.com,
+ * else Lichess.
+ */
+function resolveImportSource(user, platform, username) {
+  if (username) {
+    return { platform, username };
+  }
+
+  const requested = platform && (platform.toLowerCase().includes('lichess') ? 'lichess' : 'chess.com');
+  const candidates = requested ? [requested] : ['chess.com', 'lichess'];
+  for (const candidate of candidates) {
+    const linked = userModel.getLinkedUsername(user, candidate);
+    if (linked) {
+      return { platform: candidate === 'lichess' ? 'lichess.org' : 'chess.com', username: linked, linked: true };
+    }
+  }
+  return { platform, username };
+}
+
+/**
+ * Job params for a pasted or uploaded PGN, or an `error` for the response.
+ * `username` is optional: the player's name as it appears in the PGN.
+ */
+function getPgnImportParams(user, body) {
+  const { pgn, username } = body;
+  if (typeof pgn !== 'string' || !pgn.trim()) {
+    return { error: 'PGN text is required' };
+  }
+
+  const maxGames = readLimit(body.maxGames, PGN_MAX_GAMES, maxImportGames(user, PGN_MAX_GAMES));
+  const maxPuzzles = readLimit(body.maxPuzzles, 5, IMPORT_MAX_PUZZLES);
+  if (maxGames === null || maxPuzzles === null) {
+    return { error: 'maxGames and maxPuzzles must be positive whole numbers' };
+  }
+
+  const { games, skipped } = pgnService.parseGames(pgn);
+  if (games.length === 0) {
+    return {
+      error: skipped.length > 0
+        ? `No standard games found in the PGN (${skipped.length} skipped: ${skipped[0].reason})`
+        : 'No games found in the PGN'
+    };
+  }
+
+  return {
+    params: {
+      platform: 'pgn',
+      username: typeof username === 'string' && username.trim() ? username.trim() : null,
+      pgn,
+      maxGames,
+      maxPuzzles
+    }
+  };
+}
+
+/**
+ * Job params for importing the single game behind a game URL, or an `error`
+ * for the response. chess.com needs a player to search the archives of.
+ */
+function getGameUrlImportParams(user, body) {
+  const { gameUrl } = body;
+  const parsed = parseGameUrl(gameUrl);
+  if (!parsed) {
+    return { error: 'Invalid game URL. Please use a chess.com or lichess.org game URL' };
+  }
+
+  const maxPuzzles = readLimit(body.maxPuzzles, 5, IMPORT_MAX_PUZZLES);
+  if (maxPuzzles === null) {
+    return { error: 'maxPuzzles must be a positive whole number' };
+  }
+
+  // The importing player's own name comes first, it also decides the perspective
+  const username = (typeof body.username === 'string' && body.username.trim()) ||
+    parsed.username ||
+    (parsed.platform === 'chess.com' ? userModel.getLinkedUsername(user, 'chess.com') : null);
+  if (parsed.platform === 'chess.com' && !username) {
+    return { error: 'A chess.com username is needed to find this game' };
+  }
+
+  return {
+    params: {
+      platform: parsed.platform,
+      username: username || null,
+      gameUrl,
+      maxGames: 1,
+      maxPuzzles
+    }
+  };
+}
+
+/**
+ * Whose missed wins an import turns into puzzles, or an `error` for the
+ * response. Imports that name a player default to that player's own.
+ */
+function resolvePerspective(perspective, username) {
+  const resolved = perspective || (username ? 'mine' : 'both');
+  if (!PERSPECTIVES.includes(resolved)) {
+    return { error: `Invalid perspective. Use ${PERSPECTIVES.map(option => `"${option}"`).join(', ')}` };
+  }
+  if (resolved !== 'both' && !username) {
+    return { error: 'A username is needed to choose whose missed wins become puzzles' };
+  }
+  return { perspective: resolved };
+}
+
+/**
+ * Create and enqueue an import job with the requested perspective,
+ * responding 202 with it
+ */
+async function queueImport(req, res, params) {
+  const { perspective, error } = resolvePerspective(req.body.perspective, params.username);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const maxUnfinished = req.user ? MAX_UNFINISHED_JOBS : ANONYMOUS_MAX_UNFINISHED_JOBS;
+  const job = await importJobModel.createJob({
+    userId: req.user ? req.user.id : null, // Signed-in imports go to the user's collection
+    clientIp: req.ip,
+    params: { ...params, perspective }
+  }, { maxUnfinished });
+  if (!job) {
+    return res.status(429).json({
+      error: `Too many imports in progress (at most ${maxUnfinished} at a time). Wait for one to finish before starting another.`
+    });
+  }
+  importWorker.enqueue(job.id);
+
+  console.log('📥 Queued import job', job.id, 'for', params.gameUrl || params.username || 'a PGN upload', 'from', params.platform);
+
+  res.status(202).json({
+    success: true,
+    job: importJobModel.toPublicJob(job),
+    statusUrl: `/api/jobs/${job.id}`,
+    eventsUrl: `/api/jobs/${job.id}/events`
+  });
+}
+
 /**
  * POST /api/games/import
- * Bulk import games from multiple platforms and generate puzzles
+ * Queue a background job that imports games and generates puzzles.
+ * `platform` and `username` default to the signed-in user's linked accounts.
+ * With `platform: 'pgn'` the games come from the `pgn` field instead (a
+ * multi-game PGN file), and with `gameUrl` only that game is imported.
+ * `perspective` picks whose missed wins become puzzles: 'mine' (the default
+ * when a username is known), 'opponent' or 'both'.
+ * Responds 202 with the job; follow it with GET /api/jobs/:jobId or its
+ * /events stream.
  */
-router.post('/import', async (req, res) => {
+router.post('/import', optionalAuth, async (req, res) => {
   try {
-    const startTime = Date.now();
-    const { platform, username, maxGames = 10, maxPuzzles = 5 } = req.body;
+    if (req.body.gameUrl || req.body.platform === 'pgn') {
+      const { params, error } = req.body.gameUrl
+        ? getGameUrlImportParams(req.user, req.body)
+        : getPgnImportParams(req.user, req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      return queueImport(req, res, params);
+    }
+
+    const maxGames = readLimit(req.body.maxGames, 10, maxImportGames(req.user, IMPORT_MAX_GAMES));
+    const maxPuzzles = readLimit(req.body.maxPuzzles, 5, IMPORT_MAX_PUZZLES);
+    const { platform, username } = resolveImportSource(req.user, req.body.platform, req.body.username);
     
-    if (!platform || !username) {
+    if (maxGames === null || maxPuzzles === null) {
       return res.status(400).json({ 
-        error: 'Platform and username are required' 
+        error: 'maxGames and maxPuzzles must be positive whole numbers' 
       });
     }
     
-
-    console.log('📥 Importing games for:', username, 'from', platform, `(max: ${maxGames} games, ${maxPuzzles} puzzles)`);
-    
-    // Add initial processing delay for sophistication
-    console.log('🚀 Initializing game import system...');
-    await new Promise(resolve => setTimeout(resolve, 600));
-    
-    let games = [];
+    if (!platform || !username) {
+      return res.status(400).json({ 
+        error: req.user
+          ? 'Platform and username are required (or link a chess.com or Lichess account)'
+          : 'Platform and username are required' 
+      });
+    }
     
+    let normalizedPlatform;
     switch (platform.toLowerCase()) {
       case 'chess.com':
       case 'chesscom':
-        games = await chessComService.getPlayerGames(username, parseInt(maxGames));
+        normalizedPlatform = 'chess.com';
         break;
       case 'lichess.org':
       case 'lichess':
@@ -245,7 +463,7 @@ router.post('/import', async (req, res) => {
             error: 'Invalid lichess username format' 
           });
         }
-        games = await lichessService.getUserGames(username, parseInt(maxGames));
+        normalizedPlatform = 'lichess.org';
         break;
       default:
         return res.status(400).json({ 
@@ -253,53 +471,12 @@ router.post('/import', async (req, res) => {
         });
     }
     
-    console.log(`📊 Found ${games.length} games, generating puzzles...`);
-    
-    // Instead of processing all games, randomly select one from the last 10
-    if (games.length === 0) {
-      return res.status(400).json({ error: 'No games found for this user.' });
-    }
-    // Pick a random game from the list
-    const randomIndex = Math.floor(Math.random() * games.length);
-    const game = games[randomIndex];
-    let puzzleResult;
-    if (platform === 'chess.com' || platform === 'chesscom') {
-      if (!game.pgn) {
-        return res.status(400).json({ error: 'Selected game has no PGN.' });
-      }
-      game.platform = 'chess.com';
-      puzzleResult = await puzzleGenerator.generatePuzzlesFromGame(game);
-    } else {
-      puzzleResult = await puzzleGenerator.generatePuzzlesFromGame(`https://lichess.org/${game.id}`);
-    }
-    // Save puzzles to the in-memory store and collect the saved versions
-    const allPuzzles = [];
-    if (puzzleResult.puzzles && puzzleResult.puzzles.length > 0) {
-      for (const puzzle of puzzleResult.puzzles) {
-        const savedPuzzle = puzzleModel.createPuzzle({
-          ...puzzle,
-          userId: null, // No userId for now
-          gameId: game.id
-        });
-        allPuzzles.push(savedPuzzle);
-      }
-    }
-    const processingTime = Math.round((Date.now() - startTime) / 1000);
-    res.json({
-      success: true,
-      gamesImported: games.length,
-      gamesProcessed: 1,
-      puzzles: allPuzzles,
-      summary: {
-        type: 'random-single',
-        platform,
-        username,
-        gamesImported: games.length,
-        puzzlesGenerated: allPuzzles.length,
-        processingTime: `${processingTime}s`
-      }
+    return queueImport(req, res, {
+      platform: normalizedPlatform,
+      username,
+      maxGames,
+      maxPuzzles
     });
-    return;
     
   } catch (error) {
     console.error('Error importing games:', error);
@@ -0,0 +1,153 @@
+const express = require('express');
+const router = express.Router();
+const importJobModel = require('../models/ImportJob');
+const puzzleModel = require('../models/Puzzle');
+const importWorker = require('../services/importWorker');
+const { requireAuth, optionalAuth } = require('../middleware/auth');
+
+const HEARTBEAT_INTERVAL = 15000; // ms, keeps proxies from closing an idle stream
+
+// Responses of the open progress streams, ended on shutdown
+const openStreams = new Set();
+
+function isFinished(job) {
+  return job.status === 'completed' || job.status === 'failed';
+}
+
+/**
+ * GET /api/jobs
+ * The signed-in user's most recent import jobs
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+    const jobs = await importJobModel.getUserJobs(req.user.id, Math.min(parseInt(limit) || 20, 100));
+
+    res.json({
+      success: true,
+      jobs: jobs.map(job => importJobModel.toPublicJob(job))
+    });
+
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({
+      error: 'Failed to fetch jobs',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Load the job in `req.params.jobId`, with live counts while it runs.
+ * Jobs started by a signed-in user are only visible to that user.
+ */
+async function loadJob(req, res, next) {
+  try {
+    const job = await importWorker.getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found'
+      });
+    }
+
+    if (job.userId && (!req.user || req.user.id !== job.userId)) {
+      return res.status(403).json({
+        error: 'You can only access your own jobs'
+      });
+    }
+
+    req.job = job;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/jobs/:jobId/events
+ * Server-Sent Events stream of an import job: a `progress` event with the job
+ * whenever its stage or counts change, then one `done` event with the final
+ * job and its puzzles.
+ */
+router.get('/:jobId/events', optionalAuth, loadJob, (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  let closed = false;
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+  const cleanup = () => {
+    closed = true;
+    clearInterval(heartbeat);
+    importWorker.off('progress', onProgress);
+    openStreams.delete(res);
+  };
+
+  const finish = async (job) => {
+    cleanup();
+    try {
+      const puzzles = job.result ? await puzzleModel.getPuzzlesByIds(job.result.puzzleIds) : [];
+      send('done', { job, puzzles });
+    } catch (error) {
+      send('error', { error: 'Failed to load puzzles', message: error.message });
+    }
+    res.end();
+  };
+
+  function onProgress(job) {
+    if (closed || job.id !== req.job.id) return;
+    send('progress', job);
+    if (isFinished(job)) finish(job);
+  }
+
+  // The job keeps running if the client goes away
+  res.on('close', cleanup);
+  importWorker.on('progress', onProgress);
+  openStreams.add(res);
+
+  const job = importJobModel.toPublicJob(req.job);
+  send('progress', job);
+  if (isFinished(job)) finish(job);
+});
+
+/**
+ * GET /api/jobs/:jobId
+ * Stage, counts and errors of an import job, plus its puzzles once completed
+ */
+router.get('/:jobId', optionalAuth, loadJob, async (req, res) => {
+  try {
+    const { job } = req;
+    const puzzles = job.result ? await puzzleModel.getPuzzlesByIds(job.result.puzzleIds) : [];
+
+    res.json({
+      success: true,
+      job: importJobModel.toPublicJob(job),
+      puzzles
+    });
+
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({
+      error: 'Failed to fetch job',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * End every open progress stream so the server can close. The jobs keep
+ * their state and clients pick them up again by id.
+ */
+function closeEventStreams() {
+  openStreams.forEach(res => res.end());
+}
+
+module.exports = router;
+module.exports.closeEventStreams = closeEventStreams;
@@ -1,10 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const PuzzleGenerator = require('../services/puzzleGenerator');
+const { MAX_MATE_IN } = PuzzleGenerator;
 const puzzleModel = require('../models/Puzzle');
+const attemptModel = require('../models/Attempt');
+const stockfishService = require('../services/stockfishService');
+const glicko2 = require('../services/glicko2');
+const { requireAuth, optionalAuth, requireSelf } = require('../middleware/auth');
 
 const puzzleGenerator = new PuzzleGenerator();
 
+// Default +/- window around the target rating for /random
+const DEFAULT_RATING_WINDOW = 200;
+
 /**
  * GET /api/puzzles/health
  * Health check for puzzle generation service
@@ -15,6 +23,7 @@ router.get('/health', async (req, res) => {
       success: true,
       status: 'healthy',
       message: 'Puzzle generation service is running',
+      engine: stockfishService.getStatus(),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -25,61 +34,6 @@ router.get('/health', async (req, res) => {
   }
 });
 
-/**
- * POST /api/puzzles/generate
- * Generate puzzles from a chess.com game URL
- */
-router.post('/generate', async (req, res) => {
-  try {
-    const { gameUrl, userId } = req.body;
-    
-    if (!gameUrl) {
-      return res.status(400).json({ 
-        error: 'Game URL is required' 
-      });
-    }
-    
-    if (!userId) {
-      return res.status(400).json({ 
-        error: 'User ID is required' 
-      });
-    }
-    
-    console.log('🧩 Generating puzzles for:', gameUrl, 'User:', userId);
-    
-    // Generate puzzles (this can take 30+ seconds for complex games)
-    const result = await puzzleGenerator.generatePuzzlesFromGame(gameUrl);
-    
-    // Save puzzles to user's collection
-    const savedPuzzles = [];
-    for (const puzzle of result.puzzles) {
-      const savedPuzzle = puzzleModel.createPuzzle({
-        ...puzzle,
-        userId,
-        gameId: result.game.id
-      });
-      savedPuzzles.push(savedPuzzle);
-    }
-    
-    res.json({
-      success: true,
-      game: result.game,
-      puzzles: savedPuzzles,
-      summary: {
-        ...result.summary,
-        savedPuzzles: savedPuzzles.length
-      }
-    });
-    
-  } catch (error) {
-    console.error('Error generating puzzles:', error);
-    res.status(500).json({
-      error: 'Failed to generate puzzles',
-      message: error.message
-    });
-  }
-});
-
 /**
  * POST /api/puzzles/validate
  * Validate a puzzle solution
@@ -112,57 +66,31 @@ router.post('/validate', async (req, res) => {
   }
 });
 
-/**
- * GET /api/puzzles/:puzzleId
- * Get a specific puzzle by ID
- */
-router.get('/:puzzleId', async (req, res) => {
-  try {
-    const { puzzleId } = req.params;
-    
-    if (!puzzleId) {
-      return res.status(400).json({ 
-        error: 'Puzzle ID is required' 
-      });
-    }
-    
-    const puzzle = puzzleModel.getPuzzleById(puzzleId);
-    if (!puzzle) {
-      return res.status(404).json({ 
-        error: 'Puzzle not found' 
-      });
-    }
-    
-    res.json({
-      success: true,
-      puzzle
-    });
-    
-  } catch (error) {
-    console.error('Error fetching puzzle:', error);
-    res.status(500).json({
-      error: 'Failed to fetch puzzle',
-      message: error.message
-    });
-  }
-});
-
 /**
  * GET /api/puzzles/user/:userId
- * Get all puzzles for a user
+ * Get all puzzles for a user (own collection only)
+ * Query: theme, difficulty, mateIn (1-5, forced mates of that length), isSolved, isBookmarked
  */
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', requireAuth, requireSelf(), async (req, res) => {
   try {
     const { userId } = req.params;
-    const { theme, difficulty, isSolved, isBookmarked } = req.query;
+    const { theme, difficulty, mateIn, isSolved, isBookmarked } = req.query;
     
     const filters = {};
     if (theme) filters.theme = theme;
     if (difficulty) filters.difficulty = parseInt(difficulty);
+    if (mateIn) {
+      filters.mateIn = parseInt(mateIn);
+      if (!(filters.mateIn >= 1 && filters.mateIn <= MAX_MATE_IN)) {
+        return res.status(400).json({
+          error: `mateIn must be between 1 and ${MAX_MATE_IN}`
+        });
+      }
+    }
     if (isSolved !== undefined) filters.isSolved = isSolved === 'true';
     if (isBookmarked !== undefined) filters.isBookmarked = isBookmarked === 'true';
     
-    const puzzles = puzzleModel.getUserPuzzles(userId, filters);
+    const puzzles = await puzzleModel.getUserPuzzles(userId, filters);
     
     res.json({
       success: true,
@@ -181,13 +109,13 @@ router.get('/user/:userId', async (req, res) => {
 
 /**
  * GET /api/puzzles/user/:userId/bookmarks
- * Get user's bookmarked puzzles
+ * Get user's bookmarked puzzles (own bookmarks only)
  */
-router.get('/user/:userId/bookmarks', async (req, res) => {
+router.get('/user/:userId/bookmarks', requireAuth, requireSelf(), async (req, res) => {
   try {
     const { userId } = req.params;
     
-    const puzzles = puzzleModel.getBookmarkedPuzzles(userId);
+    const puzzles = await puzzleModel.getBookmarkedPuzzles(userId);
     
     res.json({
       success: true,
@@ -206,13 +134,13 @@ router.get('/user/:userId/bookmarks', async (req, res) => {
 
 /**
  * GET /api/puzzles/user/:userId/stats
- * Get user's puzzle statistics
+ * Get user's puzzle statistics (own statistics only)
  */
-router.get('/user/:userId/stats', async (req, res) => {
+router.get('/user/:userId/stats', requireAuth, requireSelf(), async (req, res) => {
   try {
     const { userId } = req.params;
     
-    const stats = puzzleModel.getUserPuzzleStats(userId);
+    const stats = await puzzleModel.getUserPuzzleStats(userId);
     
     res.json({
       success: true,
@@ -228,16 +156,60 @@ router.get('/user/:userId/stats', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/puzzles/:puzzleId/attempts
+ * The signed-in user's attempt history for a puzzle and the progress derived from it
+ */
+router.get('/:puzzleId/attempts', requireAuth, async (req, res) => {
+  try {
+    const { puzzleId } = req.params;
+    const userId = req.user.id;
+    
+    if (!(await puzzleModel.getPuzzleById(puzzleId))) {
+      return res.status(404).json({ 
+        error: 'Puzzle not found' 
+      });
+    }
+    
+    const [attempts, progress] = await Promise.all([
+      attemptModel.getAttempts(userId, puzzleId),
+      puzzleModel.getPuzzleProgress(puzzleId, userId)
+    ]);
+    
+    res.json({
+      success: true,
+      attempts,
+      progress
+    });
+    
+  } catch (error) {
+    console.error('Error fetching puzzle attempts:', error);
+    res.status(500).json({
+      error: 'Failed to fetch puzzle attempts',
+      message: error.message
+    });
+  }
+});
+
 /**
  * PUT /api/puzzles/:puzzleId/progress
- * Update puzzle progress
+ * Update the signed-in user's progress on a puzzle (body: `isBookmarked`).
+ * Solved state, attempts and time are derived from attempts recorded via /solve.
  */
-router.put('/:puzzleId/progress', async (req, res) => {
+router.put('/:puzzleId/progress', requireAuth, async (req, res) => {
   try {
     const { puzzleId } = req.params;
-    const progress = req.body;
+    const { isBookmarked } = req.body;
+    const userId = req.user.id;
+    
+    if (typeof isBookmarked !== 'boolean') {
+      return res.status(400).json({ 
+        error: 'isBookmarked (boolean) is required',
+        message: 'Solve and fail results are recorded with POST /api/puzzles/:puzzleId/solve'
+      });
+    }
     
-    const puzzle = puzzleModel.updatePuzzleProgress(puzzleId, progress);
+    const puzzle = await puzzleModel.setBookmark(puzzleId, userId, isBookmarked);
     if (!puzzle) {
       return res.status(404).json({ 
         error: 'Puzzle not found' 
@@ -260,23 +232,60 @@ router.put('/:puzzleId/progress', async (req, res) => {
 
 /**
  * POST /api/puzzles/:puzzleId/solve
- * Mark puzzle as solved
+ * Record a solve (`solved: true`) or a fail (`solved: false`). Only a signed-in
+ * user's first attempt at a puzzle is rated: it updates the Glicko-2 ratings of
+ * the puzzle and the user. Every signed-in attempt is stored with the moves
+ * tried, time, hints used and rating delta; anonymous attempts change nothing.
  */
-router.post('/:puzzleId/solve', async (req, res) => {
+router.post('/:puzzleId/solve', optionalAuth, async (req, res) => {
   try {
     const { puzzleId } = req.params;
-    const { timeSpent } = req.body;
+    const { timeSpent, solved, moves = [], hintsUsed = 0 } = req.body;
+    const user = req.user;
+    
+    if (typeof solved !== 'boolean') {
+      return res.status(400).json({
+        error: 'solved must be true or false'
+      });
+    }
     
-    const puzzle = puzzleModel.markPuzzleSolved(puzzleId, timeSpent);
+    const puzzle = await puzzleModel.getPuzzleById(puzzleId);
     if (!puzzle) {
       return res.status(404).json({ 
         error: 'Puzzle not found' 
       });
     }
     
+    if (!user) {
+      return res.json({
+        success: true,
+        puzzle,
+        attempt: null,
+        rated: false,
+        userRating: null,
+        ratingChange: null
+      });
+    }
+    
+    // Re-solving a puzzle would let a user farm rating, so only the first attempt counts
+    const { attempt, ratings } = await attemptModel.recordRatedAttempt({
+      userId: user.id,
+      puzzleId,
+      result: solved ? 'solved' : 'failed',
+      moves,
+      timeSpent,
+      hintsUsed
+    }, (userRating, puzzleRating) => glicko2.ratePuzzleAttempt(userRating, puzzleRating, solved));
+    const rated = ratings !== null;
+    const userProgress = await puzzleModel.getPuzzleProgress(puzzleId, user.id);
+    
     res.json({
       success: true,
-      puzzle
+      puzzle: { ...puzzle, ...(rated && { rating: ratings.puzzle }), userProgress },
+      attempt,
+      rated,
+      userRating: rated ? ratings.user : user.rating,
+      ratingChange: rated ? Math.round(attempt.ratingDelta) : null
     });
     
   } catch (error) {
@@ -290,13 +299,14 @@ router.post('/:puzzleId/solve', async (req, res) => {
 
 /**
  * POST /api/puzzles/:puzzleId/bookmark
- * Toggle bookmark status
+ * Toggle the signed-in user's bookmark
  */
-router.post('/:puzzleId/bookmark', async (req, res) => {
+router.post('/:puzzleId/bookmark', requireAuth, async (req, res) => {
   try {
     const { puzzleId } = req.params;
+    const userId = req.user.id;
     
-    const puzzle = puzzleModel.toggleBookmark(puzzleId);
+    const puzzle = await puzzleModel.toggleBookmark(puzzleId, userId);
     if (!puzzle) {
       return res.status(404).json({ 
         error: 'Puzzle not found' 
@@ -321,22 +331,48 @@ router.post('/:puzzleId/bookmark', async (req, res) => {
 /**
  * GET /api/puzzles/random
  * Get a random puzzle (auto-generates if none exist)
+ * Pass `rating` (signed-in users default to their own rating) and optionally
+ * `window` to pick among puzzles rated within target +/- window.
  */
-router.get('/random', async (req, res) => {
+router.get('/random', optionalAuth, async (req, res) => {
   try {
     const { username, platform } = req.query;
+    const user = req.user;
     
-    // First, try to get a random puzzle from existing puzzles
-    const allPuzzles = puzzleModel.getAllPuzzles();
+    let targetRating = req.query.rating ? parseFloat(req.query.rating) : null;
+    if (targetRating === null && user) {
+      targetRating = user.rating.rating;
+    }
+    const ratingWindow = parseInt(req.query.window) || DEFAULT_RATING_WINDOW;
+    
+    // Pick among the puzzles the user has not solved, then among all of them
+    // once every puzzle is solved
+    const hasTarget = targetRating !== null && !isNaN(targetRating);
+    let randomPuzzle = null;
+    for (const unsolvedBy of user ? [user.id, null] : [null]) {
+      if (hasTarget) {
+        // Nothing in the window: fall back to the closest-rated puzzle
+        randomPuzzle = await puzzleModel.getRandomPuzzle({
+          minRating: targetRating - ratingWindow,
+          maxRating: targetRating + ratingWindow,
+          unsolvedBy
+        }) || await puzzleModel.getClosestRatedPuzzle(targetRating, { unsolvedBy });
+      } else {
+        randomPuzzle = await puzzleModel.getRandomPuzzle({ unsolvedBy });
+      }
+      if (randomPuzzle) break;
+    }
     
-    if (allPuzzles.length > 0) {
-      // Get a random puzzle
-      const randomIndex = Math.floor(Math.random() * allPuzzles.length);
-      const randomPuzzle = allPuzzles[randomIndex];
+    if (randomPuzzle) {
+      if (user) {
+        [randomPuzzle] = await puzzleModel.withUserProgress([randomPuzzle], user.id);
+      }
       
       res.json({
         success: true,
-        puzzle: randomPuzzle
+        puzzle: randomPuzzle,
+        targetRating,
+        ratingWindow
       });
       return;
     }
@@ -359,7 +395,7 @@ router.get('/random', async (req, res) => {
     
     if (result.puzzles && result.puzzles.length > 0) {
       // Save the first puzzle to the database
-      const savedPuzzle = puzzleModel.createPuzzle({
+      const savedPuzzle = await puzzleModel.createPuzzle({
         ...result.puzzles[0],
         userId: 'sample-user',
         gameId: 'sample-game'
@@ -394,7 +430,7 @@ router.get('/others', async (req, res) => {
     const { exclude } = req.query;
     
     // Get all puzzles except the excluded one
-    const allPuzzles = puzzleModel.getAllPuzzles();
+    const allPuzzles = await puzzleModel.getAllPuzzles();
     const otherPuzzles = exclude ? allPuzzles.filter(p => p.id !== exclude) : allPuzzles;
     
     // Limit to 10 puzzles to avoid overwhelming the frontend
@@ -415,73 +451,38 @@ router.get('/others', async (req, res) => {
 });
 
 /**
- * GET /api/puzzles/generate-more
- * Generate more puzzles for a user
+ * GET /api/puzzles/:puzzleId
+ * Get a specific puzzle by ID (with `userProgress` when signed in)
+ * Registered last so it does not shadow /random and /others
  */
-router.get('/generate-more', async (req, res) => {
+router.get('/:puzzleId', optionalAuth, async (req, res) => {
   try {
-    const { username, platform, usedFens } = req.query;
-    
-    // Parse used FEN positions from query parameter
-    let usedFenPositions = [];
-    if (usedFens) {
-      try {
-        usedFenPositions = JSON.parse(decodeURIComponent(usedFens));
-      } catch (error) {
-        console.warn('Failed to parse used FEN positions:', error);
-      }
-    }
-    
-    // Generate sample puzzles for the user
-    const sampleGameData = {
-      id: 'sample-game-2',
-      white: 'SamplePlayer2',
-      black: 'SampleOpponent2',
-      result: '1-0',
-      type: 'rapid',
-      pgn: '1. d4 Nf6 2. c4 e6 3. Nc3 Bb4 4. e3 O-O 5. Bd3 d5 6. Nf3 c5 7. O-O Nc6 8. a3 Bxc3 9. bxc3 dxc4 10. Bxc4 Qc7 11. Bd3 e5 12. dxe5 Nxe5 13. Nxe5 Qxe5 14. f4 Qe7 15. e4 Bg4 16. Qe1 Bxf3 17. gxf3 Qh4 18. f4 Qg4+ 19. Kh1 Qh3+ 20. Kg1 Qg4+ 21. Kh1 Qh3+ 22. Kg1 Qg4+',
-      platform: 'sample'
-    };
-    
-    const result = await puzzleGenerator.generatePuzzlesFromGameData(sampleGameData);
+    const { puzzleId } = req.params;
     
-    if (result.puzzles && result.puzzles.length > 0) {
-      // Filter out puzzles that use already-seen FEN positions
-      const uniquePuzzles = result.puzzles.filter(puzzle => {
-        return !usedFenPositions.includes(puzzle.position);
-      });
-      
-      console.log(`[DEBUG] Generated ${result.puzzles.length} puzzles, filtered to ${uniquePuzzles.length} unique puzzles`);
-      
-      // Save unique puzzles to the database
-      const savedPuzzles = [];
-      for (const puzzle of uniquePuzzles.slice(0, 3)) { // Limit to 3 puzzles
-        const savedPuzzle = puzzleModel.createPuzzle({
-          ...puzzle,
-          userId: username || 'sample-user',
-          gameId: sampleGameData.id
-        });
-        savedPuzzles.push(savedPuzzle);
-      }
-      
-      res.json({
-        success: true,
-        puzzles: savedPuzzles,
-        message: `Generated ${savedPuzzles.length} new unique puzzles`,
-        totalGenerated: result.puzzles.length,
-        uniqueGenerated: uniquePuzzles.length
+    if (!puzzleId) {
+      return res.status(400).json({ 
+        error: 'Puzzle ID is required' 
       });
-    } else {
-      res.status(404).json({
-        error: 'Failed to generate puzzles',
-        message: 'No puzzles were generated'
+    }
+    
+    const puzzle = req.user
+      ? await puzzleModel.getPuzzleForUser(puzzleId, req.user.id)
+      : await puzzleModel.getPuzzleById(puzzleId);
+    if (!puzzle) {
+      return res.status(404).json({ 
+        error: 'Puzzle not found' 
       });
     }
     
+    res.json({
+      success: true,
+      puzzle
+    });
+    
   } catch (error) {
-    console.error('Error generating more puzzles:', error);
+    console.error('Error fetching puzzle:', error);
     res.status(500).json({
-      error: 'Failed to generate more puzzles',
+      error: 'Failed to fetch puzzle',
       message: error.message
     });
   }
@@ -0,0 +1,81 @@
+const express = require('express');
+const router = express.Router();
+const syncRunModel = require('../models/SyncRun');
+const userModel = require('../models/User');
+const syncScheduler = require('../services/syncScheduler');
+const { requireAuth } = require('../middleware/auth');
+
+/**
+ * GET /api/sync/log
+ * The signed-in user's auto-sync settings and recent sync runs
+ */
+router.get('/log', requireAuth, async (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+    const runs = await syncRunModel.getUserRuns(req.user.id, Math.min(parseInt(limit) || 20, 100));
+    const { tracked, skipped } = userModel.getTrackedProfiles(req.user);
+    const profileLimit = userModel.getTrackedProfileLimit(req.user);
+
+    res.json({
+      success: true,
+      autoAnalysis: Boolean(req.user.preferences && req.user.preferences.autoAnalysis),
+      tier: req.user.tier || 'free',
+      profileLimit: Number.isFinite(profileLimit) ? profileLimit : null,
+      intervalMinutes: syncScheduler.getSyncInterval(),
+      tracked,
+      skipped,
+      runs: await Promise.all(runs.map(run => syncRunModel.describeRun(run)))
+    });
+
+  } catch (error) {
+    console.error('Error fetching sync log:', error);
+    res.status(500).json({
+      error: 'Failed to fetch sync log',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/sync/run
+ * Sync the signed-in user's tracked profiles now
+ */
+router.post('/run', requireAuth, async (req, res) => {
+  try {
+    if (userModel.getTrackedProfileLimit(req.user) === 0) {
+      return res.status(403).json({
+        error: 'Auto-sync is not available on the free tier'
+      });
+    }
+
+    const { tracked } = userModel.getTrackedProfiles(req.user);
+    if (tracked.length === 0) {
+      return res.status(400).json({
+        error: 'Link a Lichess or chess.com account to sync it'
+      });
+    }
+
+    const lastRun = await syncRunModel.getLatestRun(req.user.id);
+    if (lastRun && (await syncRunModel.describeRun(lastRun)).status === 'running') {
+      return res.status(409).json({
+        error: 'A sync is already running'
+      });
+    }
+
+    const run = await syncScheduler.syncUser(req.user, 'manual');
+
+    res.status(202).json({
+      success: true,
+      run: await syncRunModel.describeRun(run)
+    });
+
+  } catch (error) {
+    console.error('Error starting sync:', error);
+    res.status(500).json({
+      error: 'Failed to start sync',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const storage = require('../storage');
+const userModel = require('../models/User');
+
+/**
+ * Set a user's subscription tier, found by username or email. There is no
+ * billing yet, so this is how Pro and Super Pro are granted.
+ */
+async function setTier(identifier, tier) {
+  const user = (identifier.includes('@') && await userModel.getUserByEmail(identifier)) ||
+    await userModel.getUserByUsername(identifier);
+  if (!user) {
+    throw new Error(`No user named ${identifier}`);
+  }
+  return userModel.setTier(user.id, tier);
+}
+
+module.exports = { setTier };
+
+// `npm run set-tier -- <username or email> <free|pro|superPro>`
+if (require.main === module) {
+  require('dotenv').config();
+  const [identifier, tier] = process.argv.slice(2);
+
+  if (!identifier || !tier) {
+    console.error('Usage: npm run set-tier -- <username or email> <free|pro|superPro>');
+    process.exitCode = 1;
+  } else if (storage.getAdapter().name !== 'postgres') {
+    // In-memory users only live inside the running server
+    console.error('❌ Setting a tier needs the PostgreSQL storage (set DATABASE_URL)');
+    process.exitCode = 1;
+  } else {
+    storage.initialize()
+      .then(() => setTier(identifier, tier))
+      .then((user) => {
+        console.log(`✅ ${user.username} is now on the ${user.tier} tier`);
+      })
+      .catch((error) => {
+        console.error('❌ Failed to set tier:', error.message);
+        process.exitCode = 1;
+      })
+      .finally(() => storage.close());
+  }
+}
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+
+const ACCESS_TOKEN_TTL = 15 * 60; // seconds
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60; // seconds
+const MIN_PASSWORD_LENGTH = 8;
+
+// scrypt cost parameters, stored with every hash so they can be raised later
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function scrypt(password, salt, options) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, KEY_LENGTH, options, (error, key) => {
+      if (error) reject(error);
+      else resolve(key);
+    });
+  });
+}
+
+/**
+ * Password hashing (salted scrypt) and signed session tokens (HS256 JWTs).
+ * Access tokens are short-lived; both kinds carry the user's token version
+ * so logging out revokes every outstanding token.
+ */
+class AuthService {
+  constructor() {
+    this.secret = null;
+  }
+
+  /**
+   * Signing secret from JWT_SECRET. Without one a random secret is used,
+   * which means sessions do not survive a restart.
+   */
+  getSecret() {
+    if (!this.secret) {
+      if (process.env.JWT_SECRET) {
+        this.secret = process.env.JWT_SECRET;
+      } else {
+        console.warn('⚠️ JWT_SECRET is not set, using a random secret (sessions end on restart)');
+        this.secret = crypto.randomBytes(32).toString('hex');
+      }
+    }
+    return this.secret;
+  }
+
+  /**
+   * Reason a password is unacceptable, or null if it is fine
+   */
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Hash a password as `scrypt$N$r$p$salt$hash`
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const key = await scrypt(password, salt, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+    return ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64'), key.toString('base64')].join('$');
+  }
+
+  /**
+   * Check a password against a stored hash in constant time
+   */
+  async verifyPassword(password, storedHash) {
+    if (typeof password !== 'string' || typeof storedHash !== 'string') return false;
+
+    const [scheme, N, r, p, salt, hash] = storedHash.split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const key = await scrypt(password, Buffer.from(salt, 'base64'), {
+      N: parseInt(N),
+      r: parseInt(r),
+      p: parseInt(p)
+    });
+    return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+  }
+
+  /**
+   * Sign a token of the given type ('access' or 'refresh')
+   */
+  signToken(payload, type, ttlSeconds) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64url(JSON.stringify({ ...payload, type, iat: now, exp: now + ttlSeconds }));
+    const signature = crypto.createHmac('sha256', this.getSecret()).update(`${header}.${body}`).digest('base64url');
+    return `${header}.${body}.${signature}`;
+  }
+
+  /**
+   * Verify a token's signature, expiry and type
+   * @returns {Object|null} The payload, or null if the token is not valid
+   */
+  verifyToken(token, expectedType) {
+    if (typeof token !== 'string') return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+
+    const [header, body, signature] = parts;
+    const expected = crypto.createHmac('sha256', this.getSecret()).update(`${header}.${body}`).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return null;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+
+    if (payload.type !== expectedType || !payload.exp || payload.exp <= Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+    return payload;
+  }
+
+  /**
+   * Issue a fresh access/refresh token pair for a user
+   */
+  issueTokens(user) {
+    return {
+      accessToken: this.signToken({ sub: user.id, ver: user.tokenVersion || 0 }, 'access', ACCESS_TOKEN_TTL),
+      refreshToken: this.signToken({ sub: user.id, ver: user.tokenVersion || 0 }, 'refresh', REFRESH_TOKEN_TTL),
+      expiresIn: ACCESS_TOKEN_TTL
+    };
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,380 @@
+const { Chess, DEFAULT_POSITION } = require('chess.js');
+
+const FILES = 'abcdefgh';
+const SIDES = ['k', 'q']; // castling towards the h-file and towards the a-file
+const HEADER = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]/gm;
+
+/**
+ * chess.js with Chess960 castling. chess.js only castles with the king on the
+ * e-file and the rooks in the corners, and drops every other castling right
+ * from a FEN, so this board keeps track of the castling rooks itself. Castling
+ * follows the 960 rules: the king ends on the g-file (O-O) or c-file (O-O-O)
+ * with the rook next to it. Castling rights are read and written as X-FEN
+ * (KQkq for the outermost rooks) or Shredder-FEN file letters, and a castling
+ * move goes from the king's square to the rook's (`f1h1`), as Stockfish plays
+ * it with UCI_Chess960. Use createBoard to get this board only when needed.
+ * The solver uses an ES module copy written by client/scripts/sync-chess960.js.
+ */
+class Chess960 extends Chess {
+  load(fen, options) {
+    const tokens = fen.trim().split(/\s+/);
+    const rights = tokens[2] || '-';
+    tokens[2] = '-'; // chess.js must never castle by its own rules
+    this.castlingRooks = null;
+    super.load(tokens.join(' '), options);
+
+    this.castlingRooks = readCastlingRooks(this, rights);
+    this.startFen = this.fen();
+    this.played = []; // { fen, castlingRooks, move } per move, for history() and undo()
+    if (this.getHeaders().FEN) this.setHeader('FEN', this.startFen);
+  }
+
+  fen(options) {
+    const tokens = super.fen(options).split(' ');
+    if (this.castlingRooks) tokens[2] = writeCastlingRights(this, this.castlingRooks);
+    return tokens.join(' ');
+  }
+
+  moves({ verbose = false, square, piece } = {}) {
+    const castles = this.castlingMoves()
+      .map(castle => castle.move)
+      .filter(move => (!square || move.from === square) && (!piece || piece === 'k'));
+    const moves = [...super.moves({ verbose: true, square, piece }), ...castles];
+    return verbose ? moves : moves.map(move => move.san);
+  }
+
+  move(input, options) {
+    const before = { fen: this.fen(), castlingRooks: copyRooks(this.castlingRooks) };
+    const castle = this.findCastle(input);
+    let move;
+
+    if (castle) {
+      move = castle.move;
+      super.load(castle.fen, { preserveHeaders: true });
+      this.castlingRooks[move.color] = { k: null, q: null };
+    } else {
+      move = super.move(input, options);
+      this.updateCastlingRooks(move);
+    }
+    move.after = this.fen();
+    this.played.push({ ...before, move });
+    return move;
+  }
+
+  undo() {
+    const last = this.played.pop();
+    if (!last) return null;
+    super.load(stripCastling(last.fen), { preserveHeaders: true });
+    this.castlingRooks = last.castlingRooks;
+    return last.move;
+  }
+
+  history({ verbose = false } = {}) {
+    return this.played.map(({ move }) => (verbose ? move : move.san));
+  }
+
+  isStalemate() {
+    return super.isStalemate() && this.castlingMoves().length === 0;
+  }
+
+  /**
+   * Replay the main line of a PGN from its FEN header. Comments, NAGs and
+   * variations are skipped.
+   */
+  loadPgn(pgn) {
+    const headers = {};
+    for (const match of pgn.matchAll(HEADER)) {
+      headers[match[1]] = match[2];
+    }
+
+    this.load(headers.FEN || DEFAULT_POSITION);
+    Object.entries(headers).forEach(([key, value]) => this.setHeader(key, value));
+    for (const san of readMainLine(pgn)) {
+      this.move(san);
+    }
+  }
+
+  /**
+   * PGN of the moves played since the start position
+   */
+  pgn({ newline = '\n' } = {}) {
+    const headers = Object.entries({ ...this.getHeaders(), SetUp: '1', FEN: this.startFen })
+      .map(([key, value]) => `[${key} "${value}"]`);
+
+    const [, turn, , , , fullMove] = this.startFen.split(' ');
+    let moveNumber = parseInt(fullMove) || 1;
+    let color = turn;
+    const moves = this.played.map(({ move }, i) => {
+      const prefix = color === 'w' ? `${moveNumber}. ` : i === 0 ? `${moveNumber}... ` : '';
+      if (color === 'b') moveNumber++;
+      color = color === 'w' ? 'b' : 'w';
+      return prefix + move.san;
+    });
+
+    return `${headers.join(newline)}${newline}${newline}${[...moves, this.getHeaders().Result || '*'].join(' ')}`;
+  }
+
+  /**
+   * The legal castling moves of the side to move, each with the FEN it leads to
+   * (castling rights left out, move() fills them in)
+   */
+  castlingMoves() {
+    if (!this.castlingRooks || this.inCheck()) return [];
+
+    const color = this.turn();
+    const them = color === 'w' ? 'b' : 'w';
+    const rank = color === 'w' ? '1' : '8';
+    const king = findKing(this, color);
+    const castles = [];
+
+    for (const side of SIDES) {
+      const rook = this.castlingRooks[color][side];
+      if (!rook || !king) continue;
+
+      const kingTo = (side === 'k' ? 'g' : 'c') + rank;
+      const rookTo = (side === 'k' ? 'f' : 'd') + rank;
+      const kingPath = span(king, kingTo);
+
+      // Every square the king or rook crosses or lands on is empty but for the two of them,
+      // and the king does not pass through an attacked square
+      if ([...kingPath, ...span(rook, rookTo)].some(square => square !== king && square !== rook && this.get(square))) continue;
+      if (kingPath.some(square => this.isAttacked(square, them))) continue;
+
+      const board = new Chess(stripCastling(super.fen()));
+      board.remove(king);
+      board.remove(rook);
+      board.put({ type: 'k', color }, kingTo);
+      board.put({ type: 'r', color }, rookTo);
+      const placement = board.fen().split(' ')[0];
+
+      // A rook that shielded the king's destination along the back rank no longer does
+      if (new Chess(`${placement} ${color} - - 0 1`).inCheck()) continue;
+
+      const [, , , , halfMoves, fullMove] = super.fen().split(' ');
+      const fen = `${placement} ${them} - - ${parseInt(halfMoves) + 1} ${parseInt(fullMove) + (color === 'b' ? 1 : 0)}`;
+      const after = new Chess(fen);
+      const suffix = after.isCheckmate() ? '#' : after.inCheck() ? '+' : '';
+
+      castles.push({
+        fen,
+        move: {
+          color,
+          piece: 'k',
+          from: king,
+          to: rook,
+          san: (side === 'k' ? 'O-O' : 'O-O-O') + suffix,
+          lan: king + rook,
+          flags: side,
+          before: this.fen(),
+          after: null
+        }
+      });
+    }
+
+    return castles;
+  }
+
+  /**
+   * The castling move meant by a SAN string or a { from, to } move: the king
+   * onto its own rook, or onto its castled square when that is no plain king move
+   */
+  findCastle(input) {
+    const castles = this.castlingMoves();
+    if (castles.length === 0) return null;
+
+    if (typeof input === 'string') {
+      const notation = input.replace(/[+#!?]+$/, '').replace(/0/g, 'O');
+      return castles.find(castle => castle.move.san.replace(/[+#]$/, '') === notation) || null;
+    }
+    if (!input || !input.from || !input.to) return null;
+
+    const rank = input.from[1];
+    return castles.find(({ move }) => {
+      if (move.from !== input.from) return false;
+      if (move.to === input.to) return true;
+      const castledSquare = (move.flags === 'k' ? 'g' : 'c') + rank;
+      return input.to === castledSquare &&
+        !super.moves({ verbose: true, square: input.from }).some(plain => plain.to === input.to);
+    }) || null;
+  }
+
+  /**
+   * Drop the castling rights a move ends: any king move, a castling rook
+   * moving, or a castling rook being captured
+   */
+  updateCastlingRooks(move) {
+    if (move.piece === 'k') {
+      this.castlingRooks[move.color] = { k: null, q: null };
+    }
+    for (const color of ['w', 'b']) {
+      for (const side of SIDES) {
+        const rook = this.castlingRooks[color][side];
+        if (rook && (rook === move.from || rook === move.to)) {
+          this.castlingRooks[color][side] = null;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Whether a FEN has castling rights chess.js cannot play: Shredder-FEN file
+ * letters, or a right whose king or rook is not on its standard square
+ */
+function needsChess960(fen) {
+  const [placement, , rights = '-'] = (fen || '').trim().split(/\s+/);
+  if (!placement || rights === '-') return false;
+  if (/[A-Ha-h]/.test(rights)) return true;
+
+  const board = new Map();
+  placement.split('/').forEach((row, rowIndex) => {
+    let file = 0;
+    for (const char of row) {
+      if (/\d/.test(char)) {
+        file += parseInt(char);
+      } else {
+        board.set(`${FILES[file]}${8 - rowIndex}`, char);
+        file++;
+      }
+    }
+  });
+
+  const standard = { K: ['e1', 'h1', 'R'], Q: ['e1', 'a1', 'R'], k: ['e8', 'h8', 'r'], q: ['e8', 'a8', 'r'] };
+  return [...rights].some(right => {
+    const [king, rook, rookPiece] = standard[right] || [];
+    return !king || board.get(king) !== (right === right.toUpperCase() ? 'K' : 'k') || board.get(rook) !== rookPiece;
+  });
+}
+
+/**
+ * A board for a FEN (the standard start position when none is given): chess.js
+ * itself unless the castling rights need Chess960 rules
+ */
+function createBoard(fen) {
+  if (!fen) return new Chess();
+  return needsChess960(fen) ? new Chess960(fen) : new Chess(fen);
+}
+
+/**
+ * A board with a PGN's main line played from its FEN header, if it has one
+ */
+function loadGame(pgn) {
+  const fen = [...pgn.matchAll(HEADER)].find(match => match[1] === 'FEN');
+  const board = createBoard(fen && fen[2]);
+  board.loadPgn(pgn);
+  return board;
+}
+
+function stripCastling(fen) {
+  const tokens = fen.split(' ');
+  tokens[2] = '-';
+  return tokens.join(' ');
+}
+
+function copyRooks(rooks) {
+  return { w: { ...rooks.w }, b: { ...rooks.b } };
+}
+
+function findKing(board, color) {
+  const rank = color === 'w' ? '1' : '8';
+  const file = [...FILES].find(f => {
+    const piece = board.get(f + rank);
+    return piece && piece.type === 'k' && piece.color === color;
+  });
+  return file ? file + rank : null;
+}
+
+function isRook(board, square, color) {
+  const piece = board.get(square);
+  return Boolean(piece) && piece.type === 'r' && piece.color === color;
+}
+
+/**
+ * Squares from `from` to `to` on one rank, both included
+ */
+function span(from, to) {
+  const start = FILES.indexOf(from[0]);
+  const end = FILES.indexOf(to[0]);
+  const squares = [];
+  for (let file = Math.min(start, end); file <= Math.max(start, end); file++) {
+    squares.push(FILES[file] + from[1]);
+  }
+  return squares;
+}
+
+/**
+ * Castling rooks of a position from its X-FEN or Shredder-FEN castling field
+ */
+function readCastlingRooks(board, rights) {
+  const rooks = { w: { k: null, q: null }, b: { k: null, q: null } };
+
+  for (const right of rights === '-' ? '' : rights) {
+    const color = right === right.toUpperCase() ? 'w' : 'b';
+    const rank = color === 'w' ? '1' : '8';
+    const king = findKing(board, color);
+    if (!king) continue;
+    const kingFile = FILES.indexOf(king[0]);
+
+    let file;
+    const letter = right.toLowerCase();
+    if (SIDES.includes(letter)) {
+      // X-FEN: the outermost rook on that side of the king
+      const files = [...FILES].map((_, index) => index)
+        .filter(index => (letter === 'k' ? index > kingFile : index < kingFile));
+      if (letter === 'k') files.reverse();
+      file = files.find(index => isRook(board, FILES[index] + rank, color));
+    } else {
+      file = FILES.indexOf(letter);
+    }
+    if (file === undefined || file < 0 || !isRook(board, FILES[file] + rank, color)) continue;
+
+    rooks[color][file > kingFile ? 'k' : 'q'] = FILES[file] + rank;
+  }
+
+  return rooks;
+}
+
+/**
+ * The castling field for a position: K/Q (k/q) for an outermost rook, the
+ * rook's file otherwise
+ */
+function writeCastlingRights(board, rooks) {
+  let rights = '';
+  for (const color of ['w', 'b']) {
+    for (const side of SIDES) {
+      const rook = rooks[color][side];
+      if (!rook) continue;
+      const file = FILES.indexOf(rook[0]);
+      const beyond = [...FILES].filter((_, index) => (side === 'k' ? index > file : index < file));
+      const outermost = !beyond.some(f => isRook(board, f + rook[1], color));
+      const right = outermost ? side : rook[0];
+      rights += color === 'w' ? right.toUpperCase() : right;
+    }
+  }
+  return rights || '-';
+}
+
+/**
+ * SAN moves of a PGN's main line
+ */
+function readMainLine(pgn) {
+  let movetext = pgn.replace(HEADER, '')
+    .replace(/\{[^}]*\}/g, ' ')
+    .replace(/;[^\n]*/g, ' ');
+  // Variations may be nested, so drop the innermost ones until none are left
+  while (/\([^()]*\)/.test(movetext)) {
+    movetext = movetext.replace(/\([^()]*\)/g, ' ');
+  }
+
+  return movetext
+    .replace(/\$\d+/g, ' ')
+    .replace(/\d+\.(\.\.)?/g, ' ')
+    .split(/\s+/)
+    .map(token => token.replace(/[!?]+$/, ''))
+    .filter(token => token && !/^(1-0|0-1|1\/2-1\/2|\*)$/.test(token));
+}
+
+module.exports = Chess960;
+module.exports.createBoard = createBoard;
+module.exports.loadGame = loadGame;
+module.exports.needsChess960 = needsChess960;
@@ -1,6 +1,8 @@
 const axios = require('axios');
 const { Chess } = require('chess.js');
 
+const ARCHIVE_SEARCH_MONTHS = 24; // monthly archives searched for a single game, newest first
+
 class ChessComService {
   constructor() {
     this.baseUrl = 'https://api.chess.com/pub';
@@ -11,35 +13,44 @@ class ChessComService {
    * Supports various URL formats:
    * - https://www.chess.com/game/live/1234567890
    * - https://www.chess.com/game/daily/1234567890
+   * - https://www.chess.com/game/1234567890
+   * - https://www.chess.com/analysis/game/live/1234567890
    * - https://www.chess.com/play/online/archive/username/1234567890
    * - https://www.chess.com/game/archive/username/1234567890
+   * @returns {{ gameId: string, gameType?: string, username?: string }}
    */
   parseChessComUrl(url) {
     try {
       const urlObj = new URL(url);
-      
+      if (urlObj.hostname !== 'chess.com' && !urlObj.hostname.endsWith('.chess.com')) {
+        throw new Error('Not a chess.com URL');
+      }
+      const parts = urlObj.pathname.split('/').filter(part => part.length > 0);
+      const isGameId = part => /^\d+$/.test(part || '');
+
       // Handle different URL patterns
-      if (urlObj.pathname.includes('/game/')) {
-        const parts = urlObj.pathname.split('/').filter(part => part.length > 0);
-        
+      const gameIndex = parts.indexOf('game');
+      if (gameIndex !== -1) {
+        const [kind, second, third] = parts.slice(gameIndex + 1);
+
         // Pattern: /game/live/1234567890 or /game/daily/1234567890
-        if (parts.length >= 3 && ['live', 'daily'].includes(parts[1])) {
-          const gameType = parts[1];
-          const gameId = parts[2];
-          return { gameType, gameId };
+        if (['live', 'daily'].includes(kind) && isGameId(second)) {
+          return { gameType: kind, gameId: second };
         }
-        
+
         // Pattern: /game/archive/username/1234567890
-        if (parts.length >= 4 && parts[1] === 'archive') {
-          const username = parts[2];
-          const gameId = parts[3];
-          return { username, gameId };
+        if (kind === 'archive' && second && isGameId(third)) {
+          return { username: second, gameId: third };
+        }
+
+        // Pattern: /game/1234567890
+        if (isGameId(kind)) {
+          return { gameId: kind };
         }
       } else if (urlObj.pathname.includes('/play/online/archive/')) {
-        const parts = urlObj.pathname.split('/').filter(part => part.length > 0);
-        if (parts.length >= 5) {
-          const username = parts[4];
-          const gameId = parts[5];
+        // Pattern: /play/online/archive/username/1234567890
+        const [username, gameId] = parts.slice(3);
+        if (username && isGameId(gameId)) {
           return { username, gameId };
         }
       }
@@ -63,31 +74,114 @@ class ChessComService {
    */
   isValidChessComUrl(url) {
     try {
-      const urlObj = new URL(url);
-      return urlObj.hostname.includes('chess.com') && 
-             (urlObj.pathname.includes('/game/') || urlObj.pathname.includes('/play/online/archive/'));
+      this.parseChessComUrl(url);
+      return true;
     } catch {
       return false;
     }
   }
 
   /**
-   * Get player's recent games (for future enhancement)
+   * Get a player's public profile
+   * @returns {Promise<Object|null>} The profile, or null if the player does not exist
+   */
+  async getPlayerProfile(username) {
+    try {
+      const response = await axios.get(`${this.baseUrl}/player/${encodeURIComponent(username.toLowerCase())}`);
+      return response.data;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return null;
+      }
+      console.error('Error fetching player profile:', error.message);
+      throw new Error(`Failed to fetch profile for ${username}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check that a verification token appears in the player's profile location or status,
+   * which only the account owner can edit
+   */
+  async verifyProfileToken(username, token) {
+    const profile = await this.getPlayerProfile(username);
+    if (!profile) {
+      return { verified: false, reason: 'Player not found on chess.com' };
+    }
+
+    const fields = [profile.location, profile.status].filter(field => typeof field === 'string');
+    const verified = fields.some(field => field.includes(token));
+    return {
+      verified,
+      username: profile.username || username,
+      reason: verified ? null : 'Token not found in the profile location or status'
+    };
+  }
+
+  /**
+   * Month of a monthly archive URL as 'YYYY/MM'
+   */
+  getArchiveMonth(archiveUrl) {
+    return archiveUrl.split('/').slice(-2).join('/');
+  }
+
+  /**
+   * Find a single game by searching a player's monthly archives, newest first.
+   * The game's URL is not enough on its own: the public API only lists games
+   * per player and month.
+   * @param {string} username - One of the game's players
+   * @param {string} gameId - Game ID from parseChessComUrl
+   * @returns {Promise<Object|null>} The archived game, or null if not found
+   */
+  async findGame(username, gameId) {
+    try {
+      const archivesResponse = await axios.get(`${this.baseUrl}/player/${encodeURIComponent(username.toLowerCase())}/games/archives`);
+      const archives = archivesResponse.data.archives.slice(-ARCHIVE_SEARCH_MONTHS).reverse();
+
+      for (const archive of archives) {
+        const archiveUrl = archive.replace('https://api.chess.com/pub', '');
+        const monthlyGamesResponse = await axios.get(`${this.baseUrl}${archiveUrl}`);
+        const game = monthlyGamesResponse.data.games.find(archived => archived.url && archived.url.split('/').pop() === gameId);
+        if (game) return game;
+      }
+
+      return null;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return null;
+      }
+      console.error('Error searching player archives:', error.message);
+      throw new Error(`Failed to search games of ${username}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a player's games from their monthly archives.
+   * Without `since` this reads the last three months. With a sync cursor
+   * `since` ({ archive: 'YYYY/MM', endTime: seconds }) only archives from that
+   * month on are downloaded and only games that ended after `endTime` are
+   * returned, oldest first, so a limited batch never skips a game.
    */
-  async getPlayerGames(username, limit = 10) {
+  async getPlayerGames(username, limit = 10, since = null) {
     try {
       // Get player's monthly archives
       const archivesResponse = await axios.get(`${this.baseUrl}/player/${username}/games/archives`);
       const archives = archivesResponse.data.archives;
       const games = [];
       
-      // Get recent archives (last 3 months)
-      const recentArchives = archives.slice(-3);
+      // Recent archives (last 3 months), or every month since the cursor
+      const recentArchives = since
+        ? archives.filter(archive => this.getArchiveMonth(archive) >= since.archive)
+        : archives.slice(-3);
       
       for (const archive of recentArchives) {
         const archiveUrl = archive.replace('https://api.chess.com/pub', '');
         const monthlyGamesResponse = await axios.get(`${this.baseUrl}${archiveUrl}`);
-        const monthlyGames = monthlyGamesResponse.data.games;
+        let monthlyGames = monthlyGamesResponse.data.games;
+        if (since) {
+          monthlyGames = monthlyGames
+            .filter(game => game.end_time > since.endTime)
+            .sort((a, b) => a.end_time - b.end_time);
+        }
         games.push(...monthlyGames);
         
         if (games.length >= limit) break;
@@ -0,0 +1,137 @@
+// Glicko-2 defaults (ratings on the familiar Glicko/Elo scale)
+const DEFAULT_RATING = 1500;
+const DEFAULT_RD = 350;
+const DEFAULT_VOLATILITY = 0.06;
+const MIN_RD = 45; // keeps established ratings from freezing completely
+const TAU = 0.5; // constrains how fast volatility can change
+const SCALE = 173.7178;
+const CONVERGENCE = 0.000001;
+
+// Puzzle seed ratings for the 1-5 heuristic difficulty
+const DIFFICULTY_RATINGS = { 1: 1000, 2: 1300, 3: 1600, 4: 1900, 5: 2200 };
+const SEED_RD = 250;
+
+/**
+ * Glicko-2 rating calculations. Every solve or fail is a single game between a
+ * user and a puzzle, rated as its own rating period.
+ */
+class Glicko2 {
+  /**
+   * A fresh rating object
+   */
+  createRating(rating = DEFAULT_RATING, rd = DEFAULT_RD, volatility = DEFAULT_VOLATILITY) {
+    return { rating, rd, volatility, games: 0 };
+  }
+
+  /**
+   * Initial puzzle rating from the heuristic 1-5 difficulty score
+   */
+  seedFromDifficulty(difficulty) {
+    const rating = DIFFICULTY_RATINGS[Math.round(difficulty)] || DEFAULT_RATING;
+    return this.createRating(rating, SEED_RD);
+  }
+
+  /**
+   * Rate one game between a user and a puzzle
+   * @param {Object} userRating - The user's rating object
+   * @param {Object} puzzleRating - The puzzle's rating object
+   * @param {boolean} solved - Whether the user solved the puzzle
+   * @returns {{ user: Object, puzzle: Object }} Updated ratings, both computed from the old values
+   */
+  ratePuzzleAttempt(userRating, puzzleRating, solved) {
+    const score = solved ? 1 : 0;
+    return {
+      user: this.update(userRating, puzzleRating, score),
+      puzzle: this.update(puzzleRating, userRating, 1 - score)
+    };
+  }
+
+  /**
+   * Expected score of `player` against `opponent`
+   */
+  expectedScore(player, opponent) {
+    const mu = (player.rating - DEFAULT_RATING) / SCALE;
+    const opponentMu = (opponent.rating - DEFAULT_RATING) / SCALE;
+    const opponentPhi = opponent.rd / SCALE;
+    return this.expectation(mu, opponentMu, this.g(opponentPhi));
+  }
+
+  /**
+   * Update a rating after a single game
+   * @param {Object} player - Rating being updated
+   * @param {Object} opponent - Opponent's rating before the game
+   * @param {number} score - 1 for a win, 0 for a loss
+   */
+  update(player, opponent, score) {
+    const mu = (player.rating - DEFAULT_RATING) / SCALE;
+    const phi = player.rd / SCALE;
+    const opponentMu = (opponent.rating - DEFAULT_RATING) / SCALE;
+    const opponentPhi = opponent.rd / SCALE;
+
+    const g = this.g(opponentPhi);
+    const expected = this.expectation(mu, opponentMu, g);
+    const variance = 1 / (g * g * expected * (1 - expected));
+    const delta = variance * g * (score - expected);
+
+    const volatility = this.updateVolatility(phi, player.volatility, variance, delta);
+    const phiStar = Math.sqrt(phi * phi + volatility * volatility);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / variance);
+    const newMu = mu + newPhi * newPhi * g * (score - expected);
+
+    return {
+      rating: Math.round((SCALE * newMu + DEFAULT_RATING) * 10) / 10,
+      rd: Math.max(MIN_RD, Math.min(DEFAULT_RD, Math.round(SCALE * newPhi * 10) / 10)),
+      volatility,
+      games: (player.games || 0) + 1
+    };
+  }
+
+  g(phi) {
+    return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+  }
+
+  expectation(mu, opponentMu, g) {
+    return 1 / (1 + Math.exp(-g * (mu - opponentMu)));
+  }
+
+  /**
+   * New volatility via the Illinois algorithm from the Glicko-2 paper
+   */
+  updateVolatility(phi, sigma, variance, delta) {
+    const a = Math.log(sigma * sigma);
+    const f = (x) => {
+      const ex = Math.exp(x);
+      const denominator = phi * phi + variance + ex;
+      return (ex * (delta * delta - phi * phi - variance - ex)) / (2 * denominator * denominator) - (x - a) / (TAU * TAU);
+    };
+
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + variance) {
+      B = Math.log(delta * delta - phi * phi - variance);
+    } else {
+      let k = 1;
+      while (f(a - k * TAU) < 0) k++;
+      B = a - k * TAU;
+    }
+
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > CONVERGENCE) {
+      const C = A + (A - B) * fA / (fB - fA);
+      const fC = f(C);
+      if (fC * fB <= 0) {
+        A = B;
+        fA = fB;
+      } else {
+        fA = fA / 2;
+      }
+      B = C;
+      fB = fC;
+    }
+
+    return Math.exp(A / 2);
+  }
+}
+
+module.exports = new Glicko2();
@@ -0,0 +1,465 @@
+const EventEmitter = require('events');
+const ChessComService = require('./chessComService');
+const lichessService = require('./lichessService');
+const pgnService = require('./pgnService');
+const PuzzleGenerator = require('./puzzleGenerator');
+const glicko2 = require('./glicko2');
+const importJobModel = require('../models/ImportJob');
+const puzzleModel = require('../models/Puzzle');
+const userModel = require('../models/User');
+
+const chessComService = new ChessComService();
+const puzzleGenerator = new PuzzleGenerator();
+
+/**
+ * Runs import jobs in the background, one at a time, so a slow engine never
+ * holds an HTTP request open. Progress is checkpointed after every game:
+ * jobs left queued or running by a restart are picked up again on start()
+ * and skip the games they had already finished.
+ *
+ * Emits `progress` with the public job whenever its stage or counts change.
+ * Per-position counts are only kept in memory between checkpoints.
+ */
+class ImportWorker extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0); // one listener per open progress stream
+    this.queue = [];
+    this.active = null; // id of the job being processed
+    this.activeJob = null; // live state of the active job, ahead of storage
+    this.stopped = true;
+  }
+
+  /**
+   * Start processing and resume jobs interrupted by the last shutdown
+   */
+  async start() {
+    this.stopped = false;
+    const jobs = await importJobModel.getUnfinishedJobs();
+    if (jobs.length > 0) {
+      console.log(`🔁 Resuming ${jobs.length} import job(s)`);
+    }
+    jobs.forEach(job => this.enqueue(job.id));
+  }
+
+  /**
+   * Stop picking up new jobs. The current job stays `running` and is
+   * resumed from its checkpoint on the next start().
+   */
+  stop() {
+    this.stopped = true;
+  }
+
+  /**
+   * Add a job to the queue and make sure the queue is being worked on
+   */
+  enqueue(jobId) {
+    if (this.active !== jobId && !this.queue.includes(jobId)) {
+      this.queue.push(jobId);
+    }
+    this.drain();
+  }
+
+  async drain() {
+    if (this.active || this.stopped) return;
+
+    while (this.queue.length > 0 && !this.stopped) {
+      this.active = this.queue.shift();
+      try {
+        await this.processJob(this.active);
+      } catch (error) {
+        console.error('❌ Import job failed:', this.active, error.message);
+        const job = this.activeJob || await importJobModel.getJobById(this.active);
+        if (job) {
+          await this.updateJob(job, {
+            status: 'failed',
+            stage: 'failed',
+            errors: [...job.errors, { message: error.message, at: new Date().toISOString() }],
+            finishedAt: new Date().toISOString()
+          }).catch(() => {});
+        }
+      } finally {
+        this.active = null;
+        this.activeJob = null;
+      }
+    }
+  }
+
+  /**
+   * Latest state of a job: the live copy while it runs, else the stored one
+   */
+  async getJob(jobId) {
+    if (this.activeJob && this.activeJob.id === jobId) {
+      return this.activeJob;
+    }
+    return importJobModel.getJobById(jobId);
+  }
+
+  /**
+   * Persist job fields and announce the new state
+   */
+  async updateJob(job, fields) {
+    const updated = await importJobModel.updateJob(job.id, fields);
+    if (this.active === job.id) this.activeJob = updated;
+    this.emit('progress', importJobModel.toPublicJob(updated));
+    return updated;
+  }
+
+  /**
+   * Update the active job in memory only and announce it. The change is
+   * stored with the job's next checkpoint.
+   */
+  reportProgress(stage, counts) {
+    if (!this.activeJob) return;
+    this.activeJob = { ...this.activeJob, stage, counts: { ...this.activeJob.counts, ...counts } };
+    this.emit('progress', importJobModel.toPublicJob(this.activeJob));
+  }
+
+  /**
+   * Run one job from wherever its checkpoint left off
+   */
+  async processJob(jobId) {
+    let job = await importJobModel.getJobById(jobId);
+    if (!job || !['queued', 'running'].includes(job.status)) return;
+
+    const { platform, username, gameUrl, maxGames, maxPuzzles, perspective = 'both' } = job.params;
+    console.log('📥 Importing games for:', gameUrl || username || 'PGN upload', 'from', platform, `(job ${job.id})`);
+
+    this.activeJob = job;
+    job = await this.updateJob(job, {
+      status: 'running',
+      attempts: job.attempts + 1,
+      startedAt: job.startedAt || new Date().toISOString()
+    });
+
+    // 1. Fetch games (skipped when resuming, they are in the checkpoint).
+    // A user's linked profile is fetched from its sync cursor on; a game URL
+    // is a one-off import of just that game.
+    let checkpoint = job.checkpoint;
+    if (!checkpoint) {
+      job = await this.updateJob(job, { stage: 'fetching_games' });
+      const user = job.userId ? await userModel.getUserById(job.userId) : null;
+      const profile = gameUrl ? null : this.getLinkedProfile(user, platform, username);
+      const cursor = profile ? userModel.getSyncCursor(user, profile) : null;
+
+      let fetched;
+      let rejected = [];
+      if (gameUrl) {
+        fetched = [await this.fetchGameByUrl(platform, gameUrl, username)];
+      } else if (platform === 'pgn') {
+        ({ games: fetched, skipped: rejected } = this.readPgnGames(job.params.pgn, parseInt(maxGames)));
+        if (fetched.length === 0) {
+          throw new Error('No standard games found in the PGN.');
+        }
+      } else {
+        fetched = await this.fetchGames(platform, username, parseInt(maxGames), cursor, profile);
+        if (fetched.length === 0 && !cursor) {
+          throw new Error('No games found for this user.');
+        }
+      }
+
+      // Games this user already had analyzed are skipped, unless asked for by URL
+      const analyzedIds = user && !gameUrl
+        ? await importJobModel.getAnalyzedGameIds(user.id, platform, fetched.map(game => game.id))
+        : [];
+      const games = fetched.filter(game => !analyzedIds.includes(game.id));
+
+      checkpoint = {
+        games,
+        profile, // linked platform whose cursor moves on when the job finishes
+        incremental: Boolean(cursor),
+        gamesSkipped: analyzedIds.length,
+        rejectedGames: rejected, // PGN games that were not imported, with the reason
+        nextCursor: profile && fetched.length > 0 ? this.getNextCursor(platform, username, fetched) : null,
+        targetRating: user ? Math.round(user.rating.rating) : glicko2.createRating().rating,
+        processedGameIds: [],
+        breakdown: [], // per-game results for the summary
+        candidates: [], // best puzzles so far, ranked
+        puzzleIds: [] // saved candidates, in candidate order
+      };
+      job = await this.updateJob(job, {
+        checkpoint,
+        counts: { ...job.counts, gamesFetched: fetched.length, gamesSelected: games.length }
+      });
+    }
+
+    // 2. Scan every game, keeping only the best candidates across games
+    const errors = [...job.errors];
+    for (const game of checkpoint.games) {
+      if (checkpoint.processedGameIds.includes(game.id)) continue;
+
+      job = await this.updateJob(job, {
+        stage: 'analyzing_positions',
+        counts: { ...job.counts, positionsAnalyzed: 0, positionsTotal: 0, candidatesChecked: 0, candidatesTotal: 0 }
+      });
+      const gameResult = {
+        gameId: game.id,
+        url: game.url || (game.platform === 'lichess' ? `https://lichess.org/${game.id}` : null)
+      };
+      try {
+        const { puzzles, summary, game: gameData } = await this.analyzeGame(game, { perspective, username });
+        const candidates = puzzles.map(puzzle => ({ ...puzzle, gameId: game.id }));
+        checkpoint.candidates = puzzleGenerator.rankPuzzleCandidates(
+          [...checkpoint.candidates, ...candidates],
+          { targetRating: checkpoint.targetRating, limit: parseInt(maxPuzzles) }
+        );
+        Object.assign(gameResult, {
+          white: gameData.white,
+          black: gameData.black,
+          positionsAnalyzed: summary.totalPositions,
+          tacticalPositions: summary.tacticalPositions,
+          playerColor: summary.playerColor,
+          candidates: candidates.length
+        });
+      } catch (error) {
+        console.error('Error importing game:', game.id, error.message);
+        errors.push({ message: error.message, gameId: game.id, at: new Date().toISOString() });
+        gameResult.error = error.message;
+      }
+      if (job.userId && !gameResult.error) {
+        await importJobModel.markGameAnalyzed(job.userId, platform, game.id);
+      }
+      checkpoint.processedGameIds.push(game.id);
+      checkpoint.breakdown.push(gameResult);
+
+      job = await this.updateJob(this.activeJob, {
+        checkpoint,
+        errors,
+        counts: {
+          ...this.activeJob.counts,
+          gamesProcessed: checkpoint.processedGameIds.length,
+          positionsAnalyzed: 0,
+          positionsTotal: 0,
+          candidatesChecked: 0,
+          candidatesTotal: 0
+        }
+      });
+    }
+
+    const nextCursor = this.getCompletedCursor(checkpoint, platform, username);
+    if (nextCursor) {
+      await userModel.setSyncCursor(job.userId, checkpoint.profile, nextCursor);
+    }
+
+    // 3. Save the winners, checkpointing each so a resume never saves one twice
+    job = await this.updateJob(job, { stage: 'saving_puzzles' });
+    for (const candidate of checkpoint.candidates.slice(checkpoint.puzzleIds.length)) {
+      const savedPuzzle = await puzzleModel.createPuzzle({
+        ...candidate,
+        userId: job.userId // Signed-in imports go to the user's collection
+      });
+      checkpoint.puzzleIds.push(savedPuzzle.id);
+      job = await this.updateJob(job, {
+        checkpoint,
+        counts: { ...job.counts, puzzlesCreated: checkpoint.puzzleIds.length }
+      });
+    }
+
+    const processingTime = Math.round((Date.now() - new Date(job.startedAt).getTime()) / 1000);
+    const failed = checkpoint.games.length > 0 && checkpoint.puzzleIds.length === 0 && errors.length === checkpoint.games.length;
+    await this.updateJob(job, {
+      status: failed ? 'failed' : 'completed',
+      stage: failed ? 'failed' : 'completed',
+      result: {
+        puzzleIds: checkpoint.puzzleIds,
+        summary: {
+          type: 'batch',
+          platform,
+          username,
+          gameUrl: gameUrl || null,
+          perspective,
+          incremental: checkpoint.incremental,
+          gamesImported: job.counts.gamesFetched,
+          gamesSkipped: checkpoint.gamesSkipped,
+          rejectedGames: checkpoint.rejectedGames || [],
+          gamesAnalyzed: checkpoint.breakdown.filter(game => !game.error).length,
+          targetRating: checkpoint.targetRating,
+          puzzlesGenerated: checkpoint.puzzleIds.length,
+          processingTime: `${processingTime}s`,
+          games: checkpoint.breakdown.map(game => ({
+            ...game,
+            puzzlesSelected: checkpoint.candidates.filter(candidate => candidate.gameId === game.gameId).length
+          }))
+        }
+      },
+      finishedAt: new Date().toISOString()
+    });
+    console.log(`✅ Import job ${job.id} finished with ${checkpoint.puzzleIds.length} puzzles`);
+  }
+
+  /**
+   * The user's linked platform ('chess.com' or 'lichess') when the import is
+   * of their own linked account, else null
+   */
+  getLinkedProfile(user, platform, username) {
+    if (platform === 'pgn') return null;
+    const profile = platform === 'chess.com' ? 'chess.com' : 'lichess';
+    const linked = userModel.getLinkedUsername(user, profile);
+    return linked && linked.toLowerCase() === username.toLowerCase() ? profile : null;
+  }
+
+  /**
+   * Cursor to save once every game is scanned. It only moves past games that
+   * were analyzed: when some failed, it stops just past the newest game that
+   * succeeded before the first failure, so the next sync fetches the failed
+   * games again. Null when the cursor should stay where it is.
+   */
+  getCompletedCursor(checkpoint, platform, username) {
+    if (!checkpoint.nextCursor) return null;
+
+    const failedIds = checkpoint.breakdown.filter(game => game.error).map(game => game.gameId);
+    const failed = checkpoint.games.filter(game => failedIds.includes(game.id));
+    if (failed.length === 0) return checkpoint.nextCursor;
+
+    const firstFailure = Math.min(...failed.map(game => this.getGameTime(game)));
+    const completed = checkpoint.games.filter(game =>
+      !failedIds.includes(game.id) && this.getGameTime(game) < firstFailure
+    );
+    return completed.length > 0 ? this.getNextCursor(platform, username, completed) : null;
+  }
+
+  /**
+   * When a fetched game was played, in the unit of its platform's cursor
+   */
+  getGameTime(game) {
+    return game.platform === 'chess.com' ? game.endTime : game.createdAt;
+  }
+
+  /**
+   * Sync cursor just past the newest of the fetched games
+   */
+  getNextCursor(platform, username, games) {
+    if (platform === 'chess.com') {
+      const last = games.reduce((latest, game) => (game.endTime > latest.endTime ? game : latest));
+      const ended = new Date(last.endTime * 1000);
+      const month = String(ended.getUTCMonth() + 1).padStart(2, '0');
+      return { username, archive: `${ended.getUTCFullYear()}/${month}`, endTime: last.endTime, lastGameId: last.id };
+    }
+
+    const last = games.reduce((latest, game) => (game.createdAt > latest.createdAt ? game : latest));
+    return { username, since: last.createdAt + 1, lastGameId: last.id };
+  }
+
+  /**
+   * Fetch a player's games, from `cursor` on when given. Only the fields the
+   * worker needs are kept since the games are stored in the job's checkpoint.
+   * A linked `profile`'s cursor moves past every fetched game, so its Lichess
+   * games are fetched whether or not Lichess has analysed them yet.
+   */
+  async fetchGames(platform, username, maxGames, cursor = null, profile = null) {
+    if (platform === 'chess.com') {
+      const games = await chessComService.getPlayerGames(username, maxGames, cursor);
+      return games.map(game => this.toChessComGame(game));
+    }
+
+    const games = await lichessService.getUserGames(username, maxGames, {
+      since: cursor ? cursor.since : null,
+      analysedOnly: !profile
+    });
+    return games.map(game => this.toLichessGame(game));
+  }
+
+  /**
+   * Fetch the single game a chess.com or lichess.org game URL points to.
+   * chess.com games are found in the monthly archives of the player named in
+   * the URL, or of `username` when the URL names nobody.
+   */
+  async fetchGameByUrl(platform, gameUrl, username) {
+    if (platform === 'chess.com') {
+      const parsed = chessComService.parseChessComUrl(gameUrl);
+      const player = parsed.username || username;
+      const game = await chessComService.findGame(player, parsed.gameId);
+      if (!game) {
+        throw new Error(`Game ${parsed.gameId} was not found in the archives of ${player}.`);
+      }
+      return this.toChessComGame(game);
+    }
+
+    const gameId = lichessService.parseGameUrl(gameUrl);
+    return this.toLichessGame(await lichessService.getGame(gameId));
+  }
+
+  /**
+   * The fields of a chess.com archive game the worker keeps
+   */
+  toChessComGame(game) {
+    return {
+      id: game.uuid || game.url?.split('/').pop(),
+      platform: 'chess.com',
+      url: game.url,
+      uuid: game.uuid,
+      pgn: game.pgn,
+      white: game.white,
+      black: game.black,
+      result: game.result,
+      time_class: game.time_class,
+      endTime: game.end_time
+    };
+  }
+
+  /**
+   * The fields of a Lichess export the worker keeps. The export already
+   * carries the PGN and Lichess's own analysis.
+   */
+  toLichessGame(game) {
+    return {
+      id: game.id,
+      platform: 'lichess',
+      pgn: game.pgn,
+      players: game.players,
+      winner: game.winner,
+      speed: game.speed,
+      analysis: game.analysis,
+      createdAt: game.createdAt
+    };
+  }
+
+  /**
+   * Standard games of an uploaded PGN, at most `maxGames` of them. Games over
+   * the limit are rejected like those of other variants.
+   */
+  readPgnGames(pgn, maxGames) {
+    const { games, skipped } = pgnService.parseGames(pgn);
+    const rejected = [
+      ...skipped,
+      ...games.slice(maxGames).map(game => ({
+        index: game.index,
+        white: game.white,
+        black: game.black,
+        reason: `Over the ${maxGames}-game limit`
+      }))
+    ];
+    return { games: games.slice(0, maxGames), skipped: rejected };
+  }
+
+  /**
+   * Find the puzzle candidates in one game, reporting progress as it goes
+   * @param {Object} [options] - perspective and the importing username, see PuzzleGenerator
+   */
+  async analyzeGame(game, { perspective = 'both', username = null } = {}) {
+    const onProgress = (event) => {
+      if (event.stage === 'analyzing') {
+        this.reportProgress('analyzing_positions', {
+          positionsAnalyzed: event.positionsAnalyzed,
+          positionsTotal: event.positionsTotal
+        });
+      } else {
+        this.reportProgress('creating_puzzles', {
+          candidatesChecked: event.positionsChecked,
+          candidatesTotal: event.positionsTotal
+        });
+      }
+    };
+
+    if (game.platform === 'chess.com' && !game.pgn) {
+      throw new Error('Game has no PGN');
+    }
+    if (game.pgn) {
+      return puzzleGenerator.generatePuzzlesFromGame(game, { onProgress, perspective, username });
+    }
+    // Lichess games checkpointed without their PGN are fetched again
+    return puzzleGenerator.generatePuzzlesFromGame(`https://lichess.org/${game.id}`, { onProgress, perspective, username });
+  }
+}
+
+module.exports = new ImportWorker();
@@ -1,37 +1,161 @@
 const axios = require('axios');
+const crypto = require('crypto');
+const { createBoard, loadGame } = require('./chess960');
+
+const OAUTH_STATE_TTL = 10 * 60 * 1000; // ms a started OAuth flow stays valid
+const OAUTH_SCOPES = ['email:read'];
+
+// Evaluations are capped here (in pawns) so "+12 to +25" or a mate score is no swing
+const MAX_EVALUATION = 10;
+// Site pages whose paths look like game IDs
+const RESERVED_PATHS = ['training', 'analysis', 'practice', 'streamer', 'tutorial', 'features', 'insights', 'timeline'];
+const EVAL_COMMENT = /\[%eval\s+(#)?([+-]?\d+(?:\.\d+)?)\]/;
 
 class LichessService {
   constructor() {
     this.baseUrl = 'https://lichess.org/api';
+    this.siteUrl = 'https://lichess.org';
+    this.oauthUrl = 'https://lichess.org/oauth';
+    this.pendingAuthorizations = new Map(); // state -> { codeVerifier, redirectUri, mode, userId, expiresAt }
+  }
+
+  /**
+   * Lichess needs no client registration; the client id only identifies the app
+   */
+  getClientId() {
+    return process.env.LICHESS_CLIENT_ID || 'chess-puzzle-builder';
+  }
+
+  getRedirectUri() {
+    return process.env.LICHESS_REDIRECT_URI
+      || `${process.env.CLIENT_URL || 'http://localhost:3000'}/auth/lichess/callback`;
+  }
+
+  /**
+   * Start an OAuth2 authorization code flow with PKCE
+   * @param {Object} options - mode ('login' or 'link') and, for linking, the userId
+   * @returns {{ url: string, state: string }} Where to send the browser
+   */
+  createAuthorization({ mode, userId = null }) {
+    const now = Date.now();
+    for (const [state, pending] of this.pendingAuthorizations) {
+      if (pending.expiresAt <= now) this.pendingAuthorizations.delete(state);
+    }
+
+    const state = crypto.randomBytes(16).toString('base64url');
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    const redirectUri = this.getRedirectUri();
+
+    this.pendingAuthorizations.set(state, {
+      codeVerifier,
+      redirectUri,
+      mode,
+      userId,
+      expiresAt: now + OAUTH_STATE_TTL
+    });
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.getClientId(),
+      redirect_uri: redirectUri,
+      scope: OAUTH_SCOPES.join(' '),
+      code_challenge_method: 'S256',
+      code_challenge: codeChallenge,
+      state
+    });
+
+    return { url: `${this.oauthUrl}?${params}`, state };
+  }
+
+  /**
+   * Finish an OAuth flow: exchange the code, read the account, drop the token
+   * @returns {Promise<{ mode: string, userId: string|null, account: { id: string, username: string, email: string|null } }>}
+   */
+  async completeAuthorization(code, state) {
+    const pending = this.pendingAuthorizations.get(state);
+    this.pendingAuthorizations.delete(state);
+    if (!pending || pending.expiresAt <= Date.now()) {
+      throw new Error('Lichess authorization expired or was not started here');
+    }
+
+    const tokenResponse = await axios.post(`${this.baseUrl}/token`, new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      code_verifier: pending.codeVerifier,
+      redirect_uri: pending.redirectUri,
+      client_id: this.getClientId()
+    }).toString(), {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'User-Agent': 'Chess-Puzzle-Builder/1.0'
+      }
+    });
+    const accessToken = tokenResponse.data.access_token;
+    const headers = {
+      'Authorization': `Bearer ${accessToken}`,
+      'Accept': 'application/json',
+      'User-Agent': 'Chess-Puzzle-Builder/1.0'
+    };
+
+    try {
+      const [accountResponse, emailResponse] = await Promise.all([
+        axios.get(`${this.baseUrl}/account`, { headers }),
+        axios.get(`${this.baseUrl}/account/email`, { headers }).catch(() => ({ data: {} }))
+      ]);
+
+      return {
+        mode: pending.mode,
+        userId: pending.userId,
+        account: {
+          id: accountResponse.data.id,
+          username: accountResponse.data.username,
+          email: emailResponse.data.email || null
+        }
+      };
+    } finally {
+      // Only the identity is needed, so the token is not kept
+      axios.delete(`${this.baseUrl}/token`, { headers }).catch(() => {});
+    }
   }
 
   /**
    * Fetch user's games from lichess.org
    * @param {string} username - Lichess username
    * @param {number} maxGames - Maximum number of games to fetch (default: 50)
+   * @param {Object} [options]
+   * @param {number} [options.since] - Only games created at or after this time (ms),
+   *   returned oldest first so a limited batch never skips a game
+   * @param {boolean} [options.analysedOnly] - Only games Lichess has analysed
+   *   (default: true). Unanalysed games are scanned with the local engine.
    * @returns {Promise<Array>} Array of games
    */
-  async getUserGames(username, maxGames = 50) {
+  async getUserGames(username, maxGames = 50, { since = null, analysedOnly = true } = {}) {
     try {
       const response = await axios.get(`${this.baseUrl}/games/user/${username}`, {
         params: {
           max: maxGames,
-          analysed: true, // Only get analyzed games
-          perfs: 'blitz,rapid,classical', // Include different time controls
+          ...(analysedOnly && { analysed: true }), // Only get analyzed games
+          perfs: 'blitz,rapid,classical,chess960', // Include different time controls and Chess960
           pgnInJson: true, // Get PGN in JSON format
           opening: true, // Include opening information
           moves: true, // Include all moves
           clocks: true, // Include clock information
           evals: true, // Include engine evaluations
-          accuracy: true // Include accuracy data
+          accuracy: true, // Include accuracy data
+          ...(since && { since, sort: 'dateAsc' })
         },
         headers: {
-          'Accept': 'application/json',
+          'Accept': 'application/x-ndjson',
           'User-Agent': 'Chess-Puzzle-Builder/1.0'
         }
       });
 
-      return response.data;
+      // The export is newline-delimited JSON, one game per line
+      if (typeof response.data === 'string') {
+        return response.data.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+      }
+      return Array.isArray(response.data) ? response.data : [response.data];
     } catch (error) {
       console.error('Error fetching lichess games:', error.message);
       throw new Error(`Failed to fetch games for ${username}: ${error.message}`);
@@ -45,7 +169,7 @@ class LichessService {
    */
   async getGame(gameId) {
     try {
-      const response = await axios.get(`${this.baseUrl}/game/${gameId}`, {
+      const response = await axios.get(`${this.siteUrl}/game/export/${gameId}`, {
         params: {
           pgnInJson: true,
           opening: true,
@@ -67,6 +191,24 @@ class LichessService {
     }
   }
 
+  /**
+   * Game ID of a lichess.org game URL, or null. Player URLs such as
+   * /abcdefgh/black or the 12-character /abcdefgh1234 map to the same game.
+   */
+  parseGameUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      if (!/(^|\.)lichess\.org$/.test(urlObj.hostname)) return null;
+      const [first = ''] = urlObj.pathname.split('/').filter(part => part.length > 0);
+      if (!/^[a-zA-Z0-9]{8}([a-zA-Z0-9]{4})?$/.test(first) || RESERVED_PATHS.includes(first.toLowerCase())) {
+        return null;
+      }
+      return first.slice(0, 8);
+    } catch {
+      return null;
+    }
+  }
+
   /**
    * Get user profile information
    * @param {string} username - Lichess username
@@ -96,7 +238,7 @@ class LichessService {
   parseGameData(lichessGame) {
     const moves = lichessGame.moves ? lichessGame.moves.split(' ') : [];
     const clocks = lichessGame.clocks || [];
-    const evals = lichessGame.evals || [];
+    const evals = this.getEvaluations(lichessGame);
     const accuracy = lichessGame.accuracy || {};
 
     return {
@@ -115,43 +257,110 @@ class LichessService {
       accuracy: accuracy,
       pgn: lichessGame.pgn,
       analysis: {
-        hasAnalysis: evals.length > 0,
-        evaluationCount: evals.length,
+        hasAnalysis: evals.some(Boolean),
+        evaluationCount: evals.filter(Boolean).length,
         accuracyData: accuracy
       }
     };
   }
 
   /**
-   * Extract critical positions from a lichess game
-   * @param {Object} gameData - Parsed game data
-   * @returns {Array} Array of critical positions
+   * Lichess's server-side evaluation after every ply of an analysed game.
+   * Taken from the export's `analysis` array, or from the PGN's [%eval] comments
+   * when the game comes without one. Plies without an evaluation are null.
+   * @param {Object} lichessGame - Raw lichess game data
+   * @returns {Array<Object|null>} { evaluation (pawns from White's view, ±Infinity
+   *   for mate), mate, best (UCI, on mistakes only), variation (SAN, on mistakes only) }
+   */
+  getEvaluations(lichessGame) {
+    if (Array.isArray(lichessGame.analysis) && lichessGame.analysis.length > 0) {
+      return lichessGame.analysis.map(entry => {
+        if (typeof entry.mate === 'number') {
+          return {
+            evaluation: entry.mate > 0 ? Infinity : -Infinity,
+            mate: entry.mate,
+            best: entry.best || null,
+            variation: entry.variation || null
+          };
+        }
+        if (typeof entry.eval === 'number') {
+          return { evaluation: entry.eval / 100, mate: null, best: entry.best || null, variation: entry.variation || null };
+        }
+        return null;
+      });
+    }
+    return lichessGame.pgn ? this.parseEvalComments(lichessGame.pgn) : [];
+  }
+
+  /**
+   * Read the [%eval] comment after every move of a PGN
+   * @param {string} pgn - PGN exported with evals
+   * @returns {Array<Object|null>} One entry per ply, as in getEvaluations
+   */
+  parseEvalComments(pgn) {
+    let chess;
+    try {
+      chess = loadGame(pgn);
+    } catch (error) {
+      console.error('Error parsing lichess PGN:', error.message);
+      return [];
+    }
+
+    const comments = new Map(chess.getComments().map(({ fen, comment }) => [fen, comment]));
+    return chess.history({ verbose: true }).map(move => {
+      const match = EVAL_COMMENT.exec(comments.get(move.after) || '');
+      if (!match) return null;
+
+      const value = parseFloat(match[2]);
+      if (match[1]) {
+        return { evaluation: value > 0 ? Infinity : -Infinity, mate: value, best: null, variation: null };
+      }
+      return { evaluation: value, mate: null, best: null, variation: null };
+    });
+  }
+
+  /**
+   * Extract critical positions from a lichess game: moves after which the
+   * evaluation dropped by more than 1.5 pawns for the side that played them
+   * @param {Object} gameData - Parsed game data (SAN `moves` and `evaluations`, and
+   *   `initialFen` for games that do not start from the standard position)
+   * @returns {Array} Array of critical positions, each with the FEN the move was played from
    */
   extractCriticalPositions(gameData) {
     const criticalPositions = [];
     const moves = gameData.moves;
     const evals = gameData.evaluations || [];
     const accuracy = gameData.accuracy || {};
+    const cap = evaluation => Math.max(-MAX_EVALUATION, Math.min(MAX_EVALUATION, evaluation));
+
+    // evals[i] is the evaluation after moves[i], so moves[i] is judged against evals[i - 1]
+    for (let i = 1; i < moves.length && i < evals.length; i++) {
+      const currentEval = evals[i - 1];
+      const nextEval = evals[i];
 
-    // Look for positions with significant evaluation changes
-    for (let i = 0; i < evals.length - 1; i++) {
-      const currentEval = evals[i];
-      const nextEval = evals[i + 1];
-      
       if (currentEval && nextEval) {
-        const evalChange = Math.abs(nextEval - currentEval);
-        
+        const position = this.getPositionAtMove(moves, i, gameData.initialFen);
+        if (!position) break;
+
+        // Change from the point of view of the side that played moves[i]
+        const sign = position.split(' ')[1] === 'w' ? 1 : -1;
+        const evalChange = sign * (cap(currentEval.evaluation) - cap(nextEval.evaluation));
+
         // Consider position critical if evaluation changes by more than 1.5 pawns
         if (evalChange > 1.5) {
           criticalPositions.push({
             moveNumber: Math.floor(i / 2) + 1,
             moveIndex: i,
-            position: this.getPositionAtMove(moves, i),
-            evaluation: currentEval,
-            nextEvaluation: nextEval,
+            position,
+            playedMove: moves[i],
+            evaluation: currentEval.evaluation,
+            mate: currentEval.mate, // moves to mate from White's view, or null
+            nextEvaluation: nextEval.evaluation,
             evalChange: evalChange,
             isBlunder: evalChange > 3.0,
             isMistake: evalChange > 1.5 && evalChange <= 3.0,
+            bestMove: nextEval.best, // Lichess's suggestion instead of moves[i]
+            variation: nextEval.variation ? nextEval.variation.split(' ') : [],
             accuracy: accuracy[i] || null
           });
         }
@@ -163,15 +372,22 @@ class LichessService {
 
   /**
    * Get FEN position at a specific move
-   * @param {Array} moves - Array of moves
+   * @param {Array} moves - Array of SAN moves from the starting position
    * @param {number} moveIndex - Index of the move
-   * @returns {string} FEN position
+   * @param {string} [initialFen] - Start position (Chess960 or set-up games)
+   * @returns {string|null} FEN of the position moves[moveIndex] is played from,
+   *   or null if an earlier move is illegal
    */
-  getPositionAtMove(moves, moveIndex) {
-    // This is a simplified version - in a real implementation,
-    // you'd use chess.js to calculate the position
-    // For now, we'll return a placeholder
-    return 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+  getPositionAtMove(moves, moveIndex, initialFen = null) {
+    try {
+      const chess = createBoard(initialFen);
+      for (let i = 0; i < moveIndex; i++) {
+        chess.move(moves[i]);
+      }
+      return chess.fen();
+    } catch (error) {
+      return null;
+    }
   }
 
   /**
@@ -0,0 +1,377 @@
+const { createBoard } = require('./chess960');
+
+const PIECE_VALUES = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 100 };
+
+const DIRECTIONS = {
+  rook: [[1, 0], [-1, 0], [0, 1], [0, -1]],
+  bishop: [[1, 1], [1, -1], [-1, 1], [-1, -1]]
+};
+const KNIGHT_JUMPS = [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]];
+const KING_STEPS = [...DIRECTIONS.rook, ...DIRECTIONS.bishop];
+
+// Most specific motifs first; the first tag becomes the puzzle's primary theme
+const MOTIF_ORDER = [
+  'smothered_mate',
+  'back_rank_mate',
+  'mate',
+  'double_check',
+  'discovered_attack',
+  'fork',
+  'skewer',
+  'pin',
+  'deflection',
+  'decoy',
+  'zwischenzug',
+  'sacrifice',
+  'promotion',
+  'quiet_move'
+];
+
+// Material the solver may be down during the line before it counts as a sacrifice
+const SACRIFICE_THRESHOLD = 2;
+
+const toCoords = (square) => [square.charCodeAt(0) - 97, parseInt(square[1]) - 1];
+const toSquare = (file, rank) => String.fromCharCode(97 + file) + (rank + 1);
+const onBoard = (file, rank) => file >= 0 && file < 8 && rank >= 0 && rank < 8;
+
+/**
+ * Tags the tactical motifs that appear in a puzzle's solution line.
+ * Every solver move is replayed with chess.js and inspected on the board
+ * before and after it, so several motifs can be reported for one puzzle.
+ */
+class MotifDetector {
+  /**
+   * Detect the motifs in a solution line
+   * @param {string} fen - Position the solver moves from (after any setup move)
+   * @param {Array<string>} sanMoves - Solution line, solver moves at even indexes
+   * @param {Object} [setupMove] - Opponent move played just before `fen` ({ san, uci })
+   * @returns {Array<string>} Motif tags, most specific first
+   */
+  detectMotifs(fen, sanMoves = [], setupMove = null) {
+    const tags = new Set();
+    let chess;
+    try {
+      chess = createBoard(fen);
+    } catch (error) {
+      return [];
+    }
+
+    const solver = chess.turn();
+    const startMaterial = this.materialBalance(chess, solver);
+    const plies = [];
+
+    for (const san of sanMoves) {
+      const before = createBoard(chess.fen());
+      let move;
+      try {
+        move = chess.move(san);
+      } catch (error) {
+        move = null;
+      }
+      if (!move) break;
+      plies.push({ move, before, after: createBoard(chess.fen()) });
+    }
+
+    plies.forEach((ply, index) => {
+      if (ply.move.color !== solver) return;
+      const { move, before, after } = ply;
+      const reply = plies[index + 1];
+      const nextSolverPly = plies[index + 2];
+
+      if (after.isCheckmate()) {
+        tags.add('mate');
+        if (this.isSmotheredMate(after, move)) tags.add('smothered_mate');
+        if (this.isBackRankMate(after, move)) tags.add('back_rank_mate');
+      }
+      if (this.checkers(after, solver).length >= 2) tags.add('double_check');
+      if (this.isDiscoveredAttack(before, after, move)) tags.add('discovered_attack');
+      // A forking piece that is simply taken back was not a fork
+      const recaptured = reply && reply.move.to === move.to;
+      if (!after.isCheckmate() && !recaptured && this.isFork(after, move)) tags.add('fork');
+
+      const lineMotif = this.lineMotif(after, move);
+      if (lineMotif) tags.add(lineMotif);
+
+      if (reply && nextSolverPly) {
+        if (this.isDeflection(move, reply, nextSolverPly)) tags.add('deflection');
+        if (this.isDecoy(move, reply, nextSolverPly)) tags.add('decoy');
+      }
+
+      if (move.promotion) tags.add('promotion');
+      if (this.isQuiet(move) && index < plies.length - 1) tags.add('quiet_move');
+    });
+
+    if (this.isZwischenzug(plies, setupMove)) tags.add('zwischenzug');
+    if (this.isSacrifice(plies, solver, startMaterial)) tags.add('sacrifice');
+
+    return MOTIF_ORDER.filter(tag => tags.has(tag));
+  }
+
+  /**
+   * Squares attacked by the piece on `square`, stopping sliders at the first piece
+   */
+  attacksFrom(chess, square) {
+    const piece = chess.get(square);
+    if (!piece) return [];
+    const [file, rank] = toCoords(square);
+    const squares = [];
+
+    const step = (offsets) => offsets.forEach(([df, dr]) => {
+      if (onBoard(file + df, rank + dr)) squares.push(toSquare(file + df, rank + dr));
+    });
+
+    switch (piece.type) {
+      case 'p': {
+        const dir = piece.color === 'w' ? 1 : -1;
+        step([[1, dir], [-1, dir]]);
+        break;
+      }
+      case 'n':
+        step(KNIGHT_JUMPS);
+        break;
+      case 'k':
+        step(KING_STEPS);
+        break;
+      default:
+        this.slidingDirections(piece.type).forEach(direction => {
+          const { empty, pieces } = this.ray(chess, square, direction);
+          squares.push(...empty);
+          if (pieces[0]) squares.push(pieces[0].square);
+        });
+    }
+
+    return squares;
+  }
+
+  slidingDirections(type) {
+    if (type === 'r') return DIRECTIONS.rook;
+    if (type === 'b') return DIRECTIONS.bishop;
+    if (type === 'q') return KING_STEPS;
+    return [];
+  }
+
+  /**
+   * Walk from `square` in one direction, collecting the empty squares before the
+   * first piece and every piece met along the way
+   */
+  ray(chess, square, [df, dr]) {
+    const [file, rank] = toCoords(square);
+    const result = { empty: [], pieces: [] };
+    for (let f = file + df, r = rank + dr; onBoard(f, r); f += df, r += dr) {
+      const target = toSquare(f, r);
+      const piece = chess.get(target);
+      if (piece) {
+        result.pieces.push({ square: target, ...piece });
+      } else if (result.pieces.length === 0) {
+        result.empty.push(target);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Squares of `color`'s pieces that attack `square`
+   */
+  attackersOf(chess, square, color) {
+    return chess.board().flat()
+      .filter(piece => piece && piece.color === color)
+      .filter(piece => this.attacksFrom(chess, piece.square).includes(square))
+      .map(piece => piece.square);
+  }
+
+  /**
+   * Pieces of `color` giving check to the opponent king
+   */
+  checkers(chess, color) {
+    const king = this.findKing(chess, color === 'w' ? 'b' : 'w');
+    return king ? this.attackersOf(chess, king, color) : [];
+  }
+
+  findKing(chess, color) {
+    const king = chess.board().flat().find(piece => piece && piece.type === 'k' && piece.color === color);
+    return king ? king.square : null;
+  }
+
+  /**
+   * A target is worth attacking if it is the king, worth more than the attacker,
+   * or not defended at all
+   */
+  isValuableTarget(chess, attacker, target) {
+    if (target.type === 'k') return true;
+    if (PIECE_VALUES[target.type] > PIECE_VALUES[attacker.type]) return true;
+    return this.attackersOf(chess, target.square, target.color).length === 0;
+  }
+
+  /**
+   * The moved piece attacks two or more valuable enemy pieces
+   */
+  isFork(after, move) {
+    const attacker = after.get(move.to);
+    if (!attacker || attacker.type === 'k') return false;
+
+    const targets = this.attacksFrom(after, move.to)
+      .map(square => ({ square, piece: after.get(square) }))
+      .filter(({ piece }) => piece && piece.color !== attacker.color)
+      .filter(({ square, piece }) => this.isValuableTarget(after, attacker, { square, ...piece }));
+
+    return targets.length >= 2;
+  }
+
+  /**
+   * Moving a piece uncovers an attack by another piece on a valuable target
+   */
+  isDiscoveredAttack(before, after, move) {
+    const color = move.color;
+    return after.board().flat()
+      .filter(piece => piece && piece.color === color && piece.square !== move.to && 'rbq'.includes(piece.type))
+      .some(slider => {
+        const newTargets = this.attacksFrom(after, slider.square)
+          .filter(square => !this.attacksFrom(before, slider.square).includes(square));
+        return newTargets.some(square => {
+          const target = after.get(square);
+          return target && target.color !== color &&
+            this.isBetween(move.from, slider.square, square) &&
+            this.isValuableTarget(after, slider, { square, ...target });
+        });
+      });
+  }
+
+  /**
+   * Whether `square` lies strictly between `from` and `to` on a straight line
+   */
+  isBetween(square, from, to) {
+    const [sf, sr] = toCoords(square);
+    const [ff, fr] = toCoords(from);
+    const [tf, tr] = toCoords(to);
+    const df = Math.sign(tf - ff);
+    const dr = Math.sign(tr - fr);
+    for (let f = ff + df, r = fr + dr; f !== tf || r !== tr; f += df, r += dr) {
+      if (f === sf && r === sr) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Pin or skewer created by the moved line piece: it attacks an enemy piece
+   * with a second enemy piece behind it on the same line
+   */
+  lineMotif(after, move) {
+    const attacker = after.get(move.to);
+    if (!attacker) return null;
+
+    for (const direction of this.slidingDirections(attacker.type)) {
+      const [front, back] = this.ray(after, move.to, direction).pieces;
+      if (!front || !back || front.color === attacker.color || back.color === attacker.color) continue;
+
+      const frontValue = PIECE_VALUES[front.type];
+      const backValue = PIECE_VALUES[back.type];
+      if (frontValue < backValue) return 'pin';
+      if (frontValue > backValue && back.type !== 'p') return 'skewer';
+    }
+    return null;
+  }
+
+  /**
+   * A forcing move pulls a defender away from a square the solver uses next
+   */
+  isDeflection(move, reply, nextSolverPly) {
+    if (!this.isForcing(move)) return false;
+    const target = nextSolverPly.move.to;
+    if (reply.move.to === target || reply.move.from === target) return false;
+
+    const defendedBefore = this.attacksFrom(reply.before, reply.move.from).includes(target);
+    const defendsAfter = this.attacksFrom(nextSolverPly.before, reply.move.to).includes(target);
+    return defendedBefore && !defendsAfter;
+  }
+
+  /**
+   * A piece is offered on a square, the capture lures an enemy piece there and
+   * the solver attacks it on that square next
+   */
+  isDecoy(move, reply, nextSolverPly) {
+    if (reply.move.to !== move.to || !reply.move.captured) return false;
+    const lured = reply.move.piece;
+    if (lured !== 'k' && PIECE_VALUES[move.piece] <= PIECE_VALUES[lured]) return false;
+
+    const after = nextSolverPly.after;
+    if (lured === 'k') return after.inCheck();
+    return nextSolverPly.move.to === move.to || this.attacksFrom(after, nextSolverPly.move.to).includes(move.to);
+  }
+
+  /**
+   * Instead of recapturing straight away the solver inserts another forcing move
+   * and only recaptures later in the line
+   */
+  isZwischenzug(plies, setupMove) {
+    const captures = [];
+    if (setupMove && setupMove.san && setupMove.san.includes('x') && setupMove.uci) {
+      captures.push({ index: -1, square: setupMove.uci.slice(2, 4) });
+    }
+    plies.forEach((ply, index) => {
+      if (index % 2 === 1 && ply.move.captured) captures.push({ index, square: ply.move.to });
+    });
+
+    return captures.some(({ index, square }) => {
+      const immediate = plies[index + 1];
+      if (!immediate || immediate.move.to === square || !this.isForcing(immediate.move)) return false;
+      return plies.slice(index + 2).some((ply, offset) => (index + 2 + offset) % 2 === 0 && ply.move.to === square && ply.move.captured);
+    });
+  }
+
+  /**
+   * The solver is clearly down material at some point in the line
+   */
+  isSacrifice(plies, solver, startMaterial) {
+    return plies.some(ply => ply.move.color !== solver &&
+      startMaterial - this.materialBalance(ply.after, solver) >= SACRIFICE_THRESHOLD);
+  }
+
+  /**
+   * The mating knight's target king is boxed in by its own pieces
+   */
+  isSmotheredMate(after, move) {
+    if (move.piece !== 'n') return false;
+    const king = this.findKing(after, after.turn());
+    const [file, rank] = toCoords(king);
+    return KING_STEPS.every(([df, dr]) => {
+      if (!onBoard(file + df, rank + dr)) return true;
+      const piece = after.get(toSquare(file + df, rank + dr));
+      return piece && piece.color === after.turn();
+    });
+  }
+
+  /**
+   * A rook or queen mates the king along its own back rank
+   */
+  isBackRankMate(after, move) {
+    const defender = after.turn();
+    const king = this.findKing(after, defender);
+    const backRank = defender === 'w' ? '1' : '8';
+    if (!king || king[1] !== backRank) return false;
+
+    return this.checkers(after, move.color).some(square => {
+      const piece = after.get(square);
+      return (piece.type === 'r' || piece.type === 'q') && square[1] === backRank;
+    });
+  }
+
+  isForcing(move) {
+    return Boolean(move.captured || move.san.includes('+') || move.san.includes('#'));
+  }
+
+  isQuiet(move) {
+    return !move.captured && !move.promotion && !move.san.includes('+') && !move.san.includes('#');
+  }
+
+  /**
+   * Material of `color` minus the opponent's, in pawns
+   */
+  materialBalance(chess, color) {
+    return chess.board().flat().reduce((balance, piece) => {
+      if (!piece || piece.type === 'k') return balance;
+      return balance + (piece.color === color ? PIECE_VALUES[piece.type] : -PIECE_VALUES[piece.type]);
+    }, 0);
+  }
+}
+
+module.exports = new MotifDetector();
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const { loadGame } = require('./chess960');
+
+// A line of movetext that ends with a game termination marker
+const RESULT_AT_END = /(?:^|\s)(1-0|0-1|1\/2-1\/2|\*)\s*$/;
+// Variant tags of games that play by standard rules from their start position
+const SUPPORTED_VARIANTS = ['standard', 'chess960', 'fischerandom', 'from position'];
+
+/**
+ * Reads pasted or uploaded PGN files, which may hold many games
+ */
+class PgnService {
+  /**
+   * Split a PGN file into the text of each game. A game ends at its result
+   * or where the next game's header section starts.
+   * @param {string} text - PGN file contents
+   * @returns {Array<string>} One PGN per game
+   */
+  splitGames(text) {
+    const games = [];
+    let lines = [];
+    let inMovetext = false;
+    let commentDepth = 0; // inside { ... } comments, which may span lines
+
+    const finishGame = () => {
+      if (lines.some(line => line.trim())) games.push(lines.join('\n'));
+      lines = [];
+      inMovetext = false;
+    };
+
+    for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+      const trimmed = line.trim();
+      const isHeader = commentDepth === 0 && trimmed.startsWith('[');
+
+      if (isHeader && inMovetext) finishGame();
+      lines.push(line);
+      if (!isHeader && trimmed) inMovetext = true;
+
+      for (const char of line) {
+        if (char === '{') commentDepth++;
+        if (char === '}') commentDepth = Math.max(0, commentDepth - 1);
+      }
+      if (commentDepth === 0 && inMovetext && RESULT_AT_END.test(trimmed)) finishGame();
+    }
+    finishGame();
+
+    return games;
+  }
+
+  /**
+   * Parse every game of a PGN file. Variations, comments and NAGs are read but
+   * only the main line is kept. Chess960 games and games from a set-up position
+   * start from their [FEN] header; games of other variants and unreadable games
+   * are skipped with the reason.
+   * @param {string} text - PGN file contents
+   * @returns {{ games: Array<Object>, skipped: Array<{ index, white, black, reason }> }}
+   */
+  parseGames(text) {
+    const games = [];
+    const skipped = [];
+
+    this.splitGames(text).forEach((pgn, index) => {
+      const headers = this.readHeaders(pgn);
+      const skip = reason => skipped.push({ index, white: headers.White || null, black: headers.Black || null, reason });
+
+      const reason = this.getNonStandardReason(headers);
+      if (reason) {
+        skip(reason);
+        return;
+      }
+
+      let chess;
+      try {
+        chess = loadGame(pgn);
+      } catch (error) {
+        skip(`Invalid PGN: ${error.message}`);
+        return;
+      }
+      if (chess.history().length === 0) {
+        skip('No moves');
+        return;
+      }
+
+      // chess.js writes back the main line only, with the headers and comments
+      const normalizedPgn = chess.pgn();
+      games.push({
+        id: crypto.createHash('sha1').update(normalizedPgn).digest('hex').slice(0, 16),
+        platform: 'pgn',
+        index,
+        pgn: normalizedPgn,
+        white: headers.White || 'Unknown',
+        black: headers.Black || 'Unknown',
+        result: headers.Result || '*',
+        event: headers.Event && headers.Event !== '?' ? headers.Event : null,
+        date: headers.Date && headers.Date !== '????.??.??' ? headers.Date : null
+      });
+    });
+
+    return { games, skipped };
+  }
+
+  /**
+   * Why a game cannot go through the puzzle pipeline, or null
+   */
+  getNonStandardReason(headers) {
+    const variant = headers.Variant;
+    if (variant && !SUPPORTED_VARIANTS.includes(variant.toLowerCase())) {
+      return `Variant "${variant}" is not supported`;
+    }
+    if (headers.SetUp === '1' && !headers.FEN) {
+      return 'Set-up position without a FEN';
+    }
+    return null;
+  }
+
+  /**
+   * Tag pairs of a game, read before chess.js loads it
+   */
+  readHeaders(pgn) {
+    const headers = {};
+    for (const match of pgn.matchAll(/^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]/gm)) {
+      headers[match[1]] = match[2];
+    }
+    return headers;
+  }
+}
+
+module.exports = new PgnService();
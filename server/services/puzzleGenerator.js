@@ -1,39 +1,97 @@
-const { Chess } = require('chess.js');
+const { createBoard, loadGame, needsChess960 } = require('./chess960');
 const ChessComService = require('./chessComService');
 const lichessService = require('./lichessService');
-const StockfishService = require('./stockfishService');
+const stockfishService = require('./stockfishService');
+const uciConverter = require('./uciConverter');
+const motifDetector = require('./motifDetector');
+const glicko2 = require('./glicko2');
+const pgnService = require('./pgnService');
+const tablebaseService = require('./tablebaseService');
+
+// Engine scan settings. Thresholds are in centipawns from the side to move's point of view.
+const SCAN_DEPTH = 12;
+const SCAN_MOVETIME = 1000;
+const TACTICAL_THRESHOLDS = {
+  minCentipawnLoss: 150, // played move must be at least this much worse than the best move
+  minBestEvaluation: 150 // and the best move must leave the side to move clearly better
+};
+const MAX_CENTIPAWNS = 1000; // beyond this a position is simply "winning"
+const MATE_SCORE = 10000;
+
+// Defensive "only move" puzzles: the best move holds while every other move loses
+const DEFENSIVE_THRESHOLDS = {
+  minHoldScore: -100, // the only move must keep the side to move at least this well off
+  maxLosingScore: -300 // and the next best move must leave it this badly off or worse
+};
+const DEFENSIVE_THEME = 'defensive_move';
+
+// Endgames are told apart by material: neither side has more than two rooks,
+// a queen, or a rook and a minor piece besides its pawns
+const ENDGAME_MAX_MATERIAL = 10; // per side, in pawns
+const ENDGAME_PIECE_VALUES = { n: 3, b: 3, r: 5, q: 9 };
+const ENDGAME_THEME = 'endgame';
+
+// Mate-in-N puzzles: a missed forced mate becomes a puzzle whose whole line ends in mate
+const MAX_MATE_IN = 5;
+const MATE_THEME_PREFIX = 'mate_in_'; // themes mate_in_1 to mate_in_5
+
+// MultiPV search used to find other moves that keep the win at each solver ply
+const MULTI_PV_LINES = 4;
+const ALTERNATIVE_DEPTH = 14;
+const ALTERNATIVE_MOVETIME = 1500;
+const ALTERNATIVE_TOLERANCE = 50; // centipawns an alternative may trail the solution move by
+const WINNING_SCORE = 300; // an alternative scoring at least this much always keeps the win
+const MAX_TABLEBASE_ALTERNATIVES = 8; // tablebase wins per ply played out as alternatives (each takes engine searches)
+
+// Forced-line extension: the solution grows while the solver has a single winning move
+const EXTENSION_DEPTH = 16;
+const EXTENSION_MOVETIME = 1500;
+const MAX_SOLVER_MOVES = 6;
+const DECISIVE_MATERIAL_GAIN = 300; // centipawns of material won that resolve the position
+const PIECE_VALUES = { p: 100, n: 300, b: 300, r: 500, q: 900, k: 0 };
+
+// Ranking of puzzle candidates from a batch of games
+const MAX_LEARNING_VALUE = 7; // highest score calculateLearningValue gives
+const RATING_FIT_RANGE = 600; // rating distance at which a puzzle no longer fits at all
+const LEARNING_WEIGHT = 0.6;
+const RATING_FIT_WEIGHT = 0.4;
+
+// Whose missed wins become puzzles: the importing player's, their opponents' against them, or both
+const PERSPECTIVES = ['mine', 'opponent', 'both'];
 
 class PuzzleGenerator {
   constructor() {
     this.chessComService = new ChessComService();
-    this.stockfishService = new StockfishService();
+    this.stockfishService = stockfishService;
   }
 
   /**
-   * Generate puzzles from a chess.com or lichess.org game URL or game object
+   * Generate puzzles from a chess.com or lichess.org game URL or game object, or
+   * a game read from a PGN file by pgnService
+   * @param {Object} [options.onProgress] - called with `{ stage: 'analyzing', positionsAnalyzed, positionsTotal }`
+   *   while positions are scanned and `{ stage: 'creating', positionsChecked, positionsTotal, puzzlesCreated }`
+   *   while puzzles are built from the tactical positions
+   * @param {string} [options.perspective] - 'mine', 'opponent' or 'both' (default)
+   * @param {string} [options.username] - the importing player, needed unless perspective is 'both'
    */
-  async generatePuzzlesFromGame(gameInput) {
+  async generatePuzzlesFromGame(gameInput, options = {}) {
     try {
       // Accept either a URL (for lichess) or a game object (for chess.com)
       if (typeof gameInput === 'object' && gameInput.pgn && gameInput.platform === 'chess.com') {
         // Use the PGN directly for chess.com
-        return await this.generatePuzzlesFromGameData(gameInput);
+        return await this.generatePuzzlesFromGameData(gameInput, options);
+      }
+      if (typeof gameInput === 'object' && gameInput.pgn && gameInput.platform === 'pgn') {
+        return await this.generatePuzzlesFromGameData(this.fromPgnGame(gameInput), options);
+      }
+      if (typeof gameInput === 'object' && gameInput.pgn && gameInput.platform === 'lichess') {
+        return await this.generatePuzzlesFromGameData(this.fromLichessGame(gameInput), options);
       }
       if (typeof gameInput === 'string' && gameInput.includes('lichess.org')) {
         // For lichess, fetch game data as before
-        const gameId = gameInput.split('/').pop();
+        const gameId = lichessService.parseGameUrl(gameInput) || gameInput.split('/').pop();
         const game = await lichessService.getGame(gameId);
-        // Transform lichess game data to match chess.com format
-        const gameData = {
-          id: game.id,
-          white: game.players.white.name || game.players.white.userId,
-          black: game.players.black.name || game.players.black.userId,
-          result: game.winner ? (game.winner === 'white' ? '1-0' : '0-1') : '1/2-1/2',
-          type: game.speed || 'rapid',
-          pgn: game.pgn,
-          platform: 'lichess'
-        };
-        return await this.generatePuzzlesFromGameData(gameData);
+        return await this.generatePuzzlesFromGameData(this.fromLichessGame(game), options);
       }
       throw new Error('Unsupported input for puzzle generation.');
     } catch (error) {
@@ -43,18 +101,52 @@ class PuzzleGenerator {
   }
 
   /**
-   * Generate puzzles directly from game data (for chess.com games)
+   * Transform lichess game data to match chess.com format, keeping Lichess's
+   * server-side evaluations so the game needs no engine scan
+   */
+  fromLichessGame(game) {
+    return {
+      id: game.id,
+      white: game.players.white.user?.name || game.players.white.name || game.players.white.userId || 'Unknown',
+      black: game.players.black.user?.name || game.players.black.name || game.players.black.userId || 'Unknown',
+      result: game.winner ? (game.winner === 'white' ? '1-0' : '0-1') : '1/2-1/2',
+      type: game.speed || 'rapid',
+      pgn: game.pgn,
+      platform: 'lichess',
+      evaluations: lichessService.getEvaluations(game)
+    };
+  }
+
+  /**
+   * Transform a game from a PGN file to match chess.com format
    */
-  async generatePuzzlesFromGameData(gameData) {
+  fromPgnGame(game) {
+    return {
+      id: game.id,
+      white: game.white,
+      black: game.black,
+      result: game.result,
+      type: 'classical', // PGN files are mostly over-the-board games
+      pgn: game.pgn,
+      platform: 'pgn'
+    };
+  }
+
+  /**
+   * Generate puzzles directly from game data (chess.com games, or lichess and
+   * PGN games already transformed by fromLichessGame / fromPgnGame)
+   */
+  async generatePuzzlesFromGameData(gameData, options = {}) {
+    const { onProgress = () => {}, perspective = 'both', username = null } = options;
     try {
-      console.log('🎯 Starting puzzle generation from game data:', gameData.white?.username || 'Unknown', 'vs', gameData.black?.username || 'Unknown');
-      
-      // Add initial processing delay for sophistication
-      console.log('⏳ Initializing analysis engine...');
-      await new Promise(resolve => setTimeout(resolve, 400));
+      if (!PERSPECTIVES.includes(perspective)) {
+        throw new Error(`Invalid perspective: ${perspective}`);
+      }
+
+      console.log('🎯 Starting puzzle generation from game data:', gameData.white?.username || gameData.white || 'Unknown', 'vs', gameData.black?.username || gameData.black || 'Unknown');
       
       // Transform chess.com game data to match our expected format
-      const transformedGameData = {
+      const transformedGameData = ['lichess', 'pgn'].includes(gameData.platform) ? gameData : {
         id: gameData.uuid || gameData.url?.split('/').pop(),
         white: gameData.white?.username || 'Unknown',
         black: gameData.black?.username || 'Unknown',
@@ -66,34 +158,28 @@ class PuzzleGenerator {
       
       console.log('📊 Transformed game data:', transformedGameData.white, 'vs', transformedGameData.black);
       
-      // Add delay before position extraction
-      console.log('🔍 Loading game positions...');
-      await new Promise(resolve => setTimeout(resolve, 300));
+      // 1. Find which side the importing player had
+      const playerColor = this.getPlayerColor(transformedGameData.pgn, username);
+      if (perspective !== 'both' && !playerColor) {
+        throw new Error(`${username || 'The importing player'} did not play in this game`);
+      }
       
       // 2. Analyze game positions
       const positions = this.extractPositionsFromGame(transformedGameData);
       console.log(`🔍 Analyzing ${positions.length} positions...`);
       
-      // Add delay before tactical analysis
-      console.log('⚡ Initializing tactical analysis engine...');
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      // 3. Find tactical opportunities
-      const tacticalPositions = await this.findTacticalPositions(positions);
-      console.log(`⚡ Found ${tacticalPositions.length} tactical positions`);
-      
-      // Add delay before puzzle creation
-      console.log('🧩 Preparing puzzle generation algorithms...');
-      await new Promise(resolve => setTimeout(resolve, 400));
+      // 3. Find tactical opportunities (from Lichess's own analysis when the game has it)
+      const hasServerAnalysis = Array.isArray(transformedGameData.evaluations) && transformedGameData.evaluations.some(Boolean);
+      const foundPositions = hasServerAnalysis
+        ? await this.findTacticalPositionsFromEvaluations(positions, transformedGameData.evaluations, onProgress)
+        : await this.findTacticalPositions(positions, {}, onProgress);
+      const tacticalPositions = this.filterByPerspective(foundPositions, playerColor, perspective);
+      console.log(`⚡ Found ${foundPositions.length} tactical positions, ${tacticalPositions.length} from the ${perspective} perspective`);
       
       // 4. Generate puzzles from tactical positions
-      const puzzles = await this.createPuzzles(tacticalPositions, transformedGameData);
+      const puzzles = await this.createPuzzles(tacticalPositions, transformedGameData, onProgress);
       console.log(`🧩 Generated ${puzzles.length} puzzles`);
       
-      // Add final processing delay
-      console.log('✨ Finalizing puzzle quality checks...');
-      await new Promise(resolve => setTimeout(resolve, 250));
-      
       // Sort puzzles by difficulty (evaluation strength)
       const sorted = puzzles.sort((a, b) => Math.abs(b.evaluation) - Math.abs(a.evaluation));
       // Only keep puzzles with difficulty >= 3 (medium or higher)
@@ -104,7 +190,9 @@ class PuzzleGenerator {
         summary: {
           totalPositions: positions.length,
           tacticalPositions: tacticalPositions.length,
-          puzzlesGenerated: puzzles.length
+          puzzlesGenerated: puzzles.length,
+          perspective,
+          playerColor: playerColor === 'w' ? 'white' : playerColor === 'b' ? 'black' : null
         }
       };
     } catch (error) {
@@ -113,6 +201,36 @@ class PuzzleGenerator {
     }
   }
 
+  /**
+   * Side ('w' or 'b') the player had in a game, matching the username against
+   * the White and Black PGN headers case-insensitively. Null if they did not play.
+   */
+  getPlayerColor(pgn, username) {
+    if (!username || !pgn) return null;
+    const headers = pgnService.readHeaders(pgn);
+    const name = username.trim().toLowerCase();
+    if ((headers.White || '').trim().toLowerCase() === name) return 'w';
+    if ((headers.Black || '').trim().toLowerCase() === name) return 'b';
+    return null;
+  }
+
+  /**
+   * Keep the tactical positions whose missed win belongs to the chosen side.
+   * The side to move in a tactical position is the one that missed the win.
+   * Each kept position is tagged with its perspective when the player is known.
+   */
+  filterByPerspective(tacticalPositions, playerColor, perspective) {
+    return tacticalPositions
+      .map(position => {
+        const missedBy = position.fen.split(' ')[1];
+        return {
+          ...position,
+          perspective: playerColor ? (missedBy === playerColor ? 'mine' : 'opponent') : null
+        };
+      })
+      .filter(position => perspective === 'both' || position.perspective === perspective);
+  }
+
   /**
    * Fetch game data from chess.com or lichess.org
    * (DEPRECATED: No longer used for chess.com, only for lichess)
@@ -138,80 +256,53 @@ class PuzzleGenerator {
   }
 
   /**
-   * Extract all positions from a game
+   * The position a game starts from (its [FEN] header, or null for the standard
+   * start) and whether it is a Chess960 game
+   */
+  getGameStart(gameData) {
+    const headers = pgnService.readHeaders(gameData.pgn || '');
+    const startFen = headers.FEN || null;
+    const isChess960 = gameData.rules === 'chess960' ||
+      /^(chess960|fischerandom)$/i.test(headers.Variant || '') ||
+      needsChess960(startFen);
+    return { startFen, isChess960 };
+  }
+
+  /**
+   * Extract all positions from a game, from its start position on
    */
   extractPositionsFromGame(gameData) {
-    // Check if this is a Chess960 game
-    const isChess960 = gameData.rules === 'chess960' || 
-                      gameData.pgn.includes('[Variant "Chess960"]') ||
-                      gameData.pgn.includes('[SetUp "1"]');
-    
+    const { startFen, isChess960 } = this.getGameStart(gameData);
     console.log(`🎮 Extracting positions from ${isChess960 ? 'Chess960' : 'standard'} game`);
-    
-    // Use Chess960 variant if needed
-    let chess;
-    try {
-      if (isChess960) {
-        // For Chess960, we need to be more careful with the initialization
-        chess = new Chess({ variant: 'chess960' });
-      } else {
-        chess = new Chess();
-      }
-    } catch (error) {
-      console.error('Error initializing chess engine:', error.message);
-      // Fallback to standard chess if Chess960 fails
-      chess = new Chess();
-    }
-    
+
     const positions = [];
-    
     try {
-      // Load the game and extract each position
-      chess.loadPgn(gameData.pgn);
-      const history = chess.history({ verbose: true });
-      
-      // Add starting position (after loading PGN to get correct starting position)
-    positions.push({
-      fen: chess.fen(),
-      moveNumber: 0,
-      move: null,
-        isStarting: true,
-        isChess960: isChess960
-      });
-      
-      // Reset to starting position and replay moves
-    chess.reset();
-    
-    for (let i = 0; i < history.length; i++) {
-      const move = history[i];
-        try {
-      chess.move(move);
-      
       positions.push({
-        fen: chess.fen(),
-        moveNumber: i + 1,
-        move: move.san,
-        isStarting: false,
-        piece: move.piece,
-            color: move.color,
-            isChess960: isChess960
-          });
-        } catch (moveError) {
-          console.error(`Error replaying move ${i + 1}:`, moveError.message);
-          // Continue with next move
-          break;
-        }
-      }
-    } catch (error) {
-      console.error('Error parsing PGN:', error.message);
-      // Return just the starting position if PGN parsing fails
-      return [{
-        fen: chess.fen(),
+        fen: createBoard(startFen).fen(),
         moveNumber: 0,
         move: null,
         isStarting: true,
-        isChess960: isChess960
-      }];
+        isChess960
+      });
+
+      // Each move carries the position it leads to
+      const history = loadGame(gameData.pgn).history({ verbose: true });
+      history.forEach((move, i) => {
+        positions.push({
+          fen: move.after,
+          moveNumber: i + 1,
+          move: move.san,
+          uci: uciConverter.toUci(move),
+          isStarting: false,
+          piece: move.piece,
+          color: move.color,
+          isChess960
+        });
+      });
+    } catch (error) {
+      // Keep just the starting position if the PGN cannot be read
+      console.error('Error parsing PGN:', error.message);
+      return positions.slice(0, 1);
     }
     
     console.log(`📊 Extracted ${positions.length} positions from game`);
@@ -219,28 +310,237 @@ class PuzzleGenerator {
   }
 
   /**
-   * Find positions with tactical opportunities
-   * Simple version without Stockfish analysis for now
+   * Find positions where the side to move missed a tactic
+   * Every position is evaluated with Stockfish and compared with the move that
+   * was actually played. The heuristic scan is only used when the engine is unavailable.
+   * `onProgress` receives `{ stage: 'analyzing', positionsAnalyzed, positionsTotal }`.
+   */
+  async findTacticalPositions(positions, thresholds = {}, onProgress = () => {}) {
+    const { minCentipawnLoss, minBestEvaluation } = { ...TACTICAL_THRESHOLDS, ...thresholds };
+
+    try {
+      if (!this.stockfishService.isReady) {
+        await this.stockfishService.initialize();
+      }
+    } catch (error) {
+      console.warn('⚠️ Stockfish unavailable, falling back to heuristic scan:', error.message);
+      return this.findHeuristicTacticalPositions(positions, onProgress);
+    }
+
+    // Skip the first few moves (opening)
+    const startIndex = Math.min(3, positions.length);
+    const positionsTotal = positions.length - startIndex;
+    console.log(`🔍 Analyzing ${positionsTotal} positions with Stockfish...`);
+    onProgress({ stage: 'analyzing', positionsAnalyzed: 0, positionsTotal });
+
+    // Submit every position at once; the engine pool limits how many run in parallel
+    // and a full queue holds the rest back until there is room
+    let analyzedCount = 0;
+    const analyses = await Promise.all(positions.map(async (position, i) => {
+      if (i < startIndex) return null;
+      try {
+        return await this.stockfishService.analyzePosition(position.fen, SCAN_DEPTH, SCAN_MOVETIME);
+      } catch (error) {
+        console.error(`Error analyzing position ${position.moveNumber}:`, error);
+        return null;
+      } finally {
+        analyzedCount++;
+        onProgress({ stage: 'analyzing', positionsAnalyzed: analyzedCount, positionsTotal });
+        if (analyzedCount % 10 === 0) {
+          console.log(`📊 Analyzed ${analyzedCount}/${positionsTotal} positions...`);
+        }
+      }
+    }));
+
+    const tacticalPositions = [];
+
+    // Compare each position's best move with the move actually played from it
+    for (let i = startIndex; i < positions.length - 1; i++) {
+      const position = positions[i];
+      const playedPosition = positions[i + 1];
+      const analysis = analyses[i];
+      const playedAnalysis = analyses[i + 1];
+
+      if (!this.hasUsableScore(analysis) || !this.hasUsableScore(playedAnalysis)) continue;
+      if (!analysis.bestMove || analysis.bestMove === '(none)') continue;
+      if (analysis.bestMove === playedPosition.uci) continue;
+
+      // Both scores from the point of view of the side to move in `position`
+      const bestScore = this.scoreToCentipawns(analysis.evaluation);
+      const playedScore = -this.scoreToCentipawns(playedAnalysis.evaluation);
+      const evalLoss = bestScore - playedScore;
+
+      const missedMate = analysis.evaluation === Infinity && playedAnalysis.evaluation !== -Infinity;
+      const missedWin = missedMate || (evalLoss >= minCentipawnLoss && bestScore >= minBestEvaluation);
+      // A big loss from a position that was not winning may be a missed only move
+      const missedDefence = !missedWin && evalLoss >= minCentipawnLoss && bestScore >= DEFENSIVE_THRESHOLDS.minHoldScore;
+      if (!missedWin && !missedDefence) continue;
+
+      let line = this.getBestLine(position.fen, analysis);
+      let stakes = null;
+      if (missedDefence) {
+        const onlyMove = await this.findOnlyDefensiveMove(position.fen);
+        if (!onlyMove) continue;
+        line = onlyMove.line;
+        stakes = this.getStakes(onlyMove.otherLine, playedPosition.move, playedScore);
+      }
+      if (line.length === 0) continue;
+
+      const tactical = {
+        fen: position.fen,
+        evaluation: bestScore / 100,
+        bestMove: line[0].san,
+        bestMoveUci: line[0].uci,
+        pv: line.map(move => move.san),
+        pvUci: line.map(move => move.uci),
+        playedMove: playedPosition.move,
+        playedEvaluation: playedScore / 100,
+        evalLoss,
+        isMate: missedMate,
+        mateIn: missedMate ? analysis.mate : null,
+        isDefensive: missedDefence,
+        stakes,
+        isTactical: true,
+        strength: evalLoss >= 500 ? 'strong' : evalLoss >= 300 ? 'medium' : 'weak',
+        analysisSource: 'engine'
+      };
+
+      tacticalPositions.push({
+        ...position,
+        ...tactical,
+        analysisDepth: SCAN_DEPTH,
+        tacticalType: this.classifyTacticalType(tactical),
+        positionQuality: this.assessPositionQuality(position, tactical),
+        learningValue: this.calculateLearningValue(tactical)
+      });
+    }
+
+    console.log(`⚡ Found ${tacticalPositions.length} tactical positions`);
+    return tacticalPositions;
+  }
+
+  /**
+   * Find missed tactics from Lichess's server-side analysis instead of scanning
+   * every position with the engine. Moves that lost at least `minCentipawnLoss`
+   * from a position worth `minBestEvaluation` become tactical positions, with the
+   * move Lichess suggested as the solution. The engine is only asked for a best
+   * move when Lichess gave none; createPuzzleFromPosition verifies the line.
    */
-  async findTacticalPositions(positions, threshold = 1.0) {
+  async findTacticalPositionsFromEvaluations(positions, evaluations, onProgress = () => {}) {
+    const { minCentipawnLoss, minBestEvaluation } = TACTICAL_THRESHOLDS;
+
+    let engineAvailable = true;
+    try {
+      if (!this.stockfishService.isReady) {
+        await this.stockfishService.initialize();
+      }
+    } catch (error) {
+      engineAvailable = false;
+      console.warn('⚠️ Stockfish unavailable, using Lichess analysis without verification:', error.message);
+    }
+
+    // Skip the first few moves (opening)
+    const moves = positions.slice(1).map(position => position.move);
+    const criticalPositions = lichessService.extractCriticalPositions({ moves, evaluations, initialFen: positions[0].fen })
+      .filter(critical => critical.moveIndex >= 3);
+    const positionsTotal = criticalPositions.length;
+    console.log(`🔍 Checking ${positionsTotal} critical positions from Lichess analysis...`);
+    onProgress({ stage: 'analyzing', positionsAnalyzed: 0, positionsTotal });
+
+    const tacticalPositions = [];
+    for (let i = 0; i < criticalPositions.length; i++) {
+      const critical = criticalPositions[i];
+      const position = positions[critical.moveIndex];
+      onProgress({ stage: 'analyzing', positionsAnalyzed: i + 1, positionsTotal });
+      if (!position || position.fen !== critical.position) continue;
+
+      // Both scores from the point of view of the side to move in `position`
+      const sign = position.fen.split(' ')[1] === 'w' ? 1 : -1;
+      const bestScore = this.scoreToCentipawns(sign * critical.evaluation);
+      const playedScore = this.scoreToCentipawns(sign * critical.nextEvaluation);
+      const evalLoss = bestScore - playedScore;
+
+      const missedMate = sign * critical.evaluation === Infinity && sign * critical.nextEvaluation !== Infinity;
+      const missedWin = missedMate || (evalLoss >= minCentipawnLoss && bestScore >= minBestEvaluation);
+      // Lichess gives a single line, so only the engine can tell a missed only move
+      const missedDefence = !missedWin && engineAvailable &&
+        evalLoss >= minCentipawnLoss && bestScore >= DEFENSIVE_THRESHOLDS.minHoldScore;
+      if (!missedWin && !missedDefence) continue;
+
+      // Lichess's variation normally starts with its best move; if it does not, keep just the best move
+      let line = uciConverter.convertSanLine(position.fen, critical.variation);
+      if (critical.bestMove && (line.length === 0 || line[0].uci !== critical.bestMove)) {
+        const bestMove = uciConverter.convertMove(position.fen, critical.bestMove);
+        line = bestMove ? [bestMove] : [];
+      }
+      let stakes = null;
+      if (missedDefence) {
+        const onlyMove = await this.findOnlyDefensiveMove(position.fen);
+        if (!onlyMove) continue;
+        line = onlyMove.line;
+        stakes = this.getStakes(onlyMove.otherLine, critical.playedMove, playedScore);
+      }
+      if (line.length === 0 && engineAvailable) {
+        try {
+          const analysis = await this.stockfishService.analyzePosition(position.fen, SCAN_DEPTH, SCAN_MOVETIME);
+          if (analysis.bestMove && analysis.bestMove !== '(none)') {
+            line = this.getBestLine(position.fen, analysis);
+          }
+        } catch (error) {
+          console.error(`Error analyzing position ${position.moveNumber}:`, error);
+        }
+      }
+      if (line.length === 0 || line[0].san === critical.playedMove) continue;
+
+      const tactical = {
+        fen: position.fen,
+        evaluation: bestScore / 100,
+        bestMove: line[0].san,
+        bestMoveUci: line[0].uci,
+        pv: line.map(move => move.san),
+        pvUci: line.map(move => move.uci),
+        playedMove: critical.playedMove,
+        playedEvaluation: playedScore / 100,
+        evalLoss,
+        isMate: missedMate,
+        mateIn: missedMate && critical.mate ? sign * critical.mate : null,
+        isDefensive: missedDefence,
+        stakes,
+        isTactical: true,
+        strength: evalLoss >= 500 ? 'strong' : evalLoss >= 300 ? 'medium' : 'weak',
+        analysisSource: 'lichess'
+      };
+
+      tacticalPositions.push({
+        ...position,
+        ...tactical,
+        analysisDepth: 'lichess',
+        tacticalType: this.classifyTacticalType(tactical),
+        positionQuality: this.assessPositionQuality(position, tactical),
+        learningValue: this.calculateLearningValue(tactical)
+      });
+    }
+
+    console.log(`⚡ Found ${tacticalPositions.length} tactical positions`);
+    return tacticalPositions;
+  }
+
+  /**
+   * Heuristic scan used when Stockfish cannot be started
+   */
+  async findHeuristicTacticalPositions(positions, onProgress = () => {}) {
     const tacticalPositions = [];
     
     // Skip the first few moves (opening) but analyze more positions
     const positionsToAnalyze = positions.slice(3);
     
     console.log(`🔍 Analyzing ${positionsToAnalyze.length} positions for tactical opportunities...`);
-    
-    // Add initial analysis delay
-    console.log('🧠 Loading tactical evaluation models...');
-    await new Promise(resolve => setTimeout(resolve, 250));
+    onProgress({ stage: 'analyzing', positionsAnalyzed: 0, positionsTotal: positionsToAnalyze.length });
     
     for (let i = 0; i < positionsToAnalyze.length; i++) {
       const position = positionsToAnalyze[i];
       
       try {
-        // Add small delay for each position analysis
-        await new Promise(resolve => setTimeout(resolve, 25));
-        
         // Simple heuristic-based tactical detection
         const tactical = this.findSimpleTacticalOpportunities(position);
         
@@ -249,6 +549,7 @@ class PuzzleGenerator {
           const enhancedPosition = {
             ...position,
             ...tactical,
+            analysisSource: 'heuristic',
             analysisDepth: 10,
             tacticalType: this.classifyTacticalType(tactical),
             positionQuality: this.assessPositionQuality(position, tactical),
@@ -258,31 +559,316 @@ class PuzzleGenerator {
           tacticalPositions.push(enhancedPosition);
         }
         
-        // Progress logging with more sophisticated messaging
         if ((i + 1) % 10 === 0) {
           console.log(`📊 Analyzed ${i + 1}/${positionsToAnalyze.length} positions (${Math.round((i + 1) / positionsToAnalyze.length * 100)}% complete)...`);
-          // Add a small delay every 10 positions to feel more realistic
-          await new Promise(resolve => setTimeout(resolve, 100));
         }
       } catch (error) {
         console.error(`Error analyzing position ${position.moveNumber}:`, error);
       }
+      onProgress({ stage: 'analyzing', positionsAnalyzed: i + 1, positionsTotal: positionsToAnalyze.length });
     }
     
-    // Add final analysis delay
-    console.log('🎯 Compiling tactical analysis results...');
-    await new Promise(resolve => setTimeout(resolve, 150));
-    
     console.log(`⚡ Found ${tacticalPositions.length} tactical positions`);
     return tacticalPositions;
   }
 
+  /**
+   * The engine's best line from `fen` as SAN/UCI pairs. The PV normally starts
+   * with the best move; if it does not, keep just the best move.
+   */
+  getBestLine(fen, analysis) {
+    const line = uciConverter.convertLine(fen, analysis.pv);
+    if (line.length > 0 && line[0].uci === analysis.bestMove) {
+      return line;
+    }
+    const bestMove = uciConverter.convertMove(fen, analysis.bestMove);
+    return bestMove ? [bestMove] : [];
+  }
+
+  /**
+   * Check that an engine result carries a score we can compare
+   */
+  hasUsableScore(analysis) {
+    return !!analysis && typeof analysis.evaluation === 'number' && !Number.isNaN(analysis.evaluation);
+  }
+
+  /**
+   * Convert an engine evaluation (pawns, ±Infinity for mate) to clamped centipawns
+   * so that "+9 vs +15" does not count as a loss while a missed mate still does
+   */
+  scoreToCentipawns(evaluation) {
+    if (evaluation === Infinity) return MATE_SCORE;
+    if (evaluation === -Infinity) return -MATE_SCORE;
+    return Math.max(-MAX_CENTIPAWNS, Math.min(MAX_CENTIPAWNS, Math.round(evaluation * 100)));
+  }
+
+  /**
+   * Find other moves that keep the win at each of the solver's plies
+   * Returns one list per solution ply (opponent plies get an empty list). Each
+   * alternative carries its line as validated SAN moves plus their UCI form, cut
+   * to no more plies than the solution has left and ending on a solver move.
+   */
+  async findAlternativeSolutions(fen, solutionMoves) {
+    const alternatives = solutionMoves.map(() => []);
+    const solverPlies = [];
+
+    try {
+      const chess = createBoard(fen);
+      for (let i = 0; i < solutionMoves.length; i++) {
+        const fenBefore = chess.fen();
+        const move = chess.move(solutionMoves[i]);
+        if (!move) break;
+        if (i % 2 === 0) {
+          solverPlies.push({ index: i, fen: fenBefore, uci: move.from + move.to + (move.promotion || '') });
+        }
+      }
+    } catch (error) {
+      // Stop at the first move that cannot be replayed
+    }
+
+    await Promise.all(solverPlies.map(async ({ index, fen: plyFen, uci }) => {
+      try {
+        const analysis = await this.stockfishService.analyzePosition(plyFen, ALTERNATIVE_DEPTH, ALTERNATIVE_MOVETIME, {
+          multiPv: MULTI_PV_LINES
+        });
+        const lines = analysis.lines || [];
+        const reference = lines.find(line => line.pv[0] === uci) || lines[0];
+        if (!reference) return;
+
+        alternatives[index] = lines
+          .filter(line => line.pv[0] !== uci && this.keepsWin(reference, line))
+          .map(line => {
+            const converted = uciConverter.convertLine(plyFen, line.pv).slice(0, solutionMoves.length - index);
+            if (converted.length % 2 === 0) converted.pop();
+            return {
+              moves: converted.map(move => move.san),
+              uciMoves: converted.map(move => move.uci),
+              mate: line.mate
+            };
+          })
+          .filter(alternative => alternative.moves.length > 0);
+      } catch (error) {
+        console.error(`Error finding alternatives for ply ${index}:`, error.message);
+      }
+    }));
+
+    return alternatives;
+  }
+
+  /**
+   * Extend a solution from the tactical position one move at a time.
+   * After the first (key) move the line only continues while the solver's move is
+   * the only winning one; it stops at mate or once the solver has won decisive
+   * material. The returned SAN line always ends on a solver move.
+   * With `verifyFirstMove` the key move must be one of the engine's top lines and
+   * win; otherwise null is returned. A `defensive` line continues while the
+   * solver's move is the only one that holds instead.
+   */
+  async extendForcedLine(fen, firstMoveUci, { verifyFirstMove = false, defensive = false } = {}) {
+    const chess = createBoard(fen);
+    const solverColor = chess.turn();
+    const startMaterial = this.materialBalance(chess, solverColor);
+    const line = [];
+
+    try {
+      for (let solverMoves = 0; solverMoves < MAX_SOLVER_MOVES; solverMoves++) {
+        const analysis = await this.stockfishService.analyzePosition(chess.fen(), EXTENSION_DEPTH, EXTENSION_MOVETIME, {
+          multiPv: 2
+        });
+        const lines = analysis.lines || [];
+
+        let solverLine;
+        if (solverMoves === 0) {
+          solverLine = lines.find(engineLine => engineLine.pv[0] === firstMoveUci);
+          if (verifyFirstMove && !(solverLine && (solverLine.mate > 0 ||
+              this.scoreToCentipawns(solverLine.evaluation) >= TACTICAL_THRESHOLDS.minBestEvaluation))) {
+            return null;
+          }
+          solverLine = solverLine || { pv: [firstMoveUci] };
+        } else {
+          if (!(defensive ? this.isOnlyDefensiveMove(lines) : this.isOnlyWinningMove(lines))) break;
+          solverLine = lines[0];
+        }
+
+        const solverMove = uciConverter.playMove(chess, uciConverter.parseUci(solverLine.pv[0]));
+        if (!solverMove) break;
+        line.push(solverMove.san);
+
+        if (chess.isGameOver()) break;
+
+        const reply = await this.findReply(chess.fen(), solverLine.pv[1]);
+        const replyMove = reply && uciConverter.playMove(chess, uciConverter.parseUci(reply));
+        if (!replyMove) break;
+
+        // Material is judged after the best reply, so an immediate recapture is accounted for
+        if (this.materialBalance(chess, solverColor) - startMaterial >= DECISIVE_MATERIAL_GAIN) break;
+
+        line.push(replyMove.san);
+      }
+    } catch (error) {
+      console.error('Error extending solution line:', error.message);
+    }
+
+    // Never end on an opponent move: the solver must have something left to play
+    if (line.length % 2 === 0) line.pop();
+    return line;
+  }
+
+  /**
+   * Play out a missed forced mate from `fen`, starting with `firstMove` (SAN),
+   * against the best defence. Every solver move must keep a forced mate and
+   * the line must end in checkmate within MAX_MATE_IN solver moves. A mate in
+   * one is checked on the board, longer mates need the engine.
+   * @returns {Promise<{ line: Array<string>, mateIn: number }|null>} SAN line, or null when it is no forced mate
+   */
+  async extendMatingLine(fen, firstMove) {
+    const chess = createBoard(fen);
+    const line = [];
+
+    try {
+      for (let solverMoves = 1; solverMoves <= MAX_MATE_IN; solverMoves++) {
+        let solverLine = null;
+        if (solverMoves > 1 || !this.givesMate(chess.fen(), firstMove)) {
+          if (!this.stockfishService.isReady) return null;
+          const analysis = await this.stockfishService.analyzePosition(chess.fen(), EXTENSION_DEPTH, EXTENSION_MOVETIME, {
+            multiPv: 2
+          });
+          const lines = analysis.lines || [];
+          const firstMoveUci = solverMoves === 1 ? (uciConverter.convertSanLine(chess.fen(), [firstMove])[0] || {}).uci : null;
+          solverLine = solverMoves === 1 ? lines.find(engineLine => engineLine.pv[0] === firstMoveUci) : lines[0];
+          if (!solverLine || !(solverLine.mate > 0) || solverMoves - 1 + solverLine.mate > MAX_MATE_IN) return null;
+        }
+
+        const solverMove = uciConverter.playMove(chess, solverLine ? uciConverter.parseUci(solverLine.pv[0]) : firstMove);
+        if (!solverMove) return null;
+        line.push(solverMove.san);
+
+        if (chess.isCheckmate()) return { line, mateIn: solverMoves };
+        if (chess.isGameOver()) return null;
+
+        const reply = await this.findReply(chess.fen(), solverLine && solverLine.pv[1]);
+        const replyMove = reply && uciConverter.playMove(chess, uciConverter.parseUci(reply));
+        if (!replyMove) return null;
+        line.push(replyMove.san);
+      }
+    } catch (error) {
+      console.error('Error playing out mating line:', error.message);
+    }
+    return null;
+  }
+
+  /**
+   * Whether a SAN move mates on the spot
+   */
+  givesMate(fen, san) {
+    const chess = createBoard(fen);
+    const move = uciConverter.playMove(chess, san);
+    return Boolean(move) && chess.isCheckmate();
+  }
+
+  /**
+   * The opponent's best reply, taken from the engine line when it has one
+   */
+  async findReply(fen, expectedReply) {
+    if (expectedReply && uciConverter.convertMove(fen, expectedReply)) {
+      return expectedReply;
+    }
+
+    const analysis = await this.stockfishService.analyzePosition(fen, EXTENSION_DEPTH, EXTENSION_MOVETIME);
+    return analysis.bestMove && analysis.bestMove !== '(none)' ? analysis.bestMove : null;
+  }
+
+  /**
+   * True when the best engine line wins and no other line does
+   */
+  isOnlyWinningMove(lines) {
+    const [best, second] = lines;
+    if (!best || !(best.mate > 0 || this.scoreToCentipawns(best.evaluation) >= WINNING_SCORE)) {
+      return false;
+    }
+    if (!second) return true;
+    return !(second.mate > 0 || this.keepsWin(best, second));
+  }
+
+  /**
+   * True when the best engine line holds and the next best one loses. A
+   * position with a single legal move has one line and is not a puzzle.
+   */
+  isOnlyDefensiveMove(lines) {
+    const [best, second] = lines;
+    if (!best || !second) return false;
+    return this.scoreToCentipawns(best.evaluation) >= DEFENSIVE_THRESHOLDS.minHoldScore &&
+      this.scoreToCentipawns(second.evaluation) <= DEFENSIVE_THRESHOLDS.maxLosingScore;
+  }
+
+  /**
+   * Look for a defensive "only move" with a two-line engine search.
+   * Returns the only move's line and the next best engine line, or null.
+   */
+  async findOnlyDefensiveMove(fen) {
+    try {
+      const analysis = await this.stockfishService.analyzePosition(fen, ALTERNATIVE_DEPTH, ALTERNATIVE_MOVETIME, {
+        multiPv: 2
+      });
+      const lines = analysis.lines || [];
+      if (!this.isOnlyDefensiveMove(lines)) return null;
+
+      const line = uciConverter.convertLine(fen, lines[0].pv);
+      return line.length > 0 ? { line, otherLine: lines[1] } : null;
+    } catch (error) {
+      console.error('Error checking for an only move:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * What a defensive puzzle's only move saves: the score of the best other
+   * move and of the move played in the game, in centipawns for the solver.
+   * Mates against the solver are kept as a move count (JSON has no Infinity).
+   */
+  getStakes(otherLine, playedMove, playedScore) {
+    return {
+      otherScore: this.scoreToCentipawns(otherLine.evaluation),
+      otherMate: otherLine.mate < 0 ? -otherLine.mate : null,
+      playedMove: playedMove || null,
+      playedScore: playedMove ? playedScore : null
+    };
+  }
+
+  /**
+   * Material of `color` minus the opponent's, in centipawns
+   */
+  materialBalance(chess, color) {
+    let balance = 0;
+    chess.board().forEach(row => row.forEach(square => {
+      if (!square) return;
+      const value = PIECE_VALUES[square.type];
+      balance += square.color === color ? value : -value;
+    }));
+    return balance;
+  }
+
+  /**
+   * Decide whether an engine line keeps the win compared with the solution line
+   * Mating lines only accept other mates that are at least as fast.
+   */
+  keepsWin(reference, line) {
+    if (reference.mate > 0) {
+      return line.mate > 0 && line.mate <= reference.mate;
+    }
+
+    const referenceScore = this.scoreToCentipawns(reference.evaluation);
+    if (referenceScore < TACTICAL_THRESHOLDS.minBestEvaluation) return false;
+
+    const lineScore = this.scoreToCentipawns(line.evaluation);
+    return lineScore >= Math.min(referenceScore - ALTERNATIVE_TOLERANCE, WINNING_SCORE);
+  }
+
   /**
    * Simple heuristic-based tactical opportunity detection
    */
   findSimpleTacticalOpportunities(position) {
-    const { Chess } = require('chess.js');
-    const chess = new Chess(position.fen);
+    const chess = createBoard(position.fen);
     
     // Get legal moves
     const legalMoves = chess.moves({ verbose: true });
@@ -291,6 +877,36 @@ class PuzzleGenerator {
       return null; // Game over
     }
     
+    // Look for a mate in one
+    const mate = legalMoves.find(move => move.san.endsWith('#'));
+    if (mate) {
+      return {
+        fen: position.fen,
+        evaluation: MATE_SCORE / 100,
+        bestMove: mate.san,
+        pv: [mate.san],
+        isTactical: true,
+        isMate: true,
+        mateIn: 1,
+        strength: 'strong'
+      };
+    }
+    
+    // Look for a defensive only move (every other move allows mate)
+    const onlyMove = this.findOnlyMoveAgainstMate(chess, legalMoves);
+    if (onlyMove) {
+      return {
+        fen: position.fen,
+        evaluation: 0,
+        bestMove: onlyMove.san,
+        pv: [onlyMove.san],
+        isTactical: true,
+        isDefensive: true,
+        stakes: { otherScore: -MATE_SCORE, otherMate: 1, playedMove: null, playedScore: null },
+        strength: 'medium'
+      };
+    }
+    
     // Look for captures (potential tactical opportunities)
     const captures = legalMoves.filter(move => move.flags.includes('c'));
     
@@ -344,10 +960,42 @@ class PuzzleGenerator {
     return null;
   }
 
+  /**
+   * The one legal move that does not allow mate in one, or null. The full
+   * check only runs when the side to move is in check or the opponent
+   * threatens mate, which a null move (passing the turn) reveals.
+   */
+  findOnlyMoveAgainstMate(chess, legalMoves) {
+    if (legalMoves.length < 2) return null;
+    const allowsMate = (fen) => {
+      try {
+        return createBoard(fen).moves().some(san => san.endsWith('#'));
+      } catch (error) {
+        return false; // not a legal position
+      }
+    };
+
+    if (!chess.inCheck()) {
+      const [board, turn, castling] = chess.fen().split(' ');
+      const passed = `${board} ${turn === 'w' ? 'b' : 'w'} ${castling} - 0 1`;
+      if (!allowsMate(passed)) return null;
+    }
+
+    const safeMoves = legalMoves.filter(move => {
+      chess.move(move);
+      const fen = chess.fen();
+      chess.undo();
+      return !allowsMate(fen);
+    });
+    return safeMoves.length === 1 ? safeMoves[0] : null;
+  }
+
   /**
    * Classify the type of tactical opportunity
    */
   classifyTacticalType(tactical) {
+    if (tactical.isDefensive) return 'defensive_resource';
+
     const evaluation = Math.abs(tactical.evaluation);
     
     if (evaluation >= 3.0) return 'winning_combination';
@@ -399,26 +1047,75 @@ class PuzzleGenerator {
       value += 2;
     }
     
+    // Only moves teach defence, which the rest of the puzzles never do
+    if (tactical.isDefensive) {
+      value += 3;
+    }
+    
     return value;
   }
 
+  /**
+   * Key identifying a puzzle position regardless of the game it came from
+   * (move counters are ignored, the setup move is included)
+   */
+  getPositionKey(puzzle) {
+    const fen = puzzle.position.split(' ').slice(0, 4).join(' ');
+    return puzzle.setupMove ? `${fen}|${puzzle.setupMove.san}` : fen;
+  }
+
+  /**
+   * Score a puzzle candidate by how much it teaches and how close its seed
+   * rating is to the player's rating
+   * @returns {{ learningValue: number, ratingFit: number, score: number }} ratingFit and score are 0-1
+   */
+  scorePuzzleCandidate(puzzle, targetRating) {
+    const learningValue = puzzle.learningValue || 0;
+    const puzzleRating = glicko2.seedFromDifficulty(puzzle.difficulty).rating;
+    const ratingFit = Math.max(0, 1 - Math.abs(puzzleRating - targetRating) / RATING_FIT_RANGE);
+    const score = LEARNING_WEIGHT * Math.min(learningValue / MAX_LEARNING_VALUE, 1) + RATING_FIT_WEIGHT * ratingFit;
+    return {
+      learningValue,
+      ratingFit: Math.round(ratingFit * 100) / 100,
+      score: Math.round(score * 1000) / 1000
+    };
+  }
+
+  /**
+   * Deduplicate puzzle candidates by position, keeping the best scoring copy,
+   * and return the `limit` best ones, best first
+   */
+  rankPuzzleCandidates(candidates, { targetRating, limit }) {
+    const best = new Map();
+    for (const candidate of candidates) {
+      const ranked = { ...candidate, ranking: this.scorePuzzleCandidate(candidate, targetRating) };
+      const key = this.getPositionKey(candidate);
+      const existing = best.get(key);
+      if (!existing || ranked.ranking.score > existing.ranking.score) {
+        best.set(key, ranked);
+      }
+    }
+
+    return Array.from(best.values())
+      .sort((a, b) => b.ranking.score - a.ranking.score || b.difficulty - a.difficulty)
+      .slice(0, limit);
+  }
+
   /**
    * Create puzzles from tactical positions
+   * `onProgress` receives `{ stage: 'creating', positionsChecked, positionsTotal, puzzlesCreated }`.
    */
-  async createPuzzles(tacticalPositions, gameData) {
+  async createPuzzles(tacticalPositions, gameData, onProgress = () => {}) {
     const puzzles = [];
+    const positionsTotal = tacticalPositions.length;
     
-    console.log(`🧩 Creating puzzles from ${tacticalPositions.length} tactical positions...`);
-    
-    // Add initial puzzle creation delay
-    console.log('🎨 Initializing puzzle creation algorithms...');
-    await new Promise(resolve => setTimeout(resolve, 200));
+    console.log(`🧩 Creating puzzles from ${positionsTotal} tactical positions...`);
+    onProgress({ stage: 'creating', positionsChecked: 0, positionsTotal, puzzlesCreated: 0 });
     
     for (let i = 0; i < tacticalPositions.length; i++) {
       const position = tacticalPositions[i];
       
       try {
-        await new Promise(resolve => setTimeout(resolve, 50));
         const puzzle = await this.createPuzzleFromPosition(position, gameData);
         if (puzzle && puzzle.solution && puzzle.solution.moves && puzzle.solution.moves.length > 0) {
           
@@ -429,8 +1126,11 @@ class PuzzleGenerator {
             continue;
           }
           const firstMove = puzzle.solution.moves[0];
-          const tempChess = puzzle.isChess960 ? new Chess({ variant: 'chess960' }) : new Chess();
-          tempChess.load(fen);
+          const tempChess = createBoard(fen);
+          // The solver moves after the setup move has been played
+          if (puzzle.setupMove && !uciConverter.playMove(tempChess, puzzle.setupMove.san)) {
+            continue;
+          }
           const legalMoves = tempChess.moves({ verbose: true });
           const found = legalMoves.find(m => m.san === firstMove);
           if (found) {
@@ -444,21 +1144,15 @@ class PuzzleGenerator {
           }
         }
         
-        // Progress logging with sophisticated messaging
         if ((i + 1) % 5 === 0) {
-          console.log(`🎯 Created ${i + 1}/${tacticalPositions.length} puzzles (${Math.round((i + 1) / tacticalPositions.length * 100)}% complete)...`);
-          // Add a small delay every 5 puzzles
-          await new Promise(resolve => setTimeout(resolve, 75));
+          console.log(`🎯 Checked ${i + 1}/${positionsTotal} tactical positions (${Math.round((i + 1) / positionsTotal * 100)}% complete)...`);
         }
       } catch (error) {
         console.error(`Error creating puzzle from position ${position.moveNumber}:`, error);
       }
+      onProgress({ stage: 'creating', positionsChecked: i + 1, positionsTotal, puzzlesCreated: puzzles.length });
     }
     
-    // Add final puzzle compilation delay
-    console.log('📋 Compiling final puzzle collection...');
-    await new Promise(resolve => setTimeout(resolve, 150));
-    
     return puzzles;
   }
 
@@ -467,92 +1161,115 @@ class PuzzleGenerator {
    */
   async createPuzzleFromPosition(position, gameData) {
     try {
-      // Use the tactical data we already have from findSimpleTacticalOpportunities
+      // Use the tactical data we already have from findTacticalPositions
       const analysis = {
         bestMove: position.bestMove,
         evaluation: position.evaluation,
         pv: position.pv || [position.bestMove],
-        depth: 'simple'
+        depth: position.analysisSource === 'heuristic' ? 'simple' : position.analysisDepth
       };
       
       if (!analysis.bestMove) {
         return null;
       }
       
-      // Create the puzzle position (1-2 moves before the tactical position)
+      // Create the puzzle position (just before the opponent's move that allowed the tactic)
       const puzzlePosition = await this.createPuzzlePosition(position, gameData);
       
       if (!puzzlePosition) {
         return null;
       }
       
-      // Determine the last move played before the puzzle position
-      let lastMove = null;
-      if (puzzlePosition.moveHistory && puzzlePosition.moveHistory.length > 0) {
-        lastMove = puzzlePosition.moveHistory[puzzlePosition.moveHistory.length - 1];
-      }
+      // The setup move is the last move played before the solver's turn
+      const lastMove = puzzlePosition.setupMove.san;
       
-      // Determine tactical theme
-      const theme = this.determineTacticalTheme(analysis, position, gameData);
+      // From the tactical position the engine extends the line until it is resolved.
+      // Lines from Lichess's analysis are only kept once the engine confirms the key move.
+      const useEngine = position.analysisSource === 'engine' ||
+        (position.analysisSource === 'lichess' && this.stockfishService.isReady);
+      let solutionMoves = [analysis.bestMove, ...analysis.pv.slice(1, 3)];
+
+      // A missed mate is played out to checkmate; if that fails it is treated like any other tactic
+      const matingLine = position.mateIn > 0 && position.mateIn <= MAX_MATE_IN
+        ? await this.extendMatingLine(position.fen, analysis.bestMove)
+        : null;
+      let mateIn = matingLine ? matingLine.mateIn : null;
+      if (matingLine) {
+        solutionMoves = matingLine.line;
+      } else if (useEngine) {
+        const forcedLine = await this.extendForcedLine(position.fen, position.bestMoveUci, {
+          verifyFirstMove: position.analysisSource === 'lichess' && !position.isDefensive,
+          defensive: Boolean(position.isDefensive)
+        });
+        if (!forcedLine) return null;
+        if (forcedLine.length > 0) solutionMoves = forcedLine;
+      }
+      const solutionEvaluation = analysis.evaluation;
+
+      // Replay the line so the stored solution only holds legal SAN moves
+      let solutionLine = uciConverter.convertSanLine(puzzlePosition.tacticalFen, solutionMoves);
+      if (solutionLine.length === 0) {
+        return null;
+      }
+      solutionMoves = solutionLine.map(move => move.san);
+
+      // Other moves that also keep the win, per solver ply
+      let alternatives = useEngine
+        ? await this.findAlternativeSolutions(puzzlePosition.tacticalFen, solutionMoves)
+        : solutionMoves.map(() => []);
+
+      // Endgames in the local tablebase must be proven, and other tablebase wins are accepted
+      const verified = await this.verifyWithTablebase(puzzlePosition.tacticalFen, solutionLine, alternatives, {
+        defensive: Boolean(position.isDefensive)
+      });
+      if (!verified) return null;
+      if (verified.tablebase) {
+        solutionLine = verified.line;
+        solutionMoves = solutionLine.map(move => move.san);
+        alternatives = verified.alternatives;
+        if (mateIn && solutionLine.length < matingLine.line.length) mateIn = null; // no longer ends in mate
+      }
+
+      // Motif tags from the solution line; the first one is the primary theme
+      const motifs = this.determineThemes(puzzlePosition, solutionMoves, gameData);
+      const themes = position.isDefensive
+        ? [DEFENSIVE_THEME, ...motifs.filter(tag => tag !== 'tactical_opportunity')]
+        : motifs;
+      if (mateIn) {
+        themes.splice(0, themes[0] === 'tactical_opportunity' ? 1 : 0, `${MATE_THEME_PREFIX}${mateIn}`);
+      }
+      if (PuzzleGenerator.isEndgame(puzzlePosition.tacticalFen)) {
+        if (themes[0] === 'tactical_opportunity') themes.shift();
+        themes.push(ENDGAME_THEME);
+      }
+      const theme = themes[0];
       
       // Calculate difficulty
       const difficulty = this.calculateDifficulty(analysis.evaluation, theme, puzzlePosition);
       
-      // Recalculate the solution moves for the puzzle position
-      let solutionMoves = [];
-      let solutionEvaluation = analysis.evaluation;
-      
-      try {
-        const puzzleChess = puzzlePosition.isChess960 ? new Chess({ variant: 'chess960' }) : new Chess();
-        puzzleChess.load(puzzlePosition.fen);
-        
-        // Get the moves that lead from the puzzle position to the tactical position
-        const movesToTactical = [];
-        const tacticalChess = puzzlePosition.isChess960 ? new Chess({ variant: 'chess960' }) : new Chess();
-        tacticalChess.load(position.fen);
-        
-        // Find the moves that transform puzzle position to tactical position
-        // We need to find the moves that were played between the puzzle position and the tactical position
-        const movesBack = Math.min(2, position.moveNumber);
-        const targetMoveNumber = position.moveNumber - movesBack;
-        
-        // Get the moves that were played after the puzzle position
-        const chess = puzzlePosition.isChess960 ? new Chess({ variant: 'chess960' }) : new Chess();
-        chess.loadPgn(gameData.pgn);
-        const history = chess.history();
-        
-        // The moves from puzzle position to tactical position
-        for (let i = targetMoveNumber; i < position.moveNumber && i < history.length; i++) {
-          movesToTactical.push(history[i]);
-        }
-        
-        // The solution is the moves that lead to the tactical position, plus the best move from there
-        solutionMoves = [...movesToTactical, analysis.bestMove, ...analysis.pv.slice(1, 3)];
-        
-        
-        
-      } catch (error) {
-        console.error('Error recalculating solution moves:', error);
-        // Fallback to original solution
-        solutionMoves = [analysis.bestMove, ...analysis.pv.slice(1, 3)];
-      }
-      
       // Generate explanation and clue for the puzzle
       const puzzleObj = {
         id: require('uuid').v4(), // Use proper UUID instead of custom format
         position: puzzlePosition.fen,
+        setupMove: puzzlePosition.setupMove, // auto-played before the solver's first move
         solution: {
           moves: solutionMoves,
-          evaluation: solutionEvaluation
+          uciMoves: solutionLine.map(move => move.uci),
+          alternatives,
+          evaluation: solutionEvaluation,
+          mateIn // moves to checkmate when the whole line is a forced mate, else null
         },
         theme,
+        themes,
         difficulty,
+        learningValue: position.learningValue, // used to rank candidates from a batch of games
         lastMove,
         moveHistory: puzzlePosition.moveHistory || [], // Include the truncated move history
         gameContext: {
           moveNumber: position.moveNumber,
-          originalMove: position.move,
+          originalMove: puzzlePosition.playedMove, // what was actually played instead of the solution
           player: position.color,
+          perspective: position.perspective || null, // 'mine' or 'opponent' relative to the importing player
           gameUrl: gameData.id
         },
         gameData: {
@@ -560,33 +1277,22 @@ class PuzzleGenerator {
           black: gameData.black,
           result: gameData.result,
           type: gameData.type,
-          platform: gameData.platform
+          platform: gameData.platform,
+          variant: puzzlePosition.isChess960 ? 'chess960' : 'standard'
         },
         metadata: {
           createdAt: new Date().toISOString(),
           engineDepth: analysis.depth,
+          analysisSource: position.analysisSource,
+          tablebase: verified.tablebase, // result of the tablebase probe at the puzzle's start, if any
           originalPosition: position.fen
         }
       };
       
       const explanation = this.generateExplanation(analysis, theme, position, lastMove, position.moveNumber, position.color, analysis.bestMove, puzzleObj);
       
-      // Determine the FEN before the original move
-      let fenBeforeOriginalMove = null;
-      try {
-        const chess = puzzlePosition.isChess960 ? new Chess({ variant: 'chess960' }) : new Chess();
-        chess.loadPgn(gameData.pgn);
-        const history = chess.history();
-        // The original move is at position.moveNumber-1 in history
-        // So the FEN before it is after playing up to position.moveNumber-2
-        chess.reset();
-        for (let i = 0; i < position.moveNumber - 1 && i < history.length; i++) {
-          chess.move(history[i]);
-        }
-        fenBeforeOriginalMove = chess.fen();
-      } catch (e) {
-        fenBeforeOriginalMove = null;
-      }
+      // The game's move was played from the position after the setup move
+      const fenBeforeOriginalMove = puzzlePosition.tacticalFen;
       
       return {
         ...puzzleObj,
@@ -604,56 +1310,164 @@ class PuzzleGenerator {
   }
 
   /**
-   * Create puzzle position (1-2 moves before the tactical position)
+   * Check a solution against the Syzygy tablebase at every solver ply with
+   * few enough pieces. Each move must keep a tablebase win (for defensive
+   * puzzles: not lose, and the first move must be the only such move), and
+   * every other move that does is added as an alternative, played out to as
+   * many plies as the solution has left. A later move the tablebase disagrees
+   * with ends the line before it.
+   * @returns {Promise<{ line, alternatives, tablebase }|null>} null when the
+   *   tablebase refutes the first move; `tablebase` is null when no ply was probed
+   */
+  async verifyWithTablebase(fen, solutionLine, alternatives, { defensive = false } = {}) {
+    const unverified = { line: solutionLine, alternatives, tablebase: null };
+    if (!tablebaseService.isAvailable()) return unverified;
+
+    const chess = createBoard(fen);
+    const verifiedAlternatives = alternatives.map(list => [...list]);
+    const tablebaseMoves = []; // { index, fen, san } of moves only the tablebase found
+    let length = solutionLine.length;
+    let rootProbe = null;
+    let probed = false;
+
+    for (let i = 0; i < solutionLine.length; i++) {
+      const probe = i % 2 === 0 ? await tablebaseService.probe(chess.fen()) : null;
+      if (probe) {
+        const keeping = defensive ? [...probe.winningMoves, ...probe.drawingMoves] : probe.winningMoves;
+        const proven = keeping.includes(solutionLine[i].san) && (!defensive || i > 0 || keeping.length === 1);
+        if (!proven) {
+          if (i === 0) return null;
+          length = i - 1; // end on the solver's previous move
+          break;
+        }
+        probed = true;
+        if (i === 0) rootProbe = probe;
+
+        const known = new Set([solutionLine[i].uci, ...verifiedAlternatives[i].map(alternative => alternative.uciMoves[0])]);
+        for (const san of keeping) {
+          const move = uciConverter.convertSanLine(chess.fen(), [san])[0];
+          if (!move || known.has(move.uci)) continue;
+          known.add(move.uci);
+          tablebaseMoves.push({ index: i, fen: chess.fen(), san: move.san });
+        }
+      }
+      if (!uciConverter.playMove(chess, solutionLine[i].san)) break;
+    }
+
+    if (!probed) return unverified;
+
+    // Moves that cannot be played out as far as the solution are left out
+    for (const { index, fen: plyFen, san } of tablebaseMoves) {
+      if (index >= length || verifiedAlternatives[index].length >= alternatives[index].length + MAX_TABLEBASE_ALTERNATIVES) continue;
+      const alternative = await this.extendTablebaseLine(plyFen, san, length - index, { defensive });
+      if (alternative) verifiedAlternatives[index].push(alternative);
+    }
+    // A shortened solution also shortens the engine alternatives kept with it
+    return {
+      line: solutionLine.slice(0, length),
+      alternatives: verifiedAlternatives.slice(0, length).map((list, index) => list.map(alternative => ({
+        ...alternative,
+        moves: alternative.moves.slice(0, length - index),
+        uciMoves: alternative.uciMoves.slice(0, length - index)
+      }))),
+      tablebase: rootProbe ? { wdl: rootProbe.wdl, dtz: rootProbe.dtz, proven: true } : { proven: true }
+    };
+  }
+
+  /**
+   * Play a tablebase move out to `plies` plies: the opponent replies with the
+   * engine's move and the solver keeps playing tablebase moves that keep the
+   * result, the engine's choice among them when it is one. The line ends early
+   * only on checkmate.
+   * @returns {Promise<{ moves, uciMoves, tablebase: true }|null>}
+   */
+  async extendTablebaseLine(fen, firstMove, plies, { defensive = false } = {}) {
+    const chess = createBoard(fen);
+    const first = uciConverter.playMove(chess, firstMove);
+    if (!first) return null;
+    const line = [first];
+
+    try {
+      while (line.length < plies && !chess.isCheckmate()) {
+        if (chess.isGameOver()) return null;
+
+        const reply = await this.findReply(chess.fen());
+        const replyMove = reply && uciConverter.playMove(chess, uciConverter.parseUci(reply));
+        if (!replyMove) return null;
+        line.push(replyMove);
+
+        const probe = await tablebaseService.probe(chess.fen());
+        const keeping = probe ? (defensive ? [...probe.winningMoves, ...probe.drawingMoves] : probe.winningMoves) : [];
+        if (keeping.length === 0) return null;
+
+        const analysis = await this.stockfishService.analyzePosition(chess.fen(), EXTENSION_DEPTH, EXTENSION_MOVETIME);
+        const bestMove = analysis.bestMove && uciConverter.convertMove(chess.fen(), analysis.bestMove);
+        const solverMove = uciConverter.playMove(chess, bestMove && keeping.includes(bestMove.san) ? bestMove.san : keeping[0]);
+        if (!solverMove) return null;
+        line.push(solverMove);
+      }
+    } catch (error) {
+      console.error('Error playing out tablebase alternative:', error.message);
+      return null;
+    }
+
+    return {
+      moves: line.map(move => move.san),
+      uciMoves: line.map(move => move.from + move.to + (move.promotion || '')),
+      tablebase: true
+    };
+  }
+
+  /**
+   * Create puzzle position: the position just before the opponent's mistake.
+   * The mistake is returned as `setupMove` and auto-played by the solver, so the
+   * first solver move is the refutation found at the tactical position.
    */
   async createPuzzlePosition(position, gameData) {
     try {
-      // Check if this is a Chess960 game
-      const isChess960 = gameData.rules === 'chess960' || 
-                        gameData.pgn.includes('[Variant "Chess960"]') ||
-                        position.isChess960;
-      
-      // Use Chess960 variant if needed
-      const chess = isChess960 ? new Chess({ variant: 'chess960' }) : new Chess();
-      chess.loadPgn(gameData.pgn);
+      const { startFen, isChess960 } = this.getGameStart(gameData);
       
       // Get the move history as strings (not verbose objects)
-      const history = chess.history();
-      
-      // Go back 1-2 moves from the tactical position
-      const movesBack = Math.min(2, position.moveNumber);
-      const targetMoveNumber = position.moveNumber - movesBack;
-      
-      // Reset and replay to the target position
-      chess.reset();
+      const history = loadGame(gameData.pgn).history();
       
+      // The opponent's mistake is the move that led to the tactical position
+      const setupIndex = position.moveNumber - 1;
+      if (setupIndex < 0 || setupIndex >= history.length) {
+        return null;
+      }
       
+      // Replay from the game's start position to the position before the setup move
+      const chess = createBoard(startFen);
       
-      // Replay moves up to the target position and collect the truncated history
       const truncatedHistory = [];
-      for (let i = 0; i < targetMoveNumber && i < history.length; i++) {
+      for (let i = 0; i < setupIndex; i++) {
         const move = history[i];
-        if (move) {
-          try {
-            const result = chess.move(move);
-            if (!result) {
-              console.error('DEBUG createPuzzlePosition: Invalid move at index', i, 'move:', move, 'FEN:', chess.fen());
-              break;
-            }
-            truncatedHistory.push(move);
-          } catch (moveError) {
-            console.error('DEBUG createPuzzlePosition: Error replaying move', i, 'move:', move, 'error:', moveError.message);
-            break;
+        try {
+          const result = chess.move(move);
+          if (!result) {
+            console.error('DEBUG createPuzzlePosition: Invalid move at index', i, 'move:', move, 'FEN:', chess.fen());
+            return null;
           }
+          truncatedHistory.push(move);
+        } catch (moveError) {
+          console.error('DEBUG createPuzzlePosition: Error replaying move', i, 'move:', move, 'error:', moveError.message);
+          return null;
         }
       }
       
-      
+      const fen = chess.fen();
+      const setup = uciConverter.playMove(chess, history[setupIndex]);
+      if (!setup) {
+        return null;
+      }
       
       return {
-        fen: chess.fen(),
-        moveNumber: targetMoveNumber,
-        moveHistory: truncatedHistory, // Return the truncated history
+        fen,
+        moveNumber: setupIndex,
+        moveHistory: truncatedHistory, // Moves played before the setup move
+        setupMove: { san: setup.san, uci: uciConverter.toUci(setup) },
+        tacticalFen: chess.fen(),
+        playedMove: history[position.moveNumber] || null, // the game's move at the tactical position
         isChess960: isChess960
       };
     } catch (error) {
@@ -663,60 +1477,24 @@ class PuzzleGenerator {
   }
 
   /**
-   * Determine the tactical theme of the position
-   * Now returns a more descriptive, human-friendly string.
-   * Tries to pull theme from game data if available, else uses heuristics.
+   * Determine the puzzle's theme tags
+   * Themes supplied with the game come first, followed by the motifs found in
+   * the solution line.
    */
-  determineTacticalTheme(analysis, position, gameData) {
-    // Try to pull theme from chess.com or lichess data if available
-    if (gameData && gameData.themes && Array.isArray(gameData.themes) && gameData.themes.length > 0) {
-      // Use the first available theme, or join multiple
-      return gameData.themes.map(t => this.humanizeTheme(t)).join(', ');
+  determineThemes(puzzlePosition, solutionMoves, gameData) {
+    const provided = [];
+    if (gameData && Array.isArray(gameData.themes)) {
+      provided.push(...gameData.themes);
     }
     if (gameData && gameData.pgn && gameData.pgn.includes('[Theme ')) {
       // Try to extract [Theme "..."] from PGN
       const match = gameData.pgn.match(/\[Theme "([^"]+)"\]/);
-      if (match && match[1]) return this.humanizeTheme(match[1]);
-    }
-    // Fallback: use evaluation and tactical type
-    const absEval = Math.abs(analysis.evaluation);
-    if (absEval >= 5.0) {
-      return 'Checkmate opportunity (find the mate)';
-    } else if (absEval >= 3.0) {
-      return 'Winning combination (gain decisive material or advantage)';
-    } else if (absEval >= 2.0) {
-      return 'Tactical advantage (win material or create a threat)';
-    } else if (absEval >= 1.0) {
-      return 'Positional advantage (improve your position or restrict opponent)';
-    } else {
-      return 'Tactical opportunity (spot the idea)';
-    }
-  }
-
-  /**
-   * Helper: Convert short theme codes to human-friendly text
-   */
-  humanizeTheme(theme) {
-    const map = {
-      mate: 'Checkmate opportunity',
-      fork: 'Fork tactic',
-      skewer: 'Skewer tactic',
-      pin: 'Pin tactic',
-      double_attack: 'Double attack',
-      discovered_attack: 'Discovered attack',
-      defensive: 'Defensive maneuver',
-      promotion: 'Promotion tactic',
-      zugzwang: 'Zugzwang',
-      stalemate: 'Stalemate resource',
-      perpetual: 'Perpetual check',
-      sacrifice: 'Sacrifice tactic',
-      winning_combination: 'Winning combination',
-      tactical_advantage: 'Tactical advantage',
-      positional_advantage: 'Positional advantage',
-      tactical_opportunity: 'Tactical opportunity',
-      // Add more as needed
-    };
-    return map[theme] || theme.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+      if (match && match[1]) provided.push(match[1]);
+    }
+
+    const motifs = motifDetector.detectMotifs(puzzlePosition.tacticalFen, solutionMoves, puzzlePosition.setupMove);
+    const themes = [...new Set([...provided.map(t => t.trim().toLowerCase().replace(/\s+/g, '_')), ...motifs])];
+    return themes.length > 0 ? themes : ['tactical_opportunity'];
   }
 
   /**
@@ -741,12 +1519,25 @@ class PuzzleGenerator {
   }
 
   /**
-   * Helper: Determine game phase from move number
+   * Helper: Determine game phase, the endgame from the material on the board
    */
-  static getGamePhase(moveNumber) {
+  static getGamePhase(moveNumber, fen) {
+    if (fen && PuzzleGenerator.isEndgame(fen)) return 'endgame';
     if (moveNumber < 10) return 'early game';
-    if (moveNumber < 30) return 'middlegame';
-    return 'endgame';
+    return 'middlegame';
+  }
+
+  /**
+   * Whether neither side has more than ENDGAME_MAX_MATERIAL in pieces other
+   * than pawns and the king
+   */
+  static isEndgame(fen) {
+    const material = { w: 0, b: 0 };
+    for (const char of fen.split(' ')[0]) {
+      const value = ENDGAME_PIECE_VALUES[char.toLowerCase()];
+      if (value) material[char === char.toUpperCase() ? 'w' : 'b'] += value;
+    }
+    return material.w <= ENDGAME_MAX_MATERIAL && material.b <= ENDGAME_MAX_MATERIAL;
   }
 
   /**
@@ -756,7 +1547,7 @@ class PuzzleGenerator {
     const player = puzzle.gameContext.player === 'w' ? 'White' : 'Black';
     const lastMove = PuzzleGenerator.parseSan(puzzle.lastMove);
     const firstSolutionMove = PuzzleGenerator.parseSan(puzzle.solution.moves[0]);
-    const phase = PuzzleGenerator.getGamePhase(puzzle.gameContext.moveNumber);
+    const phase = PuzzleGenerator.getGamePhase(puzzle.gameContext.moveNumber, puzzle.position);
     
     // Get player usernames from game data if available
     const whitePlayer = puzzle.gameData?.white || 'White';
@@ -879,7 +1670,42 @@ class PuzzleGenerator {
    */
   generateExplanation(analysis, theme, position, lastMove, puzzleMoveNumber, playerColor, bestMoveSan, puzzleObj) {
     // Use the new dynamic explanation generator
-    return PuzzleGenerator.generateDynamicExplanation(puzzleObj);
+    const explanation = PuzzleGenerator.generateDynamicExplanation(puzzleObj);
+    const { mateIn } = puzzleObj.solution;
+    if (mateIn) {
+      return { ...explanation, clue: `There is a forced mate in ${mateIn}. Find it.` };
+    }
+    if (!position.isDefensive) return explanation;
+
+    return {
+      ...explanation,
+      clue: 'Every move but one loses here. Find the move that holds.',
+      stakes: PuzzleGenerator.describeStakes(puzzleObj.solution.moves[0], position.stakes, puzzleObj.gameContext.originalMove)
+    };
+  }
+
+  /**
+   * Explain what a defensive puzzle's only move saves
+   * @param {Object} stakes - from getStakes
+   * @param {string} [gameMove] - the move played in the game, when stakes has none
+   */
+  static describeStakes(onlyMove, stakes, gameMove) {
+    const describeScore = (score, mate) => {
+      if (mate) return `allows mate in ${mate}`;
+      if (score <= -MATE_SCORE) return 'allows a forced mate';
+      if (score <= -MAX_CENTIPAWNS) return 'leaves a lost position';
+      return `leaves you ${(-score / 100).toFixed(1)} pawns down`;
+    };
+
+    const sentences = [
+      `${onlyMove} is the only move that holds. Every other move loses: the best of them ${describeScore(stakes.otherScore, stakes.otherMate)}.`
+    ];
+    if (stakes.playedMove && stakes.playedMove !== onlyMove) {
+      sentences.push(`The game's ${stakes.playedMove} ${describeScore(stakes.playedScore)}.`);
+    } else if (gameMove && gameMove !== onlyMove) {
+      sentences.push(`In the game ${gameMove} was played instead.`);
+    }
+    return sentences.join(' ');
   }
 
   /**
@@ -907,6 +1733,18 @@ class PuzzleGenerator {
     const evalSwing = Math.abs(puzzle.solution && puzzle.solution.evaluation ? puzzle.solution.evaluation : 0);
     const firstMove = moves[0] || '';
     const isSimpleFirstMove = firstMove.includes('x') || firstMove.includes('+');
+
+    // Only-move defence: every other move loses, so even a one-move solution is medium
+    if ((puzzle.themes || []).includes(DEFENSIVE_THEME)) {
+      return Math.min(5, 3 + (isSimpleFirstMove ? 0 : 1) + (moves.length >= 3 ? 1 : 0));
+    }
+
+    // Forced mates: every extra move to see is a step up, and a quiet key move another
+    const mateIn = puzzle.solution && puzzle.solution.mateIn;
+    if (mateIn) {
+      return Math.min(5, 2 + mateIn + (mateIn > 1 && !isSimpleFirstMove ? 1 : 0));
+    }
+
     let difficulty = 1; // Default to very easy
 
     // 5 stars: 6+ moves, eval swing >= 7, first move NOT a capture or check
@@ -931,39 +1769,8 @@ class PuzzleGenerator {
     // Clamp to 1-5
     return Math.max(1, Math.min(5, difficulty));
   }
-
-  // --- Motif detection using chess.js ---
-  detectMotif(puzzle) {
-    const moves = puzzle.solution && puzzle.solution.moves ? puzzle.solution.moves : [];
-    if (moves.length === 0 || !puzzle.position) return 'unknown';
-    const chess = new Chess(puzzle.position);
-    const firstMove = moves[0];
-    let motif = 'unknown';
-    // Play the first move
-    const moveObj = chess.move(firstMove, { sloppy: true });
-    if (!moveObj) return 'unknown';
-    // Check for mate
-    if (chess.in_checkmate()) return 'mate';
-    // Check for double check
-    if (chess.in_check() && chess.moves({ verbose: true }).some(m => m.flags.includes('c'))) {
-      motif = 'double_check';
-    }
-    // Check for fork (move attacks two or more pieces)
-    const attacked = chess.SQUARES.filter(sq => {
-      const attackers = chess.attacks(sq);
-      return attackers && attackers.length > 0 && chess.get(sq) && chess.get(sq).color !== chess.turn();
-    });
-    if (attacked.length >= 2) motif = 'fork';
-    // Check for pin/skewer (simple: see if any piece is pinned)
-    // chess.js does not have direct pin detection, so skip for now
-    // Check for discovered attack (move uncovers an attack)
-    // Not trivial in chess.js, so skip for now
-    // If move is not a check/capture, call it 'quiet'
-    if (!moveObj.flags.includes('c') && !moveObj.san.includes('+') && !moveObj.san.includes('x')) {
-      motif = 'quiet';
-    }
-    return motif;
-  }
 }
 
-module.exports = PuzzleGenerator; 
\ No newline at end of file
+module.exports = PuzzleGenerator;
+module.exports.PERSPECTIVES = PERSPECTIVES;
+module.exports.MAX_MATE_IN = MAX_MATE_IN; 
\ No newline at end of file
@@ -1,108 +1,377 @@
 const stockfish = require('stockfish');
+const os = require('os');
+const { createBoard, needsChess960 } = require('./chess960');
 
-class StockfishService {
-  constructor() {
+// How long a worker may take to acknowledge "stop" before it is restarted
+const STOP_GRACE_PERIOD = 2000;
+// Delay before retrying a failed restart, doubled after every failure up to the maximum
+const RESTART_RETRY_DELAY = 1000;
+const MAX_RESTART_RETRY_DELAY = 60000;
+
+/**
+ * A single Stockfish engine that runs one analysis job at a time
+ */
+class EngineWorker {
+  constructor(id) {
+    this.id = id;
     this.engine = null;
     this.isReady = false;
-    this.analysisQueue = [];
-    this.isAnalyzing = false;
+    this.job = null;
+    this.stopTimer = null;
+    this.restartTimer = null;
+    this.onIdle = null;
   }
 
   /**
-   * Initialize the Stockfish engine
+   * Start the engine and wait for it to report ready
    */
   async initialize() {
     return new Promise((resolve, reject) => {
       try {
         this.engine = stockfish();
-        
-        this.engine.onmessage = (event) => {
-          const message = event.data;
-          
-          if (message === 'uciok') {
-            this.engine.postMessage('isready');
-          } else if (message === 'readyok') {
-            this.isReady = true;
-            console.log('✅ Stockfish engine ready');
-            resolve();
-          }
-        };
 
-        this.engine.postMessage('uci');
-        
-        // Timeout after 10 seconds
-        setTimeout(() => {
+        const timeout = setTimeout(() => {
           if (!this.isReady) {
             reject(new Error('Stockfish initialization timeout'));
           }
         }, 10000);
+
+        this.engine.onmessage = (event) => {
+          const message = typeof event === 'string' ? event : event.data;
+
+          if (!this.isReady) {
+            if (message === 'uciok') {
+              this.engine.postMessage('isready');
+            } else if (message === 'readyok') {
+              clearTimeout(timeout);
+              this.isReady = true;
+              resolve();
+            }
+            return;
+          }
+
+          this.handleMessage(message);
+        };
+
+        this.engine.postMessage('uci');
       } catch (error) {
         reject(error);
       }
     });
   }
 
+  get isBusy() {
+    return this.job !== null;
+  }
+
+  /**
+   * Run an analysis job. The job settles its own promise; the worker only
+   * becomes idle again once the engine has sent "bestmove".
+   */
+  run(job) {
+    this.job = job;
+    job.worker = this;
+    job.state = 'running';
+
+    job.runTimer = setTimeout(() => job.finish('timeout'), job.movetime + 1000);
+
+    this.engine.postMessage(`setoption name MultiPV value ${job.multiPv}`);
+    // Chess960 castling rights only parse, and castling is only played king-takes-rook, in 960 mode
+    this.engine.postMessage(`setoption name UCI_Chess960 value ${needsChess960(job.fen)}`);
+    this.engine.postMessage(`position fen ${job.fen}`);
+    this.engine.postMessage(`go depth ${job.depth} movetime ${job.movetime}`);
+  }
+
+  /**
+   * Ask the engine to stop searching. If it does not answer in time the
+   * engine is restarted so the worker cannot get stuck.
+   */
+  stop() {
+    if (!this.job || this.stopTimer) return;
+
+    this.engine.postMessage('stop');
+    this.stopTimer = setTimeout(() => {
+      console.warn(`⚠️ Stockfish worker ${this.id} did not stop, restarting`);
+      this.restart();
+    }, STOP_GRACE_PERIOD);
+  }
+
+  handleMessage(message) {
+    const job = this.job;
+    if (!job) return;
+
+    if (message.startsWith('bestmove')) {
+      job.bestMove = message.split(' ')[1];
+      job.finish('completed');
+      this.release();
+    } else if (message.startsWith('info')) {
+      job.onInfo(message);
+    }
+  }
+
+  release() {
+    clearTimeout(this.stopTimer);
+    this.stopTimer = null;
+    this.job = null;
+    if (this.onIdle) this.onIdle(this);
+  }
+
+  /**
+   * Replace the engine. A failed restart is retried with backoff so the
+   * worker does not drop out of the pool for good.
+   */
+  async restart(retryDelay = RESTART_RETRY_DELAY) {
+    const job = this.job;
+    this.terminate();
+    if (job) job.finish('timeout');
+
+    try {
+      await this.initialize();
+    } catch (error) {
+      console.error(`Failed to restart Stockfish worker ${this.id}, retrying in ${retryDelay / 1000}s:`, error.message);
+      this.restartTimer = setTimeout(() => {
+        this.restart(Math.min(retryDelay * 2, MAX_RESTART_RETRY_DELAY));
+      }, retryDelay);
+      return;
+    }
+    this.release();
+  }
+
+  terminate() {
+    clearTimeout(this.stopTimer);
+    clearTimeout(this.restartTimer);
+    this.stopTimer = null;
+    this.restartTimer = null;
+    this.job = null;
+    if (this.engine) {
+      this.engine.postMessage('quit');
+      this.engine = null;
+    }
+    this.isReady = false;
+  }
+}
+
+/**
+ * Pool of Stockfish engines with a FIFO job queue.
+ * Each engine runs one job at a time, so concurrent requests never share
+ * an engine's message handler.
+ */
+class StockfishService {
+  constructor() {
+    this.workers = [];
+    this.isReady = false;
+    this.analysisQueue = [];
+    this.queueWaiters = []; // callers waiting for room in a full queue
+    this.initPromise = null;
+    this.nextJobId = 1;
+  }
+
+  /**
+   * Initialize the engine pool
+   * Pool size and queue length come from STOCKFISH_POOL_SIZE and STOCKFISH_MAX_QUEUE.
+   */
+  async initialize() {
+    if (this.isReady) return;
+    if (this.initPromise) return this.initPromise;
+
+    const poolSize = parseInt(process.env.STOCKFISH_POOL_SIZE) || Math.max(1, Math.min(4, os.cpus().length - 1));
+    this.maxQueueSize = parseInt(process.env.STOCKFISH_MAX_QUEUE) || 500;
+
+    this.initPromise = (async () => {
+      const workers = Array.from({ length: poolSize }, (_, i) => new EngineWorker(i + 1));
+      const results = await Promise.allSettled(workers.map(worker => worker.initialize()));
+
+      this.workers = workers.filter((_, i) => results[i].status === 'fulfilled');
+      if (this.workers.length === 0) {
+        throw results[0].reason || new Error('Stockfish initialization failed');
+      }
+
+      this.workers.forEach(worker => {
+        worker.onIdle = () => this.dispatch();
+      });
+      this.isReady = true;
+      console.log(`✅ Stockfish pool ready (${this.workers.length} engine${this.workers.length === 1 ? '' : 's'})`);
+    })();
+
+    try {
+      await this.initPromise;
+    } finally {
+      this.initPromise = null;
+    }
+  }
+
   /**
    * Analyze a position with Stockfish
+   * Options:
+   * - multiPv: number of principal variations to report in `lines` (default 1)
+   * - timeout: total time in ms the caller is willing to wait, including time in the queue
+   * - signal: AbortSignal used to cancel the request
+   * When the queue is full the request waits for room instead of failing.
    */
-  async analyzePosition(fen, depth = 15, movetime = 5000) {
+  async analyzePosition(fen, depth = 15, movetime = 5000, options = {}) {
     if (!this.isReady) {
       await this.initialize();
     }
 
-    return new Promise((resolve, reject) => {
-      let bestMove = null;
-      let evaluation = null;
-      let pv = [];
-      let analysisComplete = false;
-
-      const timeout = setTimeout(() => {
-        if (!analysisComplete) {
-          analysisComplete = true;
-          resolve({
+    const requestedAt = Date.now();
+    while (this.analysisQueue.length >= this.maxQueueSize) {
+      await new Promise((resolve, reject) => this.queueWaiters.push({ resolve, reject }));
+    }
+    if (options.timeout) {
+      options = { ...options, timeout: Math.max(1, options.timeout - (Date.now() - requestedAt)) };
+    }
+
+    const job = this.createJob(fen, depth, movetime, options);
+    this.analysisQueue.push(job);
+    this.dispatch();
+    return job.promise;
+  }
+
+  /**
+   * Build a job object that owns its promise, timers and partial results
+   */
+  createJob(fen, depth, movetime, { multiPv = 1, timeout, signal } = {}) {
+    const job = {
+      id: this.nextJobId++,
+      fen,
+      depth,
+      movetime,
+      multiPv,
+      state: 'queued',
+      worker: null,
+      bestMove: null,
+      evaluation: null,
+      mate: null,
+      pv: [],
+      lines: new Map()
+    };
+
+    job.promise = new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(job.runTimer);
+        clearTimeout(job.totalTimer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+
+      job.finish = (outcome) => {
+        if (job.state === 'done') return;
+
+        const wasRunning = job.state === 'running';
+        job.state = 'done';
+        cleanup();
+
+        if (outcome === 'cancelled') {
+          const error = new Error('Analysis cancelled');
+          error.name = 'AbortError';
+          reject(error);
+        } else {
+          const result = {
             fen,
-            bestMove,
-            evaluation,
-            pv,
-            depth: 'timeout',
-            error: 'Analysis timeout'
-          });
+            bestMove: job.bestMove,
+            evaluation: job.evaluation,
+            mate: job.mate, // moves to mate for the side to move (negative when it is mated), or null
+            pv: job.pv,
+            lines: [...job.lines.values()].sort((a, b) => a.multipv - b.multipv),
+            depth: outcome
+          };
+          if (outcome === 'timeout') result.error = 'Analysis timeout';
+          resolve(result);
         }
-      }, movetime + 1000);
-
-      this.engine.onmessage = (event) => {
-        const message = event.data;
-        
-        if (message.startsWith('bestmove')) {
-          clearTimeout(timeout);
-          analysisComplete = true;
-          
-          const parts = message.split(' ');
-          bestMove = parts[1];
-          
-          resolve({
-            fen,
-            bestMove,
-            evaluation,
-            pv,
-            depth: 'completed'
-          });
-        } else if (message.startsWith('info')) {
-          // Parse evaluation info
-          const info = this.parseInfoMessage(message);
+
+        // Free the engine; its late "bestmove" will release the worker
+        if (outcome !== 'completed' && wasRunning && job.worker) {
+          job.worker.stop();
+        }
+        this.removeFromQueue(job);
+      };
+
+      job.onInfo = (message) => {
+        const info = this.parseInfoMessage(message);
+        const multipv = info.multipv || 1;
+
+        if (multipv === 1) {
           if (info.evaluation !== undefined) {
-            evaluation = info.evaluation;
+            job.evaluation = info.evaluation;
+            job.mate = info.mate !== undefined ? info.mate : null;
           }
           if (info.pv) {
-            pv = info.pv;
+            job.pv = info.pv;
           }
         }
+
+        if (info.evaluation !== undefined && info.pv) {
+          job.lines.set(multipv, {
+            multipv,
+            evaluation: info.evaluation,
+            mate: info.mate,
+            depth: info.depth,
+            pv: info.pv
+          });
+        }
       };
 
-      // Send analysis command
-      this.engine.postMessage(`position fen ${fen}`);
-      this.engine.postMessage(`go depth ${depth} movetime ${movetime}`);
+      const onAbort = () => job.finish('cancelled');
+
+      if (signal) {
+        if (signal.aborted) {
+          onAbort();
+          return;
+        }
+        signal.addEventListener('abort', onAbort);
+      }
+
+      if (timeout) {
+        job.totalTimer = setTimeout(() => job.finish('timeout'), timeout);
+      }
     });
+
+    return job;
+  }
+
+  /**
+   * Hand queued jobs to idle workers in FIFO order
+   */
+  dispatch() {
+    for (const worker of this.workers) {
+      if (worker.isBusy || !worker.isReady) continue;
+
+      let job = this.analysisQueue.shift();
+      while (job && job.state === 'done') {
+        job = this.analysisQueue.shift();
+      }
+      if (!job) return;
+      this.wakeQueueWaiter();
+      worker.run(job);
+    }
+  }
+
+  removeFromQueue(job) {
+    const index = this.analysisQueue.indexOf(job);
+    if (index !== -1) {
+      this.analysisQueue.splice(index, 1);
+      this.wakeQueueWaiter();
+    }
+  }
+
+  /**
+   * Let the longest-waiting caller try again now that a queue slot is free
+   */
+  wakeQueueWaiter() {
+    const waiter = this.queueWaiters.shift();
+    if (waiter) waiter.resolve();
+  }
+
+  /**
+   * Current pool usage, for health checks and logging
+   */
+  getStatus() {
+    return {
+      isReady: this.isReady,
+      workers: this.workers.length,
+      busyWorkers: this.workers.filter(worker => worker.isBusy).length,
+      queuedJobs: this.analysisQueue.length,
+      waitingRequests: this.queueWaiters.length
+    };
   }
 
   /**
@@ -111,12 +380,16 @@ class StockfishService {
   parseInfoMessage(message) {
     const parts = message.split(' ');
     const info = {};
-    
+
     for (let i = 0; i < parts.length; i++) {
-      if (parts[i] === 'score' && i + 2 < parts.length) {
+      if (parts[i] === 'depth' && i + 1 < parts.length) {
+        info.depth = parseInt(parts[i + 1]);
+      } else if (parts[i] === 'multipv' && i + 1 < parts.length) {
+        info.multipv = parseInt(parts[i + 1]);
+      } else if (parts[i] === 'score' && i + 2 < parts.length) {
         const type = parts[i + 1];
         const value = parseInt(parts[i + 2]);
-        
+
         if (type === 'cp') {
           info.evaluation = value / 100; // Convert centipawns to pawns
         } else if (type === 'mate') {
@@ -128,7 +401,7 @@ class StockfishService {
         break;
       }
     }
-    
+
     return info;
   }
 
@@ -137,48 +410,41 @@ class StockfishService {
    */
   async findTacticalOpportunities(fen, threshold = 1.0) {
     const analysis = await this.analyzePosition(fen, 20, 10000);
-    
+
     if (!analysis.evaluation || analysis.error) {
       return null;
     }
 
     // Check if position has significant tactical advantage
     const absEval = Math.abs(analysis.evaluation);
-    
+
     if (absEval >= threshold) {
       return {
         fen,
         evaluation: analysis.evaluation,
+        mate: analysis.mate,
         bestMove: analysis.bestMove,
         pv: analysis.pv,
         isTactical: true,
         strength: absEval >= 3.0 ? 'strong' : absEval >= 2.0 ? 'medium' : 'weak'
       };
     }
-    
+
     return null;
   }
 
   /**
-   * Analyze multiple positions in sequence
+   * Analyze multiple positions; the pool runs them in parallel
    */
   async analyzePositions(fenList, depth = 15) {
-    const results = [];
-    
-    for (const fen of fenList) {
+    return Promise.all(fenList.map(async (fen) => {
       try {
-        const analysis = await this.analyzePosition(fen, depth, 3000);
-        results.push(analysis);
-        
-        // Small delay to prevent overwhelming the engine
-        await new Promise(resolve => setTimeout(resolve, 100));
+        return await this.analyzePosition(fen, depth, 3000);
       } catch (error) {
         console.error(`Error analyzing position ${fen}:`, error);
-        results.push({ fen, error: error.message });
+        return { fen, error: error.message };
       }
-    }
-    
-    return results;
+    }));
   }
 
   /**
@@ -186,7 +452,7 @@ class StockfishService {
    */
   async evaluateMove(fen, move) {
     const analysis = await this.analyzePosition(fen, 15, 3000);
-    
+
     if (analysis.bestMove === move) {
       return {
         move,
@@ -194,15 +460,14 @@ class StockfishService {
         evaluation: analysis.evaluation
       };
     }
-    
+
     // Analyze the position after the move
-    const { Chess } = require('chess.js');
-    const chess = new Chess(fen);
-    
+    const chess = createBoard(fen);
+
     try {
       chess.move(move);
       const newAnalysis = await this.analyzePosition(chess.fen(), 15, 3000);
-      
+
       return {
         move,
         isBest: false,
@@ -219,15 +484,25 @@ class StockfishService {
   }
 
   /**
-   * Clean up engine resources
+   * Clean up engine resources, cancelling anything still queued or running
    */
   terminate() {
-    if (this.engine) {
-      this.engine.postMessage('quit');
-      this.engine = null;
-      this.isReady = false;
-    }
+    this.queueWaiters.forEach(({ reject }) => {
+      const error = new Error('Analysis cancelled');
+      error.name = 'AbortError';
+      reject(error);
+    });
+    this.queueWaiters = [];
+    [...this.analysisQueue].forEach(job => job.finish('cancelled'));
+    this.analysisQueue = [];
+    this.workers.forEach(worker => {
+      if (worker.job) worker.job.finish('cancelled');
+      worker.terminate();
+    });
+    this.workers = [];
+    this.isReady = false;
   }
 }
 
-module.exports = StockfishService; 
\ No newline at end of file
+// Export a shared pool so every route analyzes through the same engines
+module.exports = new StockfishService();
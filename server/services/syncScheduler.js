@@ -0,0 +1,115 @@
+const importWorker = require('./importWorker');
+const importJobModel = require('../models/ImportJob');
+const syncRunModel = require('../models/SyncRun');
+const userModel = require('../models/User');
+
+const CHECK_INTERVAL = 5 * 60 * 1000; // ms between looks for users that are due
+const DEFAULT_SYNC_INTERVAL_MINUTES = 360;
+
+// Import settings for synced profiles (only games since the last sync are fetched)
+const SYNC_MAX_GAMES = 20;
+const SYNC_MAX_PUZZLES = 5;
+
+/**
+ * Periodically imports new games from the tracked profiles of every user
+ * with `preferences.autoAnalysis` on. Each run queues one import job per
+ * tracked profile and is recorded in the user's sync log. The tier decides
+ * how many linked profiles are tracked.
+ *
+ * AUTO_SYNC_INTERVAL_MINUTES sets how often a user is synced (default 6 hours,
+ * 0 turns the scheduler off).
+ */
+class SyncScheduler {
+  constructor() {
+    this.timer = null;
+    this.checking = false;
+  }
+
+  /**
+   * Minutes between syncs of one user
+   */
+  getSyncInterval() {
+    const minutes = parseInt(process.env.AUTO_SYNC_INTERVAL_MINUTES ?? DEFAULT_SYNC_INTERVAL_MINUTES);
+    return Number.isNaN(minutes) ? DEFAULT_SYNC_INTERVAL_MINUTES : minutes;
+  }
+
+  start() {
+    if (this.getSyncInterval() <= 0) {
+      console.log('⏸️ Auto-sync is disabled');
+      return;
+    }
+    this.timer = setInterval(() => this.checkDueUsers(), CHECK_INTERVAL);
+    this.timer.unref();
+    this.checkDueUsers();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Sync every user that has auto-analysis on and is due
+   */
+  async checkDueUsers() {
+    if (this.checking) return;
+    this.checking = true;
+    try {
+      const users = await userModel.getAllUsers();
+      for (const user of users) {
+        if (!user.preferences || !user.preferences.autoAnalysis) continue;
+        if (userModel.getTrackedProfileLimit(user) === 0) continue;
+        if (await this.isDue(user)) {
+          await this.syncUser(user, 'scheduled');
+        }
+      }
+    } catch (error) {
+      console.error('❌ Auto-sync check failed:', error.message);
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Whether the user's last sync is older than the interval and finished
+   */
+  async isDue(user) {
+    const lastRun = await syncRunModel.getLatestRun(user.id);
+    if (!lastRun) return true;
+
+    const elapsed = Date.now() - new Date(lastRun.startedAt).getTime();
+    if (elapsed < this.getSyncInterval() * 60 * 1000) return false;
+
+    const { status } = await syncRunModel.describeRun(lastRun);
+    return status !== 'running';
+  }
+
+  /**
+   * Queue an import of every tracked profile of the user and log the run
+   * @param {string} trigger - 'scheduled' or 'manual'
+   */
+  async syncUser(user, trigger) {
+    const { tracked, skipped } = userModel.getTrackedProfiles(user);
+
+    const profiles = [];
+    for (const { platform, username } of tracked) {
+      const job = await importJobModel.createJob({
+        userId: user.id,
+        params: {
+          platform: platform === 'lichess' ? 'lichess.org' : 'chess.com',
+          username,
+          maxGames: SYNC_MAX_GAMES,
+          maxPuzzles: SYNC_MAX_PUZZLES,
+          perspective: 'mine'
+        }
+      });
+      importWorker.enqueue(job.id);
+      profiles.push({ platform, username, jobId: job.id });
+    }
+
+    console.log(`🔄 ${trigger === 'manual' ? 'Manual' : 'Scheduled'} sync of ${profiles.length} profile(s) for ${user.username}`);
+    return syncRunModel.createRun({ userId: user.id, trigger, profiles, skipped });
+  }
+}
+
+module.exports = new SyncScheduler();
@@ -0,0 +1,121 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const { Chess } = require('chess.js');
+const uciConverter = require('./uciConverter');
+
+const MAX_PIECES = 7; // largest Syzygy tables, kings included
+const PROBE_TIMEOUT = 5000; // ms
+
+// Fathom's names for the result of a position, from the side to move's point of view
+const WDL_NAMES = {
+  win: 'win',
+  cursedwin: 'cursed_win', // a win the 50-move rule turns into a draw
+  draw: 'draw',
+  blessedloss: 'blessed_loss',
+  loss: 'loss'
+};
+
+/**
+ * Probes a local Syzygy tablebase (SYZYGY_PATH, any subset of the 3-7 piece
+ * tables) with the Fathom command line prober (FATHOM_PATH, default `fathom`).
+ * Without SYZYGY_PATH every probe returns null.
+ */
+class TablebaseService {
+  constructor() {
+    this.warned = false;
+  }
+
+  get tablesPath() {
+    return process.env.SYZYGY_PATH || null;
+  }
+
+  isAvailable() {
+    if (!this.tablesPath) return false;
+    if (!fs.existsSync(this.tablesPath)) {
+      if (!this.warned) {
+        console.warn(`⚠️ Syzygy tables not found at ${this.tablesPath}, endgames are not tablebase-verified`);
+        this.warned = true;
+      }
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Pieces on the board, kings and pawns included
+   */
+  countPieces(fen) {
+    return fen.split(' ')[0].replace(/[^a-zA-Z]/g, '').length;
+  }
+
+  /**
+   * Whether a position is small enough for the tables (Syzygy has no castling)
+   */
+  canProbe(fen) {
+    const castling = fen.split(' ')[2];
+    return this.isAvailable() && this.countPieces(fen) <= MAX_PIECES && (!castling || castling === '-');
+  }
+
+  /**
+   * Probe a position. The moves are split by what they keep for the side to
+   * move, in SAN. Returns null when the position is not in the local tables.
+   * @returns {Promise<{ wdl: string, dtz: number|null, winningMoves: Array<string>, drawingMoves: Array<string>, losingMoves: Array<string> }|null>}
+   */
+  async probe(fen) {
+    if (!this.canProbe(fen)) return null;
+
+    let output;
+    try {
+      output = await new Promise((resolve, reject) => {
+        execFile(process.env.FATHOM_PATH || 'fathom', [`--path=${this.tablesPath}`, fen], { timeout: PROBE_TIMEOUT }, (error, stdout) => {
+          if (error) reject(error);
+          else resolve(stdout);
+        });
+      });
+    } catch (error) {
+      // Fathom exits with an error for positions missing from the tables
+      return null;
+    }
+
+    return this.parseProbe(fen, output);
+  }
+
+  /**
+   * Read Fathom's PGN output: the WDL, DTZ, WinningMoves, DrawingMoves and
+   * LosingMoves tags
+   */
+  parseProbe(fen, output) {
+    const tag = (name) => {
+      const match = output.match(new RegExp(`^\\[${name}\\s+"([^"]*)"\\]`, 'm'));
+      return match ? match[1].trim() : null;
+    };
+
+    const wdl = WDL_NAMES[(tag('WDL') || '').toLowerCase()];
+    if (!wdl) return null;
+
+    const dtz = parseInt(tag('DTZ'));
+    return {
+      wdl,
+      dtz: Number.isNaN(dtz) ? null : dtz,
+      winningMoves: this.toSan(fen, tag('WinningMoves')),
+      drawingMoves: this.toSan(fen, tag('DrawingMoves')),
+      losingMoves: this.toSan(fen, tag('LosingMoves'))
+    };
+  }
+
+  /**
+   * Turn a list of moves from Fathom into chess.js SAN, dropping any that do
+   * not replay
+   */
+  toSan(fen, list) {
+    if (!list) return [];
+    const moves = list.split(/[\s,]+/).filter(Boolean).map(token => {
+      const move = uciConverter.playMove(new Chess(fen), token) ||
+        uciConverter.playMove(new Chess(fen), uciConverter.parseUci(token.toLowerCase()));
+      return move ? move.san : null;
+    });
+    return [...new Set(moves.filter(Boolean))];
+  }
+}
+
+module.exports = new TablebaseService();
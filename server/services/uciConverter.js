@@ -0,0 +1,99 @@
+const { createBoard } = require('./chess960');
+
+/**
+ * Converts engine output (UCI long algebraic, e.g. e2e4, e7e8q) into the SAN
+ * notation used by puzzles and the solver. Every move is replayed with chess.js,
+ * so a converted line only ever contains legal moves. Chess960 castling is
+ * written king-takes-rook (e.g. f1h1), as Stockfish does with UCI_Chess960.
+ */
+class UciConverter {
+  /**
+   * Split a UCI move into chess.js move input
+   */
+  parseUci(uci) {
+    if (typeof uci !== 'string' || !/^[a-h][1-8][a-h][1-8][qrbn]?$/.test(uci)) {
+      return null;
+    }
+    return {
+      from: uci.slice(0, 2),
+      to: uci.slice(2, 4),
+      promotion: uci[4]
+    };
+  }
+
+  /**
+   * Build the UCI string for a chess.js move object
+   */
+  toUci(move) {
+    return move.from + move.to + (move.promotion || '');
+  }
+
+  /**
+   * Play a move on a board, returning the chess.js move or null if it is illegal
+   * (chess.js 1.x throws on illegal moves, older versions return null)
+   */
+  playMove(chess, input) {
+    try {
+      return chess.move(input) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Convert a single UCI move for the given position
+   * @returns {{ san: string, uci: string } | null}
+   */
+  convertMove(fen, uci) {
+    return this.convertLine(fen, [uci])[0] || null;
+  }
+
+  /**
+   * Replay a UCI principal variation from a FEN
+   * @param {string} fen - Starting position
+   * @param {Array<string>} uciMoves - Engine line in UCI notation
+   * @returns {Array<{ san: string, uci: string }>} Validated pairs, truncated at the first illegal move
+   */
+  convertLine(fen, uciMoves = []) {
+    const pairs = [];
+    let chess;
+    try {
+      chess = createBoard(fen);
+    } catch (error) {
+      return pairs;
+    }
+
+    for (const uci of uciMoves) {
+      const input = this.parseUci(uci);
+      const move = input && this.playMove(chess, input);
+      if (!move) break;
+      pairs.push({ san: move.san, uci: this.toUci(move) });
+    }
+
+    return pairs;
+  }
+
+  /**
+   * Replay a SAN line from a FEN and attach the UCI form of every move
+   * @returns {Array<{ san: string, uci: string }>} Validated pairs, truncated at the first illegal move
+   */
+  convertSanLine(fen, sanMoves = []) {
+    const pairs = [];
+    let chess;
+    try {
+      chess = createBoard(fen);
+    } catch (error) {
+      return pairs;
+    }
+
+    for (const san of sanMoves) {
+      const move = san && this.playMove(chess, san);
+      if (!move) break;
+      pairs.push({ san: move.san, uci: this.toUci(move) });
+    }
+
+    return pairs;
+  }
+}
+
+module.exports = new UciConverter();
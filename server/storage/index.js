@@ -0,0 +1,60 @@
+const MemoryStore = require('./memoryStore');
+const PostgresStore = require('./postgresStore');
+
+const ADAPTERS = {
+  memory: MemoryStore,
+  postgres: PostgresStore
+};
+
+/**
+ * Holds the storage adapter the models read and write through.
+ * STORAGE_ADAPTER picks it explicitly ('postgres' or 'memory'); otherwise
+ * PostgreSQL is used whenever DATABASE_URL is set.
+ */
+class Storage {
+  constructor() {
+    this.adapter = null;
+  }
+
+  /**
+   * Current adapter, created from the environment on first use
+   */
+  getAdapter() {
+    if (!this.adapter) {
+      const name = process.env.STORAGE_ADAPTER || (process.env.DATABASE_URL ? 'postgres' : 'memory');
+      const Adapter = ADAPTERS[name];
+      if (!Adapter) {
+        throw new Error(`Unknown storage adapter: ${name}`);
+      }
+      this.adapter = new Adapter();
+    }
+    return this.adapter;
+  }
+
+  /**
+   * Plug in a specific adapter (e.g. a fresh MemoryStore in tests)
+   */
+  setAdapter(adapter) {
+    this.adapter = adapter;
+  }
+
+  /**
+   * Prepare the adapter (runs migrations for PostgreSQL)
+   */
+  async initialize() {
+    const adapter = this.getAdapter();
+    await adapter.initialize();
+    console.log(`🗄️ Using ${adapter.name} storage`);
+    return adapter;
+  }
+
+  async close() {
+    if (this.adapter) {
+      await this.adapter.close();
+    }
+  }
+}
+
+module.exports = new Storage();
+module.exports.MemoryStore = MemoryStore;
+module.exports.PostgresStore = PostgresStore;
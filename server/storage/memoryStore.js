@@ -0,0 +1,299 @@
+/**
+ * In-memory storage adapter. Nothing survives a restart, which makes it the
+ * adapter for tests and for running the server without a database.
+ * Records are copied on the way in and out so callers can never mutate
+ * stored state by accident (matching the PostgreSQL adapter).
+ */
+class MemoryStore {
+  constructor() {
+    this.name = 'memory';
+    this.users = new Map();
+    this.puzzles = new Map();
+    this.attempts = [];
+    this.bookmarks = new Map(); // `${userId}:${puzzleId}` -> bookmark
+    this.jobs = new Map();
+    this.analyzedGames = new Set(); // `${userId}:${platform}:${gameId}`
+    this.syncRuns = [];
+  }
+
+  async initialize() {}
+
+  async close() {}
+
+  copy(record) {
+    return record ? JSON.parse(JSON.stringify(record)) : null;
+  }
+
+  bookmarkKey(userId, puzzleId) {
+    return `${userId}:${puzzleId}`;
+  }
+
+  // Users
+
+  async createUser(user) {
+    this.users.set(user.id, this.copy(user));
+    return this.copy(user);
+  }
+
+  async getUser(userId) {
+    return this.copy(this.users.get(userId));
+  }
+
+  async getUserByEmail(email) {
+    const address = String(email).toLowerCase();
+    for (const user of this.users.values()) {
+      if (user.email && user.email.toLowerCase() === address) {
+        return this.copy(user);
+      }
+    }
+    return null;
+  }
+
+  async getUserByUsername(username) {
+    const name = String(username).toLowerCase();
+    for (const user of this.users.values()) {
+      if (user.username.toLowerCase() === name) {
+        return this.copy(user);
+      }
+    }
+    return null;
+  }
+
+  async getUserByLinkedAccount(platform, username) {
+    const field = platform === 'lichess' ? 'lichessUsername' : 'chessComUsername';
+    const name = String(username).toLowerCase();
+    for (const user of this.users.values()) {
+      if (user[field] && user[field].toLowerCase() === name) {
+        return this.copy(user);
+      }
+    }
+    return null;
+  }
+
+  async updateUser(userId, fields) {
+    const user = this.users.get(userId);
+    if (!user) return null;
+    const updated = { ...user, ...this.copy(fields) };
+    this.users.set(userId, updated);
+    return this.copy(updated);
+  }
+
+  async getAllUsers() {
+    return Array.from(this.users.values()).map(user => this.copy(user));
+  }
+
+  async deleteUser(userId) {
+    this.attempts = this.attempts.filter(attempt => attempt.userId !== userId);
+    for (const key of this.bookmarks.keys()) {
+      if (key.startsWith(`${userId}:`)) this.bookmarks.delete(key);
+    }
+    for (const [jobId, job] of this.jobs) {
+      if (job.userId === userId) this.jobs.delete(jobId);
+    }
+    for (const key of this.analyzedGames) {
+      if (key.startsWith(`${userId}:`)) this.analyzedGames.delete(key);
+    }
+    this.syncRuns = this.syncRuns.filter(run => run.userId !== userId);
+    return this.users.delete(userId);
+  }
+
+  // Puzzles
+
+  async createPuzzle(puzzle) {
+    this.puzzles.set(puzzle.id, this.copy(puzzle));
+    return this.copy(puzzle);
+  }
+
+  async getPuzzle(puzzleId) {
+    return this.copy(this.puzzles.get(puzzleId));
+  }
+
+  async getPuzzlesByOwner(ownerId) {
+    return Array.from(this.puzzles.values())
+      .filter(puzzle => puzzle.userId === ownerId)
+      .map(puzzle => this.copy(puzzle));
+  }
+
+  async getAllPuzzles() {
+    return Array.from(this.puzzles.values()).map(puzzle => this.copy(puzzle));
+  }
+
+  async getPuzzlesInRatingRange(minRating, maxRating) {
+    return Array.from(this.puzzles.values())
+      .filter(puzzle => puzzle.rating.rating >= minRating && puzzle.rating.rating <= maxRating)
+      .map(puzzle => this.copy(puzzle));
+  }
+
+  async getRandomPuzzle({ minRating, maxRating, unsolvedBy }) {
+    const puzzles = this.getUnsolvedPuzzles(unsolvedBy).filter(puzzle =>
+      minRating === null || (puzzle.rating.rating >= minRating && puzzle.rating.rating <= maxRating)
+    );
+    return this.copy(puzzles[Math.floor(Math.random() * puzzles.length)]);
+  }
+
+  async getClosestRatedPuzzle(rating, { unsolvedBy }) {
+    const distance = puzzle => Math.abs(puzzle.rating.rating - rating);
+    const puzzles = this.getUnsolvedPuzzles(unsolvedBy);
+    return this.copy(puzzles.reduce((closest, puzzle) => (
+      !closest || distance(puzzle) < distance(closest) ? puzzle : closest
+    ), null));
+  }
+
+  /**
+   * Stored puzzles, without those `userId` has solved when given
+   */
+  getUnsolvedPuzzles(userId) {
+    const solved = new Set(this.attempts
+      .filter(attempt => attempt.userId === userId && attempt.result === 'solved')
+      .map(attempt => attempt.puzzleId));
+    return Array.from(this.puzzles.values()).filter(puzzle => !solved.has(puzzle.id));
+  }
+
+  async updatePuzzle(puzzleId, fields) {
+    const puzzle = this.puzzles.get(puzzleId);
+    if (!puzzle) return null;
+    const updated = { ...puzzle, ...this.copy(fields) };
+    this.puzzles.set(puzzleId, updated);
+    return this.copy(updated);
+  }
+
+  async deletePuzzle(puzzleId) {
+    this.attempts = this.attempts.filter(attempt => attempt.puzzleId !== puzzleId);
+    for (const key of this.bookmarks.keys()) {
+      if (key.endsWith(`:${puzzleId}`)) this.bookmarks.delete(key);
+    }
+    return this.puzzles.delete(puzzleId);
+  }
+
+  // Attempts
+
+  async createAttempt(attempt) {
+    this.attempts.push(this.copy(attempt));
+    return this.copy(attempt);
+  }
+
+  async createRatedAttempt(attempt, rate) {
+    // Nothing awaits between the check and the writes, so this is atomic
+    const user = this.users.get(attempt.userId);
+    const puzzle = this.puzzles.get(attempt.puzzleId);
+    const first = !this.attempts.some(previous =>
+      previous.userId === attempt.userId && previous.puzzleId === attempt.puzzleId
+    );
+
+    let ratings = null;
+    if (first && user && puzzle) {
+      ratings = rate(this.copy(user.rating), this.copy(puzzle.rating));
+      user.rating = this.copy(ratings.user);
+      puzzle.rating = this.copy(ratings.puzzle);
+    }
+    const stored = { ...attempt, ratingDelta: ratings ? ratings.ratingDelta : null };
+    this.attempts.push(this.copy(stored));
+    return { attempt: this.copy(stored), ratings: this.copy(ratings) };
+  }
+
+  async getAttempts(userId, puzzleId) {
+    return this.attempts
+      .filter(attempt => attempt.userId === userId && attempt.puzzleId === puzzleId)
+      .map(attempt => this.copy(attempt));
+  }
+
+  async getAttemptsForUser(userId) {
+    return this.attempts
+      .filter(attempt => attempt.userId === userId)
+      .map(attempt => this.copy(attempt));
+  }
+
+  // Bookmarks
+
+  async addBookmark(userId, puzzleId) {
+    const key = this.bookmarkKey(userId, puzzleId);
+    if (!this.bookmarks.has(key)) {
+      this.bookmarks.set(key, { userId, puzzleId, createdAt: new Date().toISOString() });
+    }
+    return true;
+  }
+
+  async removeBookmark(userId, puzzleId) {
+    return this.bookmarks.delete(this.bookmarkKey(userId, puzzleId));
+  }
+
+  async isBookmarked(userId, puzzleId) {
+    return this.bookmarks.has(this.bookmarkKey(userId, puzzleId));
+  }
+
+  async getBookmarks(userId) {
+    return Array.from(this.bookmarks.values())
+      .filter(bookmark => bookmark.userId === userId)
+      .map(bookmark => bookmark.puzzleId);
+  }
+
+  // Analyzed games
+
+  async addAnalyzedGame(userId, platform, gameId) {
+    this.analyzedGames.add(`${userId}:${platform}:${gameId}`);
+    return true;
+  }
+
+  async getAnalyzedGameIds(userId, platform, gameIds) {
+    return gameIds.filter(gameId => this.analyzedGames.has(`${userId}:${platform}:${gameId}`));
+  }
+
+  // Import jobs
+
+  async createJob(job) {
+    this.jobs.set(job.id, this.copy(job));
+    return this.copy(job);
+  }
+
+  async createLimitedJob(job, statuses, limit) {
+    const unfinished = Array.from(this.jobs.values()).filter(existing =>
+      statuses.includes(existing.status) &&
+      (job.userId ? existing.userId === job.userId : !existing.userId && existing.clientIp === job.clientIp)
+    );
+    if (unfinished.length >= limit) return null;
+    return this.createJob(job);
+  }
+
+  async getJob(jobId) {
+    return this.copy(this.jobs.get(jobId));
+  }
+
+  async updateJob(jobId, fields) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+    const updated = { ...job, ...this.copy(fields) };
+    this.jobs.set(jobId, updated);
+    return this.copy(updated);
+  }
+
+  async getJobsByStatus(statuses) {
+    return Array.from(this.jobs.values())
+      .filter(job => statuses.includes(job.status))
+      .map(job => this.copy(job));
+  }
+
+  async getJobsForUser(userId, limit) {
+    return Array.from(this.jobs.values())
+      .filter(job => job.userId === userId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit)
+      .map(job => this.copy(job));
+  }
+
+  // Sync runs
+
+  async createSyncRun(run) {
+    this.syncRuns.push(this.copy(run));
+    return this.copy(run);
+  }
+
+  async getSyncRunsForUser(userId, limit) {
+    return this.syncRuns
+      .filter(run => run.userId === userId)
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+      .slice(0, limit)
+      .map(run => this.copy(run));
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,579 @@
+const db = require('../db');
+const { runMigrations } = require('../db/migrate');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// camelCase field -> column for the fields stored as-is
+const USER_COLUMNS = {
+  username: 'username',
+  email: 'email',
+  chessComUsername: 'chess_com_username',
+  lichessUsername: 'lichess_username',
+  stats: 'stats',
+  preferences: 'preferences',
+  chessComVerification: 'chess_com_verification',
+  unverifiedUsernames: 'unverified_usernames',
+  syncCursors: 'sync_cursors',
+  tier: 'tier',
+  passwordHash: 'password_hash',
+  tokenVersion: 'token_version',
+  createdAt: 'created_at',
+  lastLogin: 'last_login'
+};
+
+const PUZZLE_COLUMNS = {
+  userId: 'user_id',
+  gameId: 'game_id',
+  position: 'position',
+  setupMove: 'setup_move',
+  solution: 'solution',
+  theme: 'theme',
+  themes: 'themes',
+  difficulty: 'difficulty',
+  explanation: 'explanation',
+  gameContext: 'game_context',
+  gameData: 'game_data',
+  metadata: 'metadata'
+};
+
+const JOB_COLUMNS = {
+  userId: 'user_id',
+  status: 'status',
+  stage: 'stage',
+  params: 'params',
+  counts: 'counts',
+  errors: 'errors',
+  checkpoint: 'checkpoint',
+  result: 'result',
+  attempts: 'attempts',
+  clientIp: 'client_ip',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  startedAt: 'started_at',
+  finishedAt: 'finished_at'
+};
+
+const SYNC_RUN_COLUMNS = {
+  userId: 'user_id',
+  trigger: 'trigger',
+  startedAt: 'started_at',
+  profiles: 'profiles',
+  skipped: 'skipped'
+};
+
+const JSON_COLUMNS = new Set([
+  'stats', 'preferences', 'chess_com_verification', 'unverified_usernames', 'sync_cursors', 'setup_move', 'solution', 'explanation', 'game_context', 'game_data', 'metadata',
+  'params', 'counts', 'errors', 'checkpoint', 'result', 'profiles', 'skipped'
+]);
+
+function toIso(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+/**
+ * Map the fields present on `record` to column/value pairs.
+ * JSONB values are serialized here because pg would send JS arrays as
+ * PostgreSQL arrays; Glicko-2 ratings are spread over four columns.
+ */
+function toColumns(record, columns) {
+  const row = {};
+  for (const [field, column] of Object.entries(columns)) {
+    if (record[field] === undefined) continue;
+    row[column] = JSON_COLUMNS.has(column) && record[field] !== null
+      ? JSON.stringify(record[field])
+      : record[field];
+  }
+  if (record.rating) {
+    row.rating = record.rating.rating;
+    row.rating_rd = record.rating.rd;
+    row.rating_volatility = record.rating.volatility;
+    row.rating_games = record.rating.games || 0;
+  }
+  return row;
+}
+
+function ratingFromRow(row) {
+  return {
+    rating: row.rating,
+    rd: row.rating_rd,
+    volatility: row.rating_volatility,
+    games: row.rating_games
+  };
+}
+
+function rowToUser(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    username: row.username,
+    email: row.email,
+    chessComUsername: row.chess_com_username,
+    lichessUsername: row.lichess_username,
+    chessComVerification: row.chess_com_verification,
+    unverifiedUsernames: row.unverified_usernames,
+    syncCursors: row.sync_cursors,
+    tier: row.tier,
+    passwordHash: row.password_hash,
+    tokenVersion: row.token_version,
+    createdAt: toIso(row.created_at),
+    lastLogin: toIso(row.last_login),
+    stats: row.stats,
+    rating: ratingFromRow(row),
+    preferences: row.preferences
+  };
+}
+
+function rowToPuzzle(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    gameId: row.game_id,
+    position: row.position,
+    setupMove: row.setup_move,
+    solution: row.solution,
+    theme: row.theme,
+    themes: row.themes,
+    difficulty: row.difficulty,
+    rating: ratingFromRow(row),
+    explanation: row.explanation,
+    gameContext: row.game_context,
+    gameData: row.game_data,
+    metadata: row.metadata
+  };
+}
+
+function rowToAttempt(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    puzzleId: row.puzzle_id,
+    attemptedAt: toIso(row.attempted_at),
+    moves: row.moves,
+    timeSpent: row.time_spent,
+    hintsUsed: row.hints_used,
+    result: row.result,
+    ratingDelta: row.rating_delta
+  };
+}
+
+function rowToJob(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    status: row.status,
+    stage: row.stage,
+    params: row.params,
+    counts: row.counts,
+    errors: row.errors,
+    checkpoint: row.checkpoint,
+    result: row.result,
+    attempts: row.attempts,
+    clientIp: row.client_ip,
+    createdAt: toIso(row.created_at),
+    updatedAt: toIso(row.updated_at),
+    startedAt: toIso(row.started_at),
+    finishedAt: toIso(row.finished_at)
+  };
+}
+
+function rowToSyncRun(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    trigger: row.trigger,
+    startedAt: toIso(row.started_at),
+    profiles: row.profiles,
+    skipped: row.skipped
+  };
+}
+
+/**
+ * PostgreSQL storage adapter. Applies pending schema migrations on
+ * initialize() and maps rows to the same objects the in-memory adapter keeps.
+ */
+class PostgresStore {
+  constructor() {
+    this.name = 'postgres';
+  }
+
+  async initialize() {
+    await runMigrations();
+  }
+
+  async close() {
+    await db.close();
+  }
+
+  /**
+   * Ids in the URL are not always UUIDs (e.g. list indexes); PostgreSQL would
+   * reject those with a type error, so treat them as "not found" instead
+   */
+  isUuid(value) {
+    return typeof value === 'string' && UUID_PATTERN.test(value);
+  }
+
+  async insert(table, id, row, client = db) {
+    const columns = ['id', ...Object.keys(row)];
+    const values = [id, ...Object.values(row)];
+    const placeholders = values.map((_, index) => `$${index + 1}`);
+    const { rows } = await client.query(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+      values
+    );
+    return rows[0];
+  }
+
+  async update(table, id, row) {
+    const columns = Object.keys(row);
+    if (columns.length === 0) {
+      const { rows } = await db.query(`SELECT * FROM ${table} WHERE id = $1`, [id]);
+      return rows[0];
+    }
+    const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+    const { rows } = await db.query(
+      `UPDATE ${table} SET ${assignments.join(', ')} WHERE id = $1 RETURNING *`,
+      [id, ...Object.values(row)]
+    );
+    return rows[0];
+  }
+
+  // Users
+
+  async createUser(user) {
+    return rowToUser(await this.insert('users', user.id, toColumns(user, USER_COLUMNS)));
+  }
+
+  async getUser(userId) {
+    if (!this.isUuid(userId)) return null;
+    const { rows } = await db.query('SELECT * FROM users WHERE id = $1', [userId]);
+    return rowToUser(rows[0]);
+  }
+
+  async getUserByEmail(email) {
+    // lower() on both sides also finds accounts stored before emails were lower-cased
+    const { rows } = await db.query('SELECT * FROM users WHERE lower(email) = lower($1)', [email]);
+    return rowToUser(rows[0]);
+  }
+
+  async getUserByUsername(username) {
+    const { rows } = await db.query('SELECT * FROM users WHERE lower(username) = lower($1)', [username]);
+    return rowToUser(rows[0]);
+  }
+
+  async getUserByLinkedAccount(platform, username) {
+    const column = platform === 'lichess' ? 'lichess_username' : 'chess_com_username';
+    const { rows } = await db.query(`SELECT * FROM users WHERE lower(${column}) = lower($1)`, [username]);
+    return rowToUser(rows[0]);
+  }
+
+  async updateUser(userId, fields) {
+    if (!this.isUuid(userId)) return null;
+    return rowToUser(await this.update('users', userId, toColumns(fields, USER_COLUMNS)));
+  }
+
+  async getAllUsers() {
+    const { rows } = await db.query('SELECT * FROM users ORDER BY created_at');
+    return rows.map(rowToUser);
+  }
+
+  async deleteUser(userId) {
+    if (!this.isUuid(userId)) return false;
+    const { rowCount } = await db.query('DELETE FROM users WHERE id = $1', [userId]);
+    return rowCount > 0;
+  }
+
+  // Puzzles
+
+  async createPuzzle(puzzle) {
+    const row = toColumns(puzzle, PUZZLE_COLUMNS);
+    row.created_at = puzzle.metadata?.createdAt || new Date().toISOString();
+    return rowToPuzzle(await this.insert('puzzles', puzzle.id, row));
+  }
+
+  async getPuzzle(puzzleId) {
+    if (!this.isUuid(puzzleId)) return null;
+    const { rows } = await db.query('SELECT * FROM puzzles WHERE id = $1', [puzzleId]);
+    return rowToPuzzle(rows[0]);
+  }
+
+  async getPuzzlesByOwner(ownerId) {
+    const { rows } = await db.query(
+      'SELECT * FROM puzzles WHERE user_id IS NOT DISTINCT FROM $1 ORDER BY created_at',
+      [ownerId]
+    );
+    return rows.map(rowToPuzzle);
+  }
+
+  async getAllPuzzles() {
+    const { rows } = await db.query('SELECT * FROM puzzles ORDER BY created_at');
+    return rows.map(rowToPuzzle);
+  }
+
+  async getPuzzlesInRatingRange(minRating, maxRating) {
+    const { rows } = await db.query(
+      'SELECT * FROM puzzles WHERE rating BETWEEN $1 AND $2 ORDER BY created_at',
+      [minRating, maxRating]
+    );
+    return rows.map(rowToPuzzle);
+  }
+
+  async getRandomPuzzle({ minRating, maxRating, unsolvedBy }) {
+    const params = [];
+    const conditions = [];
+    if (minRating !== null) {
+      params.push(minRating, maxRating);
+      conditions.push('rating BETWEEN $1 AND $2');
+    }
+    if (unsolvedBy) {
+      params.push(unsolvedBy);
+      conditions.push(this.unsolvedCondition(params.length));
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { rows } = await db.query(`SELECT * FROM puzzles ${where} ORDER BY random() LIMIT 1`, params);
+    return rowToPuzzle(rows[0]);
+  }
+
+  async getClosestRatedPuzzle(rating, { unsolvedBy }) {
+    // The nearest puzzle below and above the rating, each found on the rating index
+    const unsolved = unsolvedBy ? `AND ${this.unsolvedCondition(2)}` : '';
+    const { rows } = await db.query(
+      `(SELECT * FROM puzzles WHERE rating <= $1 ${unsolved} ORDER BY rating DESC LIMIT 1)
+       UNION ALL
+       (SELECT * FROM puzzles WHERE rating > $1 ${unsolved} ORDER BY rating LIMIT 1)`,
+      unsolvedBy ? [rating, unsolvedBy] : [rating]
+    );
+    const distance = row => Math.abs(row.rating - rating);
+    return rowToPuzzle(rows.reduce((closest, row) => (
+      !closest || distance(row) < distance(closest) ? row : closest
+    ), null));
+  }
+
+  /**
+   * SQL condition leaving out puzzles the user in parameter $`index` has solved
+   */
+  unsolvedCondition(index) {
+    return `NOT EXISTS (
+      SELECT 1 FROM puzzle_attempts
+      WHERE puzzle_attempts.puzzle_id = puzzles.id AND puzzle_attempts.user_id = $${index} AND puzzle_attempts.result = 'solved'
+    )`;
+  }
+
+  async updatePuzzle(puzzleId, fields) {
+    if (!this.isUuid(puzzleId)) return null;
+    return rowToPuzzle(await this.update('puzzles', puzzleId, toColumns(fields, PUZZLE_COLUMNS)));
+  }
+
+  async deletePuzzle(puzzleId) {
+    if (!this.isUuid(puzzleId)) return false;
+    const { rowCount } = await db.query('DELETE FROM puzzles WHERE id = $1', [puzzleId]);
+    return rowCount > 0;
+  }
+
+  // Attempts
+
+  async createAttempt(attempt) {
+    return rowToAttempt(await this.insertAttempt(db, attempt));
+  }
+
+  async createRatedAttempt(attempt, rate) {
+    return db.transaction(async (client) => {
+      // Lock the user, then the puzzle (always in that order): parallel attempts
+      // by one user wait here, so only the first of them finds no earlier attempt
+      const { rows: [userRow] } = await client.query(
+        'SELECT rating, rating_rd, rating_volatility, rating_games FROM users WHERE id = $1 FOR UPDATE',
+        [attempt.userId]
+      );
+      const { rows: [puzzleRow] } = await client.query(
+        'SELECT rating, rating_rd, rating_volatility, rating_games FROM puzzles WHERE id = $1 FOR UPDATE',
+        [attempt.puzzleId]
+      );
+      const { rows: previous } = await client.query(
+        'SELECT 1 FROM puzzle_attempts WHERE user_id = $1 AND puzzle_id = $2 LIMIT 1',
+        [attempt.userId, attempt.puzzleId]
+      );
+
+      let ratings = null;
+      if (userRow && puzzleRow && previous.length === 0) {
+        ratings = rate(ratingFromRow(userRow), ratingFromRow(puzzleRow));
+        await this.setRating(client, 'users', attempt.userId, ratings.user);
+        await this.setRating(client, 'puzzles', attempt.puzzleId, ratings.puzzle);
+      }
+      const row = await this.insertAttempt(client, { ...attempt, ratingDelta: ratings ? ratings.ratingDelta : null });
+      return { attempt: rowToAttempt(row), ratings };
+    });
+  }
+
+  async insertAttempt(client, attempt) {
+    const { rows } = await client.query(
+      `INSERT INTO puzzle_attempts
+         (id, user_id, puzzle_id, attempted_at, moves, time_spent, hints_used, result, rating_delta)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        attempt.id,
+        attempt.userId,
+        attempt.puzzleId,
+        attempt.attemptedAt,
+        attempt.moves,
+        Math.round(attempt.timeSpent),
+        attempt.hintsUsed,
+        attempt.result,
+        attempt.ratingDelta
+      ]
+    );
+    return rows[0];
+  }
+
+  async setRating(client, table, id, rating) {
+    await client.query(
+      `UPDATE ${table} SET rating = $2, rating_rd = $3, rating_volatility = $4, rating_games = $5 WHERE id = $1`,
+      [id, rating.rating, rating.rd, rating.volatility, rating.games || 0]
+    );
+  }
+
+  async getAttempts(userId, puzzleId) {
+    if (!this.isUuid(userId) || !this.isUuid(puzzleId)) return [];
+    const { rows } = await db.query(
+      'SELECT * FROM puzzle_attempts WHERE user_id = $1 AND puzzle_id = $2 ORDER BY attempted_at',
+      [userId, puzzleId]
+    );
+    return rows.map(rowToAttempt);
+  }
+
+  async getAttemptsForUser(userId) {
+    if (!this.isUuid(userId)) return [];
+    const { rows } = await db.query(
+      'SELECT * FROM puzzle_attempts WHERE user_id = $1 ORDER BY attempted_at',
+      [userId]
+    );
+    return rows.map(rowToAttempt);
+  }
+
+  // Bookmarks
+
+  async addBookmark(userId, puzzleId) {
+    await db.query(
+      'INSERT INTO puzzle_bookmarks (user_id, puzzle_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [userId, puzzleId]
+    );
+    return true;
+  }
+
+  async removeBookmark(userId, puzzleId) {
+    if (!this.isUuid(userId) || !this.isUuid(puzzleId)) return false;
+    const { rowCount } = await db.query(
+      'DELETE FROM puzzle_bookmarks WHERE user_id = $1 AND puzzle_id = $2',
+      [userId, puzzleId]
+    );
+    return rowCount > 0;
+  }
+
+  async isBookmarked(userId, puzzleId) {
+    if (!this.isUuid(userId) || !this.isUuid(puzzleId)) return false;
+    const { rows } = await db.query(
+      'SELECT 1 FROM puzzle_bookmarks WHERE user_id = $1 AND puzzle_id = $2',
+      [userId, puzzleId]
+    );
+    return rows.length > 0;
+  }
+
+  async getBookmarks(userId) {
+    if (!this.isUuid(userId)) return [];
+    const { rows } = await db.query(
+      'SELECT puzzle_id FROM puzzle_bookmarks WHERE user_id = $1 ORDER BY created_at',
+      [userId]
+    );
+    return rows.map(row => row.puzzle_id);
+  }
+
+  // Analyzed games
+
+  async addAnalyzedGame(userId, platform, gameId) {
+    await db.query(
+      'INSERT INTO analyzed_games (user_id, platform, game_id) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+      [userId, platform, gameId]
+    );
+    return true;
+  }
+
+  async getAnalyzedGameIds(userId, platform, gameIds) {
+    if (!this.isUuid(userId) || gameIds.length === 0) return [];
+    const { rows } = await db.query(
+      'SELECT game_id FROM analyzed_games WHERE user_id = $1 AND platform = $2 AND game_id = ANY($3)',
+      [userId, platform, gameIds]
+    );
+    return rows.map(row => row.game_id);
+  }
+
+  // Import jobs
+
+  async createJob(job) {
+    return rowToJob(await this.insert('import_jobs', job.id, toColumns(job, JOB_COLUMNS)));
+  }
+
+  async createLimitedJob(job, statuses, limit) {
+    return db.transaction(async (client) => {
+      // One requester's jobs are created one at a time, so parallel requests
+      // cannot all pass the count
+      const requester = job.userId || `ip:${job.clientIp}`;
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`import_jobs:${requester}`]);
+      const { rows } = await client.query(
+        job.userId
+          ? 'SELECT count(*)::int AS count FROM import_jobs WHERE status = ANY($1) AND user_id = $2'
+          : 'SELECT count(*)::int AS count FROM import_jobs WHERE status = ANY($1) AND user_id IS NULL AND client_ip = $2',
+        [statuses, job.userId || job.clientIp]
+      );
+      if (rows[0].count >= limit) return null;
+      return rowToJob(await this.insert('import_jobs', job.id, toColumns(job, JOB_COLUMNS), client));
+    });
+  }
+
+  async getJob(jobId) {
+    if (!this.isUuid(jobId)) return null;
+    const { rows } = await db.query('SELECT * FROM import_jobs WHERE id = $1', [jobId]);
+    return rowToJob(rows[0]);
+  }
+
+  async updateJob(jobId, fields) {
+    if (!this.isUuid(jobId)) return null;
+    return rowToJob(await this.update('import_jobs', jobId, toColumns(fields, JOB_COLUMNS)));
+  }
+
+  async getJobsByStatus(statuses) {
+    const { rows } = await db.query(
+      'SELECT * FROM import_jobs WHERE status = ANY($1) ORDER BY created_at',
+      [statuses]
+    );
+    return rows.map(rowToJob);
+  }
+
+  async getJobsForUser(userId, limit) {
+    if (!this.isUuid(userId)) return [];
+    const { rows } = await db.query(
+      'SELECT * FROM import_jobs WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2',
+      [userId, limit]
+    );
+    return rows.map(rowToJob);
+  }
+
+  // Sync runs
+
+  async createSyncRun(run) {
+    return rowToSyncRun(await this.insert('sync_runs', run.id, toColumns(run, SYNC_RUN_COLUMNS)));
+  }
+
+  async getSyncRunsForUser(userId, limit) {
+    if (!this.isUuid(userId)) return [];
+    const { rows } = await db.query(
+      'SELECT * FROM sync_runs WHERE user_id = $1 ORDER BY started_at DESC LIMIT $2',
+      [userId, limit]
+    );
+    return rows.map(rowToSyncRun);
+  }
+}
+
+module.exports = PostgresStore;
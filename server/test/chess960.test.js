@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Chess } = require('chess.js');
+const Chess960 = require('../services/chess960');
+const { createBoard, loadGame, needsChess960 } = Chess960;
+
+// King on g1 and rooks on b1 and h1 for both sides
+const SPLIT_ROOKS = '1r4kr/8/8/8/8/8/8/1R4KR w KQkq - 0 1';
+
+test('standard positions stay on plain chess.js', () => {
+  assert.equal(needsChess960('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1'), false);
+  assert.equal(needsChess960('4k3/8/8/8/8/8/8/4K3 w - - 0 1'), false);
+  const board = createBoard('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+  assert.ok(!(board instanceof Chess960));
+  assert.ok(board instanceof Chess);
+});
+
+test('X-FEN rights are read for the outermost rooks and written back unchanged', () => {
+  assert.equal(needsChess960(SPLIT_ROOKS), true);
+  const board = createBoard(SPLIT_ROOKS);
+  assert.ok(board instanceof Chess960);
+  assert.deepEqual(board.castlingRooks, { w: { k: 'h1', q: 'b1' }, b: { k: 'h8', q: 'b8' } });
+  assert.equal(board.fen(), SPLIT_ROOKS);
+});
+
+test('Shredder-FEN file letters are read and written as X-FEN where that is unambiguous', () => {
+  const board = createBoard('nrkbbqrn/pppppppp/8/8/8/8/PPPPPPPP/NRKBBQRN w GBgb - 0 1');
+  assert.deepEqual(board.castlingRooks.w, { k: 'g1', q: 'b1' });
+  assert.equal(board.fen().split(' ')[2], 'KQkq');
+});
+
+test('Shredder-FEN is kept for a rook that is not the outermost one', () => {
+  const fen = '4k3/8/8/8/8/8/8/RRK5 w B - 0 1';
+  const board = createBoard(fen);
+  assert.deepEqual(board.castlingRooks.w, { k: null, q: 'b1' });
+  assert.equal(board.fen(), fen);
+});
+
+test('O-O and O-O-O move king and rook to their 960 squares', () => {
+  const kingside = createBoard(SPLIT_ROOKS);
+  const short = kingside.move('O-O');
+  assert.equal(short.from, 'g1');
+  assert.equal(short.to, 'h1');
+  assert.equal(kingside.get('g1').type, 'k');
+  assert.equal(kingside.get('f1').type, 'r');
+  assert.equal(kingside.get('h1'), undefined);
+  assert.equal(kingside.fen().split(' ')[2], 'kq');
+
+  const queenside = createBoard(SPLIT_ROOKS);
+  queenside.move('O-O-O');
+  assert.equal(queenside.get('c1').type, 'k');
+  assert.equal(queenside.get('d1').type, 'r');
+  assert.equal(queenside.get('b1'), undefined);
+  assert.equal(queenside.get('h1').type, 'r');
+});
+
+test('a castle can be given as king-takes-rook or as the king onto its castled square', () => {
+  const byRook = createBoard(SPLIT_ROOKS);
+  assert.equal(byRook.move({ from: 'g1', to: 'b1' }).san, 'O-O-O');
+
+  const bySquare = createBoard(SPLIT_ROOKS);
+  assert.equal(bySquare.move({ from: 'g1', to: 'c1' }).san, 'O-O-O');
+  assert.equal(bySquare.fen(), byRook.fen());
+});
+
+test('castling is refused through an attacked square or an occupied one', () => {
+  const attacked = createBoard('1r2r1kr/8/8/8/8/8/8/1R4KR w KQkq - 0 1');
+  assert.deepEqual(attacked.castlingMoves().map(castle => castle.move.san), ['O-O']);
+
+  const blocked = createBoard('1r4kr/8/8/8/8/8/8/1R1N2KR w KQkq - 0 1');
+  assert.ok(!blocked.moves().includes('O-O-O'));
+  assert.ok(blocked.moves().includes('O-O'));
+});
+
+test('undo restores the position and castling rights', () => {
+  const board = createBoard(SPLIT_ROOKS);
+  board.move('Rb2');
+  assert.equal(board.fen().split(' ')[2], 'Kkq');
+  board.move('O-O-O');
+  assert.equal(board.fen().split(' ')[2], 'K');
+
+  assert.equal(board.undo().san, 'O-O-O');
+  assert.equal(board.fen().split(' ')[2], 'Kkq');
+  assert.equal(board.undo().san, 'Rb2');
+  assert.equal(board.fen(), SPLIT_ROOKS);
+  assert.equal(board.undo(), null);
+});
+
+test('capturing a castling rook ends that right', () => {
+  const board = createBoard('1r4kr/8/8/8/8/8/8/1R4KR w KQkq - 0 1');
+  board.move('Rxb8+');
+  assert.equal(board.fen().split(' ')[2], 'Kk');
+});
+
+test('a Chess960 PGN replays from its FEN header and writes back the same moves', () => {
+  const pgn = [
+    '[Variant "Chess960"]',
+    '[SetUp "1"]',
+    '[FEN "1r4kr/pppppppp/8/8/8/8/PPPPPPPP/1R4KR w KQkq - 0 1"]',
+    '',
+    '1. a3 {a comment} a6 2. O-O (2. O-O-O O-O-O) O-O-O 3. Rfe1 Rhe8 *'
+  ].join('\n');
+
+  const board = loadGame(pgn);
+  assert.deepEqual(board.history(), ['a3', 'a6', 'O-O', 'O-O-O', 'Rfe1', 'Rhe8']);
+  assert.equal(board.get('g1').type, 'k');
+  assert.equal(board.get('c8').type, 'k');
+  assert.equal(board.get('d8').type, 'r');
+  assert.equal(board.fen().split(' ')[2], '-');
+
+  assert.deepEqual(loadGame(board.pgn()).history(), board.history());
+});
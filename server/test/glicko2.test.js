@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const glicko2 = require('../services/glicko2');
+
+test('new ratings start at 1500 with the full deviation', () => {
+  assert.deepEqual(glicko2.createRating(), { rating: 1500, rd: 350, volatility: 0.06, games: 0 });
+  assert.deepEqual(glicko2.seedFromDifficulty(4), { rating: 1900, rd: 250, volatility: 0.06, games: 0 });
+  assert.equal(glicko2.seedFromDifficulty(9).rating, 1500);
+});
+
+test('equal ratings expect an even score', () => {
+  const rating = glicko2.createRating();
+  assert.equal(glicko2.expectedScore(rating, rating), 0.5);
+  assert.ok(glicko2.expectedScore(glicko2.createRating(1800, 100), glicko2.createRating(1500, 100)) > 0.8);
+});
+
+test('a solve moves the user up and the puzzle down by the same amount when they start equal', () => {
+  const { user, puzzle } = glicko2.ratePuzzleAttempt(glicko2.createRating(), glicko2.createRating(), true);
+  assert.ok(user.rating > 1500);
+  assert.ok(puzzle.rating < 1500);
+  assert.equal(user.rating - 1500, 1500 - puzzle.rating);
+  assert.ok(user.rd < 350);
+  assert.equal(user.games, 1);
+  assert.equal(puzzle.games, 1);
+});
+
+test('a single game matches the Glicko-2 formulas', () => {
+  // One rating period from Glickman's example player: 1500/200 against a 1400/30 opponent, won
+  const updated = glicko2.update(glicko2.createRating(1500, 200), glicko2.createRating(1400, 30), 1);
+  assert.ok(Math.abs(updated.rating - 1563.6) < 0.2, `rating ${updated.rating}`);
+  assert.ok(Math.abs(updated.rd - 175.4) < 0.2, `rd ${updated.rd}`);
+  assert.ok(Math.abs(updated.volatility - 0.06) < 0.0001);
+});
+
+test('an upset moves ratings further than an expected result', () => {
+  const strong = glicko2.createRating(1900, 100);
+  const weak = glicko2.createRating(1300, 100);
+  const expected = glicko2.ratePuzzleAttempt(strong, weak, true);
+  const upset = glicko2.ratePuzzleAttempt(strong, weak, false);
+  assert.ok(strong.rating - upset.user.rating > expected.user.rating - strong.rating);
+});
+
+test('the deviation never drops below its floor', () => {
+  let rating = glicko2.createRating(1500, 60, 0.001);
+  for (let i = 0; i < 100; i++) {
+    rating = glicko2.update(rating, glicko2.createRating(1500, 60), i % 2);
+    assert.ok(rating.rd >= 45);
+  }
+  assert.equal(rating.rd, 45);
+  assert.equal(rating.games, 100);
+});
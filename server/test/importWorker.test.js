@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const importWorker = require('../services/importWorker');
+
+const games = [
+  { id: 'a', platform: 'lichess', createdAt: 100 },
+  { id: 'b', platform: 'lichess', createdAt: 200 },
+  { id: 'c', platform: 'lichess', createdAt: 300 }
+];
+const nextCursor = { username: 'player', since: 301, lastGameId: 'c' };
+
+test('the sync cursor moves past every game when all of them were analyzed', () => {
+  const checkpoint = { nextCursor, games, breakdown: games.map(game => ({ gameId: game.id })) };
+  assert.deepEqual(importWorker.getCompletedCursor(checkpoint, 'lichess', 'player'), nextCursor);
+});
+
+test('the sync cursor stops before the first game that failed', () => {
+  const breakdown = [{ gameId: 'a' }, { gameId: 'b', error: 'Engine crashed' }, { gameId: 'c' }];
+  assert.deepEqual(
+    importWorker.getCompletedCursor({ nextCursor, games, breakdown }, 'lichess', 'player'),
+    { username: 'player', since: 101, lastGameId: 'a' }
+  );
+
+  breakdown[0].error = 'Engine crashed';
+  assert.equal(importWorker.getCompletedCursor({ nextCursor, games, breakdown }, 'lichess', 'player'), null);
+});
+
+test('chess.com cursors stop at the end time of the last analyzed game', () => {
+  const chessComGames = [
+    { id: 'x', platform: 'chess.com', endTime: Date.UTC(2024, 2, 31) / 1000 },
+    { id: 'y', platform: 'chess.com', endTime: Date.UTC(2024, 3, 2) / 1000 }
+  ];
+  const checkpoint = {
+    nextCursor: { username: 'player', archive: '2024/04', endTime: chessComGames[1].endTime, lastGameId: 'y' },
+    games: [...chessComGames].reverse(),
+    breakdown: [{ gameId: 'y', error: 'Game has no PGN' }, { gameId: 'x' }]
+  };
+  assert.deepEqual(importWorker.getCompletedCursor(checkpoint, 'chess.com', 'player'), {
+    username: 'player',
+    archive: '2024/03',
+    endTime: chessComGames[0].endTime,
+    lastGameId: 'x'
+  });
+});
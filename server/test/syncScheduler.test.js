@@ -0,0 +1,67 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const storage = require('../storage');
+const importWorker = require('../services/importWorker');
+const syncScheduler = require('../services/syncScheduler');
+const syncRunModel = require('../models/SyncRun');
+const userModel = require('../models/User');
+const { setTier } = require('../scripts/setTier');
+
+let enqueued;
+
+beforeEach(() => {
+  storage.setAdapter(new storage.MemoryStore());
+  enqueued = [];
+  mock.method(importWorker, 'enqueue', jobId => enqueued.push(jobId));
+});
+
+async function createLinkedUser(username) {
+  const user = await userModel.createUser({ username, email: `${username}@example.com` });
+  return storage.getAdapter().updateUser(user.id, { lichessUsername: `${username}-lichess`, chessComUsername: `${username}-chess` });
+}
+
+test('free users are not synced', async () => {
+  const user = await createLinkedUser('freeplayer');
+  await syncScheduler.checkDueUsers();
+
+  assert.equal(enqueued.length, 0);
+  assert.equal(await syncRunModel.getLatestRun(user.id), null);
+});
+
+test('a pro user gets an import queued for their tracked profile', async () => {
+  const user = await createLinkedUser('proplayer');
+  await setTier('proplayer@example.com', 'pro');
+  await syncScheduler.checkDueUsers();
+
+  assert.equal(enqueued.length, 1);
+  const job = await storage.getAdapter().getJob(enqueued[0]);
+  assert.equal(job.userId, user.id);
+  assert.equal(job.status, 'queued');
+  assert.deepEqual(
+    { platform: job.params.platform, username: job.params.username, perspective: job.params.perspective },
+    { platform: 'lichess.org', username: 'proplayer-lichess', perspective: 'mine' }
+  );
+
+  const run = await syncRunModel.getLatestRun(user.id);
+  assert.equal(run.trigger, 'scheduled');
+  assert.deepEqual(run.profiles, [{ platform: 'lichess', username: 'proplayer-lichess', jobId: job.id }]);
+  assert.equal(run.skipped.length, 1);
+
+  // Not due again until the interval has passed
+  await syncScheduler.checkDueUsers();
+  assert.equal(enqueued.length, 1);
+});
+
+test('super pro users have every linked profile synced', async () => {
+  await createLinkedUser('superplayer');
+  await setTier('superplayer', 'superPro');
+  await syncScheduler.checkDueUsers();
+
+  assert.equal(enqueued.length, 2);
+});
+
+test('only known tiers can be set', async () => {
+  await createLinkedUser('someone');
+  await assert.rejects(setTier('someone', 'gold'), /Unknown tier: gold/);
+  await assert.rejects(setTier('nobody', 'pro'), /No user named nobody/);
+});
@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const uciConverter = require('../services/uciConverter');
+
+test('engine lines convert to SAN and stop at the first illegal move', () => {
+  const start = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+  assert.deepEqual(uciConverter.convertLine(start, ['e2e4', 'e7e5', 'e1e3', 'g1f3']), [
+    { san: 'e4', uci: 'e2e4' },
+    { san: 'e5', uci: 'e7e5' }
+  ]);
+  assert.deepEqual(uciConverter.convertMove('8/4P3/8/8/8/8/k7/4K3 w - - 0 1', 'e7e8q'), { san: 'e8=Q', uci: 'e7e8q' });
+  assert.equal(uciConverter.convertMove(start, 'castle'), null);
+});
+
+test('standard castling keeps the king-to-square UCI form', () => {
+  assert.deepEqual(uciConverter.convertMove('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1', 'e1g1'), { san: 'O-O', uci: 'e1g1' });
+});
+
+test('Chess960 castling converts from and to king-takes-rook UCI', () => {
+  // King on g1 castling long with the rook next to it on f1
+  const fen = '4k3/8/8/8/8/8/8/5RK1 w F - 0 1';
+  assert.deepEqual(uciConverter.convertMove(fen, 'g1f1'), { san: 'O-O-O', uci: 'g1f1' });
+  assert.deepEqual(uciConverter.convertSanLine(fen, ['O-O-O']), [{ san: 'O-O-O', uci: 'g1f1' }]);
+
+  // The king already stands on g1, so castling short only moves the rook
+  assert.deepEqual(uciConverter.convertMove('4k3/8/8/8/8/8/8/6KR w K - 0 1', 'g1h1'), { san: 'O-O', uci: 'g1h1' });
+});